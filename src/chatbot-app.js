@@ -0,0 +1,631 @@
+/**
+ * The chatbot demo experience, written once for every chatbot backend: the
+ * scene and host, the start and microphone screens, push-to-talk, typed input,
+ * the conversation transcript and the host's replies. Each demo page calls
+ * loadChatbotDemo() with a configuration that picks the backend and can add
+ * features specific to it.
+ */
+import { HostObject, aws as AwsFeatures } from "@amazon-sumerian-hosts/babylon";
+import { Scene } from "@babylonjs/core/scene";
+import DemoUtils from "./demo-utils";
+import ChatbotUi from "./chatbot-ui";
+import { cognitoIdentityPoolId } from "./demo-credentials.js";
+import { LexV2Feature } from "./extras/LexV2Feature";
+import { DialogServiceFeature } from "./extras/DialogServiceFeature";
+import { MockLexRuntimeV2 } from "./extras/MockLexRuntimeV2";
+import { ConversationController } from "./extras/ConversationController";
+import { ConversationHistory } from "./extras/ConversationHistory";
+import { ConversationReplay } from "./extras/ConversationReplay";
+import { ConversationMetrics } from "./extras/ConversationMetrics";
+import {
+  CustomBotAdapter,
+  LexV1Adapter,
+  LexV2Adapter,
+} from "./extras/ConversationAdapters";
+
+let host;
+let scene;
+let config;
+let controller;
+let transcript;
+let history;
+let replay;
+let lastResponse = null;
+let metrics;
+let pushToTalk;
+let messageContainerEl;
+let transcriptTextEl;
+
+/**
+ * Creates the adapter for a chatbot backend.
+ * @param {object} bot The backend configuration.
+ * @param {string} bot.backend "lexV1", "lexV2", "dialogService" or "custom".
+ * @param {string=} bot.botName For "lexV1": the bot name.
+ * @param {string=} bot.botAlias For "lexV1": the bot alias.
+ * @param {object=} bot.mockBotScript For "lexV2": a dialog script for
+ * MockLexRuntimeV2. When set, the demo talks to the scripted bot instead of
+ * Amazon Lex.
+ * @param {string=} bot.endpoint For "dialogService": the URL of the dialog
+ * service. See DialogServiceFeature.
+ * @param {function(string)=} bot.sendText For "custom": replies to the user's
+ * text. See CustomBotAdapter.
+ * Any other "lexV2" and "dialogService" options, such as botId, botAliasId and
+ * localeId, are passed to LexV2Feature or DialogServiceFeature.
+ * @returns {object} The adapter.
+ */
+function createConversationAdapter({ backend, ...options }) {
+  switch (backend) {
+    case "lexV1":
+      return new LexV1Adapter(
+        new AwsFeatures.LexFeature(new AWS.LexRuntime(), options)
+      );
+    case "lexV2": {
+      const { mockBotScript, ...featureOptions } = options;
+      const lexClient = mockBotScript
+        ? new MockLexRuntimeV2(mockBotScript)
+        : new AWS.LexRuntimeV2();
+      return new LexV2Adapter(new LexV2Feature(lexClient, featureOptions));
+    }
+    case "dialogService":
+      // DialogServiceFeature shares the API and events of LexV2Feature.
+      return new LexV2Adapter(new DialogServiceFeature(options));
+    case "custom":
+      return new CustomBotAdapter(options);
+    default:
+      throw new Error(`Unknown chatbot backend "${backend}".`);
+  }
+}
+
+/**
+ * Loads a chatbot demo.
+ * @param {object} demoConfig
+ * @param {object} demoConfig.bot The chatbot backend. See
+ * createConversationAdapter().
+ * @param {string} demoConfig.characterId The host character, e.g. "Luke".
+ * @param {object} demoConfig.pollyConfig The pollyVoice and pollyEngine the
+ * host speaks with.
+ * @param {function(): string} demoConfig.getGreeting Returns the greeting the
+ * host speaks when the experience starts.
+ * @param {function(string): Promise=} demoConfig.speak Has the host speak some
+ * text. Defaults to host.TextToSpeechFeature.play(text).
+ * @param {function(object)=} demoConfig.presentResponse Presents a normalized
+ * response from ConversationController. Defaults to speaking its text messages
+ * and confirming fulfilled intents with a wave.
+ * @param {object=} demoConfig.conversationStore Where the conversation is
+ * saved so it survives page reloads, e.g. a LocalStorageConversationStore. See
+ * ConversationStores. The saved conversation can also be replayed, exported
+ * and imported. Lex V2 and dialog service sessions are resumed as well.
+ * Without a store every page load starts a new conversation.
+ * @param {string=} demoConfig.conversationKey The key the conversation is saved
+ * under in the store. Use a different key for each bot.
+ * @param {object=} demoConfig.metricsSink Receives the timing and outcome of
+ * every turn, and of every request for Lex V2 and dialog service backends. See
+ * Metrics and ConversationMetrics.
+ * @param {function(object)=} demoConfig.init Called with the demo object once
+ * the shared setup is done, to add features that depend on the backend. The
+ * demo object has scene, host and controller properties, the speakGreeting and
+ * addBotTurns functions, and a transcript whose addUserTurn(text, inputMode)
+ * and addBotTurn(text) functions add turns to both the conversation transcript
+ * and the saved conversation. With a metricsSink it also has a metrics
+ * property, the ConversationMetrics of the demo.
+ */
+function loadChatbotDemo(demoConfig) {
+  config = demoConfig;
+  DemoUtils.loadDemo(createScene);
+}
+
+async function createScene() {
+  // Create an empty scene. Note: Sumerian Hosts work with both
+  // right-hand or left-hand coordinate system for babylon scene
+  scene = new Scene();
+  scene.useRightHandedSystem = true;
+
+  const { shadowGenerator } = DemoUtils.setupSceneEnvironment(scene);
+
+  // ===== Configure the AWS SDK =====
+
+  AWS.config.region = cognitoIdentityPoolId.split(":")[0];
+  AWS.config.credentials = new AWS.CognitoIdentityCredentials({
+    IdentityPoolId: cognitoIdentityPoolId,
+  });
+
+  // ===== Instantiate the Sumerian Host =====
+
+  const characterConfig = HostObject.getCharacterConfig(
+    "./assets/character-assets",
+    config.characterId
+  );
+  host = await HostObject.createHost(
+    scene,
+    characterConfig,
+    config.pollyConfig
+  );
+
+  // Tell the host to always look at the camera.
+  host.PointOfInterestFeature.setTarget(scene.activeCamera);
+
+  // Enable shadows.
+  scene.meshes.forEach((mesh) => {
+    shadowGenerator.addShadowCaster(mesh);
+  });
+
+  // Resume the saved conversation, if there is one.
+  let botConfig = config.bot;
+  if (config.conversationStore) {
+    history = new ConversationHistory(config.conversationStore, {
+      key: config.conversationKey,
+    });
+    if ((await history.load()) && history.sessionId) {
+      botConfig = { ...config.bot, sessionId: history.sessionId };
+    }
+  }
+
+  // Initialize chatbot access through the configured backend.
+  controller = new ConversationController(
+    createConversationAdapter({ ...botConfig, metricsSink: config.metricsSink })
+  );
+  const { feature } = controller.adapter;
+  if (history && feature && feature.sessionId) {
+    history.setSessionId(feature.sessionId);
+  }
+  if (config.metricsSink) {
+    metrics = new ConversationMetrics({
+      controller,
+      host,
+      sink: config.metricsSink,
+    });
+  }
+
+  initUi();
+  initConversationManagement();
+  if (history) {
+    initConversationHistory();
+  }
+  if (config.init) {
+    config.init({
+      scene,
+      host,
+      controller,
+      transcript: { addUserTurn, addBotTurn },
+      speakGreeting,
+      addBotTurns,
+      metrics,
+    });
+  }
+  acquireMicrophoneAccess();
+
+  return scene;
+}
+
+function initUi() {
+  // Set up interactions for UI buttons.
+  document.getElementById("startButton").onclick = () => startMainExperience();
+  document.getElementById("enableMicButton").onclick = () =>
+    acquireMicrophoneAccess();
+
+  // Backends without voice input are used by typing only.
+  if (!controller.supportsVoice) {
+    ["talkInstructions", "talkButton"].forEach((id) =>
+      setElementVisibility(id, false)
+    );
+    document
+      .getElementById("toggleTalkMode")
+      .closest("label")
+      .classList.add("hide");
+  }
+}
+
+/**
+ * Triggered when the user clicks the initial "start" button.
+ */
+function startMainExperience() {
+  showUiScreen("chatbotUiScreen");
+
+  // Pick up a restored conversation where the host left off.
+  const lastBotTurn = history
+    ? history.turns.reverse().find(({ speaker }) => speaker === "bot")
+    : undefined;
+  if (lastBotTurn) {
+    speak(lastBotTurn.text);
+  } else {
+    speakGreeting();
+  }
+}
+
+/**
+ * Speaks the greeting to the user.
+ */
+function speakGreeting() {
+  const greeting = config.getGreeting();
+  speak(greeting);
+  // The greeting starts a new exchange.
+  lastResponse = null;
+  addBotTurn(greeting);
+}
+
+/**
+ * Has the host speak some text.
+ * @param {string} text The text to speak.
+ * @returns {Promise} A Promise that resolves once the host has finished.
+ */
+function speak(text) {
+  if (metrics) metrics.markSynthesisStart();
+  return config.speak
+    ? config.speak(text)
+    : host.TextToSpeechFeature.play(text);
+}
+
+// ===== Chatbot functions =====
+
+function initConversationManagement() {
+  // Use talk button events to start and stop recording.
+  const talkButton = document.getElementById("talkButton");
+  // Hold the button or the space bar to talk, or tap to start and stop.
+  pushToTalk = new ChatbotUi.PushToTalk(talkButton, {
+    onStart: () => {
+      stopReplay();
+      controller.beginVoiceRecording();
+    },
+    // Failures are reported through the error event handled below.
+    onStop: () => controller.endVoiceRecording().catch(() => {}),
+  });
+  const toggleTalkMode = document.getElementById("toggleTalkMode");
+  toggleTalkMode.onchange = () => {
+    pushToTalk.setMode(toggleTalkMode.checked ? "toggle" : "hold");
+    document.getElementById("talkInstructions").innerText =
+      toggleTalkMode.checked
+        ? "Tap the button below, or press the space bar, to start and stop talking to the host."
+        : "Press and hold the button below, or the space bar, to speak to the host.";
+  };
+
+  // Typed messages are an alternative to speaking, e.g. in noisy places.
+  ChatbotUi.initTextInput(document.getElementById("textInputForm"), (text) => {
+    stopReplay();
+    hideUserMessages();
+    displayProcessingMessage();
+    if (metrics) metrics.markInputEnd("text");
+    // Failures are reported through the error event handled below.
+    controller.sendText(text).catch(() => {});
+  });
+
+  // Use events dispatched by the controller to present helpful user messages.
+  const { EVENTS } = ConversationController;
+  controller.listenTo(EVENTS.response, (response) => handleResponse(response));
+  controller.listenTo(EVENTS.recordBegin, () => hideUserMessages());
+  controller.listenTo(EVENTS.recordEnd, () => {
+    // Recordings can also end without the user, e.g. at the length limit.
+    pushToTalk.stop();
+    displayProcessingMessage();
+  });
+
+  // Handle chatbot errors
+  controller.listenTo(EVENTS.error, (error) => {
+    // Implement your own error handling here.
+    console.error("The demo encountered a chatbot error:", error);
+    messageContainerEl.classList.remove("processing");
+  });
+
+  // Create convenience references to DOM elements.
+  messageContainerEl = document.getElementById("userMessageContainer");
+  transcriptTextEl = document.getElementById("transcriptText");
+  transcript = new ChatbotUi.ConversationTranscript(
+    document.getElementById("conversationTranscript")
+  );
+}
+
+/**
+ * Triggered whenever the chatbot replies.
+ * @param {object} response A normalized response. See ConversationController.
+ */
+function handleResponse(response) {
+  // Remove "processing" CSS class from message container.
+  messageContainerEl.classList.remove("processing");
+  lastResponse = response;
+
+  // Display the user's input transcript.
+  if (response.transcript) {
+    const { text, inputMode } = response.transcript;
+    addUserTurn(text, inputMode);
+    if (inputMode === "voice") {
+      displaySpeechInputTranscript(text);
+    }
+  }
+
+  if (config.presentResponse) {
+    config.presentResponse(response);
+  } else {
+    presentResponse(response);
+  }
+}
+
+/**
+ * Has the host speak the text messages of a response, one after the other.
+ * Intents that are ready for fulfillment without a message are confirmed with
+ * a wave.
+ * @param {object} response A normalized response. See ConversationController.
+ */
+async function presentResponse(response) {
+  const spokenMessages = response.messages.filter(({ contentType }) =>
+    ["PlainText", "SSML"].includes(contentType)
+  );
+
+  if (spokenMessages.length) {
+    addBotTurns(spokenMessages);
+    for (let i = 0; i < spokenMessages.length; i++) {
+      await speak(spokenMessages[i].content);
+    }
+  } else if (response.dialogState === "ReadyForFulfillment") {
+    const confirmation = "OK. Your reservation is complete. Have a great day.";
+    speak(confirmation);
+    addBotTurn(confirmation);
+    // Wave after a short delay.
+    setTimeout(() => {
+      host.GestureFeature.playGesture("Gesture", "wave");
+    }, 2000);
+  }
+}
+
+/**
+ * Adds the spoken messages of a response to the conversation transcript.
+ * @param {Array<object>} messages Lex V2 style messages.
+ */
+function addBotTurns(messages) {
+  messages.forEach(({ contentType, content }) => {
+    if (contentType === "PlainText") {
+      addBotTurn(content);
+    } else if (contentType === "SSML") {
+      // Show the words only. Tags such as <break/> have no text.
+      const ssml = new DOMParser().parseFromString(content, "text/html");
+      addBotTurn(ssml.body.textContent);
+    }
+  });
+}
+
+/**
+ * Adds something the user said or typed to the conversation transcript and the
+ * saved conversation.
+ * @param {string} text What the user said or typed.
+ * @param {string} inputMode "voice" or "text".
+ */
+function addUserTurn(text, inputMode) {
+  transcript.addUserTurn(text, inputMode);
+  saveTurn({ speaker: "user", text, inputMode });
+}
+
+/**
+ * Adds something the bot said to the conversation transcript and the saved
+ * conversation.
+ * @param {string} text The bot's message.
+ */
+function addBotTurn(text) {
+  transcript.addBotTurn(text);
+  saveTurn({ speaker: "bot", text });
+}
+
+/**
+ * Saves a turn with the dialog state of the response it belongs to.
+ * @param {object} turn The speaker, text and inputMode of the turn.
+ */
+function saveTurn(turn) {
+  if (!history) return;
+
+  history.addTurn({
+    ...turn,
+    dialogState: lastResponse ? lastResponse.dialogState : null,
+    sessionState: (lastResponse && lastResponse.raw.sessionState) || null,
+  });
+}
+
+// ===== Conversation history =====
+
+/**
+ * Shows the turns of a restored conversation and sets up the buttons that
+ * replay, export, import and clear the saved conversation.
+ */
+function initConversationHistory() {
+  replay = new ConversationReplay({ performTurn: (turn) => performTurn(turn) });
+  showConversation();
+  setElementVisibility("conversationControls", true);
+
+  document.getElementById("replayButton").onclick = () => {
+    if (replay.isPlaying) {
+      stopReplay();
+    } else {
+      replayConversation();
+    }
+  };
+  document.getElementById("exportButton").onclick = () => exportConversation();
+
+  const importInput = document.getElementById("importInput");
+  document.getElementById("importButton").onclick = () => importInput.click();
+  importInput.onchange = () => {
+    const [file] = importInput.files;
+    // Allow the same file to be picked again.
+    importInput.value = "";
+    if (file) importConversation(file);
+  };
+
+  document.getElementById("startOverButton").onclick = () => startOver();
+}
+
+/**
+ * Shows every turn of the saved conversation in the transcript.
+ */
+function showConversation() {
+  transcript.clear();
+  history.turns.forEach((turn) => showTurn(turn));
+}
+
+function showTurn({ speaker, text, inputMode, time }) {
+  if (speaker === "user") {
+    transcript.addUserTurn(text, inputMode, time);
+  } else {
+    transcript.addBotTurn(text, time);
+  }
+}
+
+/**
+ * Has the host act out the saved conversation again, turn by turn.
+ */
+async function replayConversation() {
+  const replayButton = document.getElementById("replayButton");
+  replayButton.innerText = "Stop replay";
+  transcript.clear();
+  hideUserMessages();
+
+  try {
+    await replay.play(history.turns);
+  } catch (error) {
+    console.error("Failed to replay the conversation:", error);
+  }
+
+  // Another replay may have started in the meantime.
+  if (!replay.isPlaying) {
+    replayButton.innerText = "Replay";
+    hideUserMessages();
+    showConversation();
+  }
+}
+
+/**
+ * Performs one turn of a replay. User turns are shown as if the user had just
+ * said or typed them. The host speaks bot turns, and waves when they complete
+ * a request, as it did during the conversation. Only the text of a turn is
+ * saved, so gestures requested by custom payloads aren't played again.
+ * @param {object} turn A turn saved by ConversationHistory.
+ */
+async function performTurn(turn) {
+  showTurn({ ...turn, time: undefined });
+
+  if (turn.speaker === "user") {
+    if (turn.inputMode === "voice") {
+      displaySpeechInputTranscript(turn.text);
+    } else {
+      hideUserMessages();
+    }
+    return;
+  }
+
+  await speak(turn.text);
+  if (["ReadyForFulfillment", "Fulfilled"].includes(turn.dialogState)) {
+    host.GestureFeature.playGesture("Gesture", "wave");
+  }
+}
+
+/**
+ * Stops the replay in progress, if any, and silences the host.
+ */
+function stopReplay() {
+  if (!replay || !replay.isPlaying) return;
+
+  replay.stop();
+  host.TextToSpeechFeature.stop();
+}
+
+function exportConversation() {
+  const date = new Date().toISOString().slice(0, 10);
+  ChatbotUi.downloadFile(
+    new Blob([history.exportJson()], { type: "application/json" }),
+    `conversation-${date}.json`
+  );
+}
+
+/**
+ * Replaces the saved conversation with an exported one, then reloads the page
+ * to continue it.
+ * @param {File} file A file saved with the Export button.
+ */
+async function importConversation(file) {
+  try {
+    await history.importJson(await file.text());
+  } catch (error) {
+    window.alert(`The conversation couldn't be imported. ${error.message}`);
+    return;
+  }
+
+  stopReplay();
+  window.location.reload();
+}
+
+/**
+ * Forgets the saved conversation and reloads the page to start a new one.
+ */
+async function startOver() {
+  stopReplay();
+  await history.clear();
+  window.location.reload();
+}
+
+function displaySpeechInputTranscript(text) {
+  transcriptTextEl.innerText = `“${text}”`;
+  messageContainerEl.classList.add("showingMessage");
+}
+
+function displayProcessingMessage() {
+  document.getElementById("processingText").innerText = "processing...";
+  messageContainerEl.classList.add("processing");
+}
+
+function hideUserMessages() {
+  messageContainerEl.classList.remove("showingMessage");
+}
+
+/**
+ * Attempts to enable microphone access for the chatbot, triggering a browser
+ * permissions prompt if necessary. Backends without voice input skip this.
+ * @returns {Promise} A Promise which resolves once mic access is allowed or
+ * denied by the user or browser.
+ */
+async function acquireMicrophoneAccess() {
+  if (!controller.supportsVoice) {
+    showUiScreen("startScreen");
+    return;
+  }
+
+  showUiScreen("micInitScreen");
+
+  try {
+    await controller.enableMicInput();
+    showUiScreen("startScreen");
+  } catch (e) {
+    // The user or browser denied mic access. Display appropriate messaging
+    // to the user.
+    if (e.message === "Permission dismissed") {
+      showUiScreen("micPermissionDismissedScreen");
+    } else {
+      showUiScreen("micDisabledScreen");
+    }
+  }
+}
+
+// ===== Utility functions =====
+
+/**
+ * Makes the specified UI screen visible and hides all other UI screens.
+ * @param {string} id HTMLElement id of the screen to display.
+ */
+function showUiScreen(id) {
+  document.querySelectorAll("#uiScreens .screen").forEach((element) => {
+    const isTargetScreen = element.id === id;
+    setElementVisibility(element.id, isTargetScreen);
+  });
+}
+
+/**
+ * Shows or hides an HTML element.
+ * @param {string} id HTMLElement id
+ * @param {boolean} visible `true` shows the element. `false` hides it.
+ */
+function setElementVisibility(id, visible) {
+  const element = document.getElementById(id);
+  if (visible) {
+    element.classList.remove("hide");
+  } else {
+    element.classList.add("hide");
+  }
+}
+
+export default {
+  createConversationAdapter,
+  loadChatbotDemo,
+};
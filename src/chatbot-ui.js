@@ -0,0 +1,270 @@
+/**
+ * User interface helpers shared by the chatbot demos.
+ */
+
+/**
+ * A scrolling list of the user's and the bot's turns in a conversation. Each
+ * turn shows when it happened and, for user turns, whether the user spoke or
+ * typed.
+ */
+class ConversationTranscript {
+  /**
+   * @param {HTMLElement} listEl The list element that turns are added to.
+   */
+  constructor(listEl) {
+    this._listEl = listEl;
+  }
+
+  /**
+   * Adds something the user said or typed.
+   * @param {string} text What the user said or typed.
+   * @param {string} inputMode "voice" or "text".
+   * @param {(Date|string)=} time When the turn happened. Defaults to now.
+   */
+  addUserTurn(text, inputMode, time) {
+    const modeLabel = inputMode === "text" ? "typed" : "said";
+    this._addTurn("user", text, `You ${modeLabel}`, time);
+  }
+
+  /**
+   * Adds something the bot said.
+   * @param {string} text The bot's message.
+   * @param {(Date|string)=} time When the turn happened. Defaults to now.
+   */
+  addBotTurn(text, time) {
+    this._addTurn("bot", text, "Host", time);
+  }
+
+  /**
+   * Removes all turns.
+   */
+  clear() {
+    this._listEl.innerHTML = "";
+  }
+
+  _addTurn(speaker, text, label, time) {
+    const turnEl = document.createElement("li");
+    turnEl.className = `turn ${speaker}`;
+
+    const headerEl = document.createElement("div");
+    headerEl.className = "turnHeader";
+    headerEl.innerText = label;
+
+    const timeEl = document.createElement("time");
+    const date = time ? new Date(time) : new Date();
+    timeEl.dateTime = date.toISOString();
+    timeEl.innerText = date.toLocaleTimeString();
+    headerEl.appendChild(timeEl);
+
+    const textEl = document.createElement("p");
+    textEl.innerText = text;
+
+    turnEl.appendChild(headerEl);
+    turnEl.appendChild(textEl);
+    this._listEl.appendChild(turnEl);
+
+    // Keep the newest turn in view.
+    turnEl.scrollIntoView({ block: "end", behavior: "smooth" });
+  }
+}
+
+/**
+ * Sends the contents of a text input form to a callback when the form is
+ * submitted, then clears the input.
+ * @param {HTMLFormElement} formEl A form containing a text input.
+ * @param {function(string)} onSubmit Called with the trimmed text. Empty input
+ * is ignored.
+ */
+function initTextInput(formEl, onSubmit) {
+  const inputEl = formEl.querySelector("input[type=text]");
+
+  formEl.onsubmit = (event) => {
+    event.preventDefault();
+
+    const text = inputEl.value.trim();
+    if (!text) return;
+
+    inputEl.value = "";
+    onSubmit(text);
+  };
+}
+
+/**
+ * Has the browser download some data as a file.
+ * @param {Blob} blob The file contents.
+ * @param {string} fileName The suggested file name.
+ */
+function downloadFile(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const linkEl = document.createElement("a");
+  linkEl.href = url;
+  linkEl.download = fileName;
+  linkEl.click();
+  // Give the browser a moment to start the download.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Push-to-talk controls for a talk button. In "hold" mode the user talks while
+ * pressing the button with a mouse, finger or pen, or while holding the space
+ * bar. In "toggle" mode a tap or space bar press starts talking and the next
+ * one stops. Talking always stops after a safety timeout, so a missed release
+ * can't leave the microphone recording.
+ */
+class PushToTalk {
+  /**
+   * @param {HTMLElement} talkButton The talk button element.
+   * @param {object} options
+   * @param {function} options.onStart Called when the user starts talking.
+   * @param {function} options.onStop Called when the user stops talking.
+   * @param {string=} options.mode "hold" or "toggle". Defaults to "hold".
+   * @param {number=} options.maxDuration Seconds after which talking stops
+   * automatically. Defaults to 30.
+   */
+  constructor(
+    talkButton,
+    { onStart, onStop, mode = "hold", maxDuration = 30 }
+  ) {
+    this._talkButton = talkButton;
+    this._onStart = onStart;
+    this._onStop = onStop;
+    this._mode = mode;
+    this._maxDuration = maxDuration;
+    this._active = false;
+    this._timeout = undefined;
+
+    talkButton.addEventListener("pointerdown", (event) =>
+      this._onPointerDown(event)
+    );
+    ["pointerup", "pointercancel", "lostpointercapture"].forEach((type) =>
+      talkButton.addEventListener(type, () => {
+        if (this._mode === "hold") this.stop();
+      })
+    );
+    // Long presses on touch screens would otherwise open a context menu.
+    talkButton.addEventListener("contextmenu", (event) =>
+      event.preventDefault()
+    );
+
+    document.addEventListener("keydown", (event) => this._onKeyDown(event));
+    document.addEventListener("keyup", (event) => this._onKeyUp(event));
+    window.addEventListener("blur", () => {
+      if (this._mode === "hold") this.stop();
+    });
+  }
+
+  /**
+   * @returns {boolean} Whether the user is currently talking.
+   */
+  get isActive() {
+    return this._active;
+  }
+
+  /**
+   * @returns {string} The current mode, "hold" or "toggle".
+   */
+  get mode() {
+    return this._mode;
+  }
+
+  /**
+   * Switches between "hold" and "toggle" mode. Stops any talking in progress.
+   * @param {string} mode "hold" or "toggle".
+   */
+  setMode(mode) {
+    this.stop();
+    this._mode = mode;
+  }
+
+  /**
+   * Starts talking, unless the user already is.
+   */
+  start() {
+    if (this._active) return;
+
+    this._active = true;
+    this._talkButton.classList.add("talking");
+    this._talkButton.setAttribute("aria-pressed", "true");
+    this._timeout = setTimeout(() => this.stop(), this._maxDuration * 1000);
+    this._onStart();
+  }
+
+  /**
+   * Stops talking, if the user is.
+   */
+  stop() {
+    if (!this._active) return;
+
+    this._active = false;
+    this._talkButton.classList.remove("talking");
+    this._talkButton.setAttribute("aria-pressed", "false");
+    clearTimeout(this._timeout);
+    this._onStop();
+  }
+
+  _onPointerDown(event) {
+    // Only the primary button of a mouse starts talking.
+    if (event.pointerType === "mouse" && event.button !== 0) return;
+
+    event.preventDefault();
+
+    if (this._mode === "toggle") {
+      this._toggle();
+      return;
+    }
+
+    // Capture the pointer so releasing it outside the button still stops.
+    this._talkButton.setPointerCapture(event.pointerId);
+    this.start();
+  }
+
+  _onKeyDown(event) {
+    if (event.code !== "Space" || isTextEntry(event.target)) return;
+    // Ignore the hotkey while the talk button isn't on screen.
+    if (!this._talkButton.offsetParent) return;
+
+    // Prevent scrolling and clicking a focused button.
+    event.preventDefault();
+    if (event.repeat) return;
+
+    if (this._mode === "toggle") {
+      this._toggle();
+    } else {
+      this.start();
+    }
+  }
+
+  _onKeyUp(event) {
+    if (event.code !== "Space" || isTextEntry(event.target)) return;
+
+    event.preventDefault();
+    if (this._mode === "hold") this.stop();
+  }
+
+  _toggle() {
+    if (this._active) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  }
+}
+
+/**
+ * @param {EventTarget} target The target of a keyboard event.
+ * @returns {boolean} Whether the user is typing into the target.
+ */
+function isTextEntry(target) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+  );
+}
+
+export default {
+  ConversationTranscript,
+  PushToTalk,
+  downloadFile,
+  initTextInput,
+};
@@ -1,207 +1,449 @@
-import { HostObject, aws as AwsFeatures } from "@amazon-sumerian-hosts/babylon";
-import { Scene } from "@babylonjs/core/scene";
-import DemoUtils from "./demo-utils";
-import { cognitoIdentityPoolId } from "./demo-credentials.js";
+import { Color3 } from "@babylonjs/core/Maths/math";
+import ChatbotApp from "./chatbot-app";
 import { LexV2Feature } from "./extras/LexV2Feature";
+import mockBotScript from "./assets/mock-bots/BookTrip.json";
+import { LexV2ResponsePresenter } from "./extras/LexV2ResponsePresenter";
+import { AudioResponsePlayer } from "./extras/AudioResponsePlayer";
+import { DialogStatePanel } from "./extras/DialogStatePanel";
+import { IntentFulfillmentRegistry } from "./extras/IntentFulfillmentRegistry";
+import { IndexedDBConversationStore } from "./extras/ConversationStores";
+import { DebugRecordingsPanel } from "./extras/DebugRecordingsPanel";
+import {
+  CompositeMetricsSink,
+  ConsoleMetricsSink,
+  InMemoryMetricsAggregator,
+} from "./extras/Metrics";
+import { createGestureDirectiveHandler } from "./extras/GestureDirectives";
+import gestureConfig from "./assets/character-assets/animations/adult_female/gesture.json";
 
 let host;
 let scene;
+let lex;
+let demo;
+let presenter;
+let dialogStatePanel;
+
+// Languages the user can pick from. Each bot locale is paired with a Polly
+// voice, a greeting and the replies sent by the Yes and No buttons in that
+// language. IMPORTANT: Only list locales that
+// are built for your chatbot!
+const locales = {
+  en_US: {
+    label: "English (US)",
+    speechConfig: { VoiceId: "Joanna", Engine: "neural" },
+    greeting: `Hello. How can I help?  You can say things like, "I'd like to rent a car," or, "Help me book a hotel".`,
+    confirmationReplies: { yes: "yes", no: "no" },
+  },
+  es_US: {
+    label: "Español (EE. UU.)",
+    speechConfig: { VoiceId: "Lupe", Engine: "neural" },
+    greeting: `Hola. ¿En qué puedo ayudarte?  Puedes decir cosas como "Quiero alquilar un coche" o "Ayúdame a reservar un hotel".`,
+    confirmationReplies: { yes: "sí", no: "no" },
+  },
+  fr_CA: {
+    label: "Français (Canada)",
+    speechConfig: { VoiceId: "Gabrielle", Engine: "neural" },
+    greeting: `Bonjour. Comment puis-je vous aider?  Vous pouvez dire par exemple « Je voudrais louer une voiture » ou « Aidez-moi à réserver un hôtel ».`,
+    confirmationReplies: { yes: "oui", no: "non" },
+  },
+  de_DE: {
+    label: "Deutsch",
+    speechConfig: { VoiceId: "Vicki", Engine: "neural" },
+    greeting: `Hallo. Wie kann ich helfen?  Sie können zum Beispiel sagen: „Ich möchte ein Auto mieten“ oder „Hilf mir, ein Hotel zu buchen“.`,
+    confirmationReplies: { yes: "ja", no: "nein" },
+  },
+};
+const defaultLocaleId = "en_US";
+
+// How the host describes each intent when it isn't sure which one the user
+// meant. Update these to match your chatbot's intents.
+const intentLabels = {
+  BookHotel: "booking a hotel",
+  BookCar: "renting a car",
+  ChangeLighting: "changing the lights",
+};
+
+// Light colors the ChangeLighting intent can switch the scene to, keyed by the
+// values of its Color slot.
+const lightColors = {
+  warm: new Color3(1, 0.9, 0.65),
+  white: Color3.White(),
+  red: Color3.Red(),
+  green: Color3.Green(),
+  blue: Color3.Blue(),
+  purple: Color3.Purple(),
+};
+
+// Set to true, or add "?mockBot" to the page URL, to talk to a scripted local
+// bot instead of Amazon Lex. Useful for offline development and automated
+// testing. Note that the host's speech still uses Amazon Polly.
+const useMockBot = new URLSearchParams(window.location.search).has("mockBot");
+
+// Set to the URL of your own dialog service, or add "?dialogService" to the
+// page URL, to talk to it instead of Amazon Lex. The default is the reference
+// service in tools/dialog-service. Use a ws:// URL to talk over a WebSocket.
+const dialogServiceEndpoint = new URLSearchParams(window.location.search).has(
+  "dialogService"
+)
+  ? "http://localhost:8081/"
+  : undefined;
+
+// Set to true, or add "?keepConversation" to the page URL, to keep the
+// conversation, including the Lex session, when the page is reloaded.
+const keepConversation = new URLSearchParams(window.location.search).has(
+  "keepConversation"
+);
+
+// Set to true to have Lex return its replies as audio, which the host plays
+// with lip sync instead of synthesizing the text again with Amazon Polly. The
+// voice is then the one configured on the bot locale. Responses without audio,
+// such as those of the mock bot, are still spoken with Polly.
+const useLexAudio = false;
+
+// Set to true, or add "?debugAudio" to the page URL, to list the most recent
+// recordings with what Lex understood and how long it took. Each one can be
+// downloaded as captured from the microphone and as sent to Lex.
+const debugAudio = new URLSearchParams(window.location.search).has(
+  "debugAudio"
+);
+
+// Initialize chatbot access. IMPORTANT: Update the botId and botAliasId
+// values below, and the locales list above, to match your chatbot!
+const bot = {
+  backend: "lexV2",
+  botId: "KPHJPZUJU1", // update this value
+  botAliasId: "KJTSJZZJ1E", // update this value
+  localeId: defaultLocaleId,
+  // Ask "Did you mean...?" when Lex is less than 70% sure of the intent.
+  disambiguationThreshold: 0.7,
+};
+if (dialogServiceEndpoint) {
+  bot.backend = "dialogService";
+  bot.endpoint = dialogServiceEndpoint;
+} else if (useMockBot) {
+  bot.mockBotScript = mockBotScript;
+}
+if (useLexAudio) {
+  bot.responseContentType = "audio/pcm";
+}
+if (debugAudio) {
+  bot.debugRecordingLimit = 5;
+}
 
-async function createScene() {
-  // Create an empty scene. Note: Sumerian Hosts work with both
-  // right-hand or left-hand coordinate system for babylon scene
-  scene = new Scene();
-  scene.useRightHandedSystem = true;
-
-  const { shadowGenerator } = DemoUtils.setupSceneEnvironment(scene);
-
-  // ===== Configure the AWS SDK =====
-
-  AWS.config.region = cognitoIdentityPoolId.split(":")[0];
-  AWS.config.credentials = new AWS.CognitoIdentityCredentials({
-    IdentityPoolId: cognitoIdentityPoolId,
-  });
-
-  // ===== Instantiate the Sumerian Host =====
+// Set to true, or add "?metrics" to the page URL, to log how long each part of
+// every turn takes to the browser console. Run chatbotMetrics.getSummary() in
+// the console for averages and percentiles. Replace the sinks to send metrics
+// to your own analytics service instead.
+const logMetrics = new URLSearchParams(window.location.search).has("metrics");
+let metricsSink;
+if (logMetrics) {
+  window.chatbotMetrics = new InMemoryMetricsAggregator();
+  metricsSink = new CompositeMetricsSink([
+    new ConsoleMetricsSink(),
+    window.chatbotMetrics,
+  ]);
+}
 
+const { speechConfig } = locales[defaultLocaleId];
+ChatbotApp.loadChatbotDemo({
+  bot,
   // Edit the characterId if you would like to use one of
   // the other pre-built host characters. Available character IDs are:
   // "Cristine", "Fiona", "Grace", "Maya", "Jay", "Luke", "Preston", "Wes"
-  const characterId = "Fiona";
-  const pollyConfig = { pollyVoice: "Joanna", pollyEngine: "neural" };
-  const characterConfig = HostObject.getCharacterConfig(
-    "./assets/character-assets",
-    characterId
-  );
-  host = await HostObject.createHost(scene, characterConfig, pollyConfig);
-
-  // Tell the host to always look at the camera.
-  host.PointOfInterestFeature.setTarget(scene.activeCamera);
+  characterId: "Fiona",
+  pollyConfig: {
+    pollyVoice: speechConfig.VoiceId,
+    pollyEngine: speechConfig.Engine,
+  },
+  // Greet the user in the current language.
+  getGreeting: () => locales[lex.localeId].greeting,
+  speak: (text) =>
+    host.TextToSpeechFeature.play(text, locales[lex.localeId].speechConfig),
+  presentResponse: (response) => presentLexResponse(response),
+  // IndexedDB has room for the session state saved with every turn.
+  conversationStore: keepConversation
+    ? new IndexedDBConversationStore()
+    : undefined,
+  conversationKey: "chatbotDemo_LexV2",
+  metricsSink,
+  init: (chatbotDemo) => initLexV2Features(chatbotDemo),
+});
 
-  // Enable shadows.
-  scene.meshes.forEach((mesh) => {
-    shadowGenerator.addShadowCaster(mesh);
-  });
-
-  // Initialize chatbot access. IMPORTANT: Update the botId, botAliasId,
-  // and localeId values below to match your chatbot!
-  const lexClient = new AWS.LexRuntimeV2();
-  const botConfig = {
-    botId: "KPHJPZUJU1", // update this value
-    botAliasId: "KJTSJZZJ1E", // update this value
-    localeId: "en_US", // update this value
-  };
-  lex = new LexV2Feature(lexClient, botConfig);
+/**
+ * Adds the features that need LexV2Feature to the shared chatbot demo.
+ * @param {object} chatbotDemo The demo object passed to the init callback of
+ * ChatbotApp.loadChatbotDemo().
+ */
+function initLexV2Features(chatbotDemo) {
+  demo = chatbotDemo;
+  ({ host, scene } = demo);
+  lex = demo.controller.adapter.feature;
 
   initUi();
   initConversationManagement();
-  acquireMicrophoneAccess();
-
-  return scene;
 }
 
 function initUi() {
-  // Set up interactions for UI buttons.
-  document.getElementById("startButton").onclick = () => startMainExperience();
-  document.getElementById("enableMicButton").onclick = () =>
-    acquireMicrophoneAccess();
+  // Populate the language picker. Changing the language switches the bot
+  // locale, which in turn switches the host's voice.
+  const localeSelect = document.getElementById("localeSelect");
+  Object.entries(locales).forEach(([localeId, { label }]) => {
+    const option = document.createElement("option");
+    option.value = localeId;
+    option.innerText = label;
+    localeSelect.appendChild(option);
+  });
+  localeSelect.value = defaultLocaleId;
+  localeSelect.onchange = () => lex.setLocaleId(localeSelect.value);
+
+  // Switching microphones keeps any recording in progress going.
+  const micSelect = document.getElementById("micSelect");
+  micSelect.onchange = () =>
+    lex.selectAudioInputDevice(micSelect.value || undefined).catch((error) => {
+      console.error("The demo failed to switch microphones:", error);
+      showMicStatus("Couldn't switch to that microphone.");
+      updateMicSelect();
+    });
 }
 
 /**
- * Triggered when the user clicks the initial "start" button.
+ * Lists the available microphones in the microphone picker and selects the
+ * one currently in use. Failures are shown in the microphone status.
  */
-function startMainExperience() {
-  showUiScreen("chatbotUiScreen");
+async function updateMicSelect() {
+  const micSelect = document.getElementById("micSelect");
+  let devices;
+  try {
+    devices = await lex.getAudioInputDevices();
+  } catch (error) {
+    console.error("The demo failed to list microphones:", error);
+    showMicStatus("Couldn't list the available microphones.");
+    return;
+  }
 
-  // Speak a greeting to the user.
-  host.TextToSpeechFeature.play(
-    `Hello. How can I help?  You can say things like, "I'd like to rent a car," or, "Help me book a hotel".`
-  );
+  micSelect.innerHTML = "";
+  devices.forEach(({ deviceId, label }, index) => {
+    const option = document.createElement("option");
+    option.value = deviceId;
+    option.innerText = label || `Microphone ${index + 1}`;
+    micSelect.appendChild(option);
+  });
+  micSelect.value = lex.audioInputDeviceId || "";
 }
 
-// ===== Chatbot functions =====
+/**
+ * Shows a message about the microphone below the talk button.
+ */
+function showMicStatus(text) {
+  const micStatusEl = document.getElementById("micStatus");
+  micStatusEl.innerText = text;
+  micStatusEl.classList.remove("hide");
+}
 
-let messageContainerEl;
-let transcriptTextEl;
-let lex;
+// ===== Chatbot functions =====
 
 function initConversationManagement() {
-  // Use talk button events to start and stop recording.
   const talkButton = document.getElementById("talkButton");
-  talkButton.onmousedown = () => lex.beginVoiceRecording();
-  talkButton.onmouseup = () => lex.endVoiceRecording();
 
-  // Use events dispatched by the LexFeature to present helpful user messages.
+  // In hands-free mode Lex listens for speech by itself. Passing the host
+  // pauses listening while the host is talking so it never hears itself.
+  const handsFreeToggle = document.getElementById("handsFreeToggle");
+  handsFreeToggle.onchange = () => {
+    if (handsFreeToggle.checked) {
+      lex.enableVoiceActivityDetection({ host });
+    } else {
+      lex.disableVoiceActivityDetection();
+    }
+  };
+
+  // With barge-in enabled, talking while the host is speaking cuts the host
+  // off, including Lex audio replies. Echo cancellation keeps the host's own
+  // voice from doing the same.
+  const bargeInToggle = document.getElementById("bargeInToggle");
+  bargeInToggle.onchange = () => {
+    if (bargeInToggle.checked) {
+      lex.enableBargeIn(host, { fadeTime: 0.3, audioPlayer });
+    } else {
+      lex.disableBargeIn();
+    }
+  };
+
+  // Use events dispatched by the LexV2Feature to present helpful user
+  // messages.
   const { EVENTS } = LexV2Feature;
-  lex.listenTo(EVENTS.lexResponseReady, (response) =>
-    handleLexResponse(response)
+  lex.listenTo(EVENTS.localeChange, (localeId) => {
+    presenter.setSpeechConfig(locales[localeId].speechConfig);
+    dialogStatePanel.setConfirmationReplies(
+      locales[localeId].confirmationReplies
+    );
+    demo.speakGreeting();
+  });
+  // Report how much audio is sent once silence has been trimmed. Recordings
+  // that hit the length limit are cut short.
+  lex.listenTo(EVENTS.audioPrepared, ({ duration, truncated }) => {
+    const seconds = duration.toFixed(1);
+    document.getElementById("processingText").innerText = truncated
+      ? `processing the first ${seconds}s of audio...`
+      : `processing ${seconds}s of audio...`;
+  });
+  lex.listenTo(EVENTS.speechStart, () => talkButton.classList.add("listening"));
+  lex.listenTo(EVENTS.speechEnd, () =>
+    talkButton.classList.remove("listening")
   );
-  lex.listenTo(EVENTS.recordBegin, () => hideUserMessages());
-  lex.listenTo(EVENTS.recordEnd, () => displayProcessingMessage());
-
-  // Handle Lex errors
-  lex.listenTo(EVENTS.lexError, (error) => {
-    // Implement your own error handling here.
-    console.error("The demo encountered a Lex error:", error);
+  lex.listenTo(EVENTS.recordCancel, () =>
+    talkButton.classList.remove("listening")
+  );
+  lex.listenTo(EVENTS.bargeIn, () => presenter.stop());
+
+  // Show the microphone level on the talk button while recording, so users
+  // can tell they're being heard.
+  lex.listenTo(EVENTS.inputLevel, (level) => showInputLevel(talkButton, level));
+  lex.listenTo(EVENTS.recordEnd, () => showInputLevel(talkButton));
+  lex.listenTo(EVENTS.recordCancel, () => showInputLevel(talkButton));
+
+  // Tell the user when the microphone changes because a device was plugged in
+  // or out, and refresh the microphone picker.
+  lex.listenTo(EVENTS.micReady, () => updateMicSelect());
+  lex.listenTo(EVENTS.micInputChange, ({ deviceId, label, error }) => {
+    if (!error) {
+      showMicStatus(`Now listening with ${label || "a new microphone"}.`);
+    } else if (deviceId) {
+      // The microphone in use still works.
+      showMicStatus("Couldn't check for microphone changes.");
+    } else {
+      showMicStatus("No microphone is available. Connect one to keep talking.");
+    }
+    updateMicSelect();
   });
 
-  // Create convenience references to DOM elements.
-  messageContainerEl = document.getElementById("userMessageContainer");
-  transcriptTextEl = document.getElementById("transcriptText");
-}
-
-/**
- * Triggered whenever a response is received from the Lex chatbot.
- * @param {object} response An object representing the Lex response. For a
- * detailed description of this object's shape, see the documentation for the
- * "data" callback argument described here:
- * {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntime.html#postContent-property}
- */
-function handleLexResponse(response) {
-  // Remove "processing" CSS class from message container.
-  messageContainerEl.classList.remove("processing");
-
-  // Display the user's speech input transcript.
-  displaySpeechInputTranscript(response.inputTranscript);
-
-  // Have the host speak the response from Lex if one was provided.
-  const isIntentConfirmed =
-    response.sessionState.intent.confirmationState === "Confirmed";
-  if (response.messages) {
-    const messageContent = response.messages[0].content;
-    host.TextToSpeechFeature.play(messageContent);
-  } else if (isIntentConfirmed) {
-    host.TextToSpeechFeature.play(
-      "OK. Your reservation is complete. Have a great day."
+  // Plays audio replies from Lex. Like host speech, this audio must not be
+  // picked up by hands-free listening, unless the user may barge in on it.
+  let audioPlayer;
+  if (useLexAudio) {
+    audioPlayer = new AudioResponsePlayer(host);
+    audioPlayer.listenTo(AudioResponsePlayer.EVENTS.play, () => {
+      if (!bargeInToggle.checked) lex.pauseVoiceActivityDetection();
+      if (demo.metrics) demo.metrics.markFirstAudio();
+    });
+    audioPlayer.listenTo(AudioResponsePlayer.EVENTS.stop, () =>
+      lex.resumeVoiceActivityDetection(500)
     );
-    // Wave after a short delay.
-    setTimeout(() => {
-      host.GestureFeature.playGesture("Gesture", "wave");
-    }, 2000);
   }
-}
 
-function displaySpeechInputTranscript(text) {
-  transcriptTextEl.innerText = `“${text}”`;
-  messageContainerEl.classList.add("showingMessage");
-}
-
-function displayProcessingMessage() {
-  messageContainerEl.classList.add("processing");
-}
+  // The presenter speaks, displays or dispatches every message in a response.
+  presenter = new LexV2ResponsePresenter({
+    host,
+    lex,
+    cardContainer: document.getElementById("responseCardContainer"),
+    speechConfig: locales[lex.localeId].speechConfig,
+    audioPlayer,
+  });
 
-function hideUserMessages() {
-  messageContainerEl.classList.remove("showingMessage");
-}
+  // Show the active intent and its slots, with Yes/No buttons whenever the bot
+  // asks the user to confirm.
+  dialogStatePanel = new DialogStatePanel({
+    lex,
+    container: document.getElementById("dialogStatePanel"),
+    confirmationReplies: locales[lex.localeId].confirmationReplies,
+  });
 
-/**
- * Attempts to enable microphone access for Lex, triggering a browser permissions
- * prompt if necessary.
- * @returns {Promise} A Promise which resolves once mic access is allowed or
- * denied by the user or browser.
- */
-async function acquireMicrophoneAccess() {
-  showUiScreen("micInitScreen");
+  // Let the bot control the host's body language with CustomPayload messages
+  // such as {"gesture": "wave", "delay": 2}. If you change the characterId,
+  // import the gesture.json that matches the character's animation set.
+  presenter.registerCustomPayloadHandler(
+    createGestureDirectiveHandler(host, {
+      gestureNames: Object.keys(gestureConfig),
+      lookTargets: { camera: scene.activeCamera },
+    })
+  );
 
-  try {
-    await lex.enableMicInput();
-    showUiScreen("startScreen");
-  } catch (e) {
-    // The user or browser denied mic access. Display appropriate messaging
-    // to the user.
-    if (e.message === "Permission dismissed") {
-      showUiScreen("micPermissionDismissedScreen");
-    } else {
-      showUiScreen("micDisabledScreen");
-    }
+  if (debugAudio) {
+    new DebugRecordingsPanel({
+      lex,
+      container: document.getElementById("debugRecordingsPanel"),
+    });
   }
-}
 
-// ===== Utility functions =====
+  initIntentFulfillment();
+}
 
 /**
- * Makes the specified UI screen visible and hides all other UI screens.
- * @param {string} id HTMLElement id of the screen to display.
+ * Registers the intents that are fulfilled in the browser rather than by a
+ * Lambda function. Each handler's message is sent back to Lex when the intent
+ * is closed and then spoken by the host like any other reply.
  */
-function showUiScreen(id) {
-  document.querySelectorAll("#uiScreens .screen").forEach((element) => {
-    const isTargetScreen = element.id === id;
-    setElementVisibility(element.id, isTargetScreen);
+function initIntentFulfillment() {
+  // Confirm reservations, then wave. The wave is a gesture directive, so the
+  // presenter plays it once the host has finished speaking and skips it if
+  // the user barges in. Other intents Lex has no reply for are confirmed the
+  // same way.
+  const completeReservation = () => ({
+    message: "OK. Your reservation is complete. Have a great day.",
+    customPayload: { gesture: "wave" },
+  });
+  const fulfillment = new IntentFulfillmentRegistry(
+    lex,
+    { host, scene },
+    { defaultHandler: completeReservation }
+  );
+  fulfillment.register("BookHotel", completeReservation);
+  fulfillment.register("BookCar", completeReservation);
+
+  // Recolor the scene lights. Add a ChangeLighting intent with a Color slot to
+  // your chatbot to try this with Amazon Lex.
+  fulfillment.register("ChangeLighting", ({ slots }, context) => {
+    const color = lightColors[slots.Color];
+    if (!color) {
+      return {
+        state: "Failed",
+        message: `Sorry, I can't make the lights ${slots.Color}.`,
+      };
+    }
+
+    context.scene.lights.forEach((light) => {
+      light.diffuse = color.clone();
+    });
+    return `There you go. The lights are now ${slots.Color}.`;
   });
 }
 
 /**
- * Shows or hides an HTML element.
- * @param {string} id HTMLElement id
- * @param {boolean} visible `true` shows the element. `false` hides it.
+ * Triggered whenever a response is received from the Lex chatbot.
+ * @param {object} response A normalized response from ConversationController.
+ * Its raw property holds the response decoded by LexV2Feature.
  */
-function setElementVisibility(id, visible) {
-  const element = document.getElementById(id);
-  if (visible) {
-    element.classList.remove("hide");
-  } else {
-    element.classList.add("hide");
+function presentLexResponse(response) {
+  const lexResponse = response.raw;
+
+  // Have the host speak the response from Lex if one was provided. Replies to
+  // intents fulfilled in the browser arrive in a separate response once their
+  // handler has run.
+  if (lexResponse.disambiguationChoices) {
+    // Lex isn't sure what the user wants, so let them pick.
+    const choices = lexResponse.disambiguationChoices;
+    const labels = choices.map(
+      ({ intent }) => intentLabels[intent.name] || intent.name
+    );
+    const prompt = `Did you mean ${labels.join(" or ")}?`;
+    demo.transcript.addBotTurn(prompt);
+    if (demo.metrics) demo.metrics.markSynthesisStart();
+    presenter.presentDisambiguation(choices, { labels: intentLabels, prompt });
+  } else if (response.messages.length) {
+    demo.addBotTurns(response.messages);
+    if (demo.metrics) demo.metrics.markSynthesisStart();
+    presenter.present(lexResponse);
   }
 }
 
-DemoUtils.loadDemo(createScene);
+/**
+ * Renders an input level as a meter on the talk button.
+ * @param {HTMLElement} talkButton The talk button element.
+ * @param {object=} level An inputLevel event value from LexV2Feature. Omit it
+ * to clear the meter.
+ */
+function showInputLevel(talkButton, level) {
+  // Map -60 dBFS to an empty meter and 0 dBFS to a full one.
+  const fill = level ? Math.min(1, Math.max(0, level.decibels / 60 + 1)) : 0;
+  talkButton.style.setProperty("--inputLevel", `${Math.round(fill * 100)}%`);
+  talkButton.classList.toggle("clipping", Boolean(level && level.clipping));
+}
@@ -0,0 +1,384 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { Engine } from "@babylonjs/core/Engines/engine";
+import { Messenger } from "@amazon-sumerian-hosts/babylon";
+import { amplitudeToDecibels, decodeL16 } from "./AudioUtils";
+
+/**
+ * Sample rate of the "audio/pcm" audio stream returned by Lex.
+ */
+const LEX_PCM_SAMPLE_RATE = 16000;
+
+/**
+ * Polly visemes used to approximate mouth shapes, keyed by the sound class
+ * detected in the audio. Each viseme layer of the host's LipsyncFeature maps
+ * them to its own blend names, as it does for the speech marks of host speech.
+ */
+const SOUND_VISEMES = {
+  open: "a",
+  front: "e",
+  rounded: "o",
+  sibilant: "s",
+};
+
+/**
+ * Viseme layers animated when the host has no LipsyncFeature to take them
+ * from.
+ */
+const DEFAULT_VISEME_LAYERS = [
+  { name: "Viseme", animation: "visemes", visemeMap: {} },
+];
+
+/**
+ * Panner settings matching Babylon's spatial sounds, which play host speech.
+ */
+const SPATIAL_SOUND_SETTINGS = {
+  panningModel: "equalpower",
+  distanceModel: "linear",
+  refDistance: 1,
+  maxDistance: 100,
+  rolloffFactor: 1,
+};
+
+/**
+ * Plays audio returned by Lex through the host and animates the host's mouth
+ * from an analysis of that audio, so no second text-to-speech call is needed.
+ * The loudness of the audio controls how far the mouth opens and its spectral
+ * centroid picks between open, front, rounded and sibilant mouth shapes.
+ *
+ * The audio plays like host speech: through Babylon's audio engine, at the
+ * volume of the host's TextToSpeechFeature and positioned at the host.
+ */
+class AudioResponsePlayer extends Messenger {
+  /**
+   * @constructor
+   *
+   * @param {HostObject} host - The host whose mouth should move
+   * @param {Object=} options
+   * @param {AudioContext=} options.audioContext - The context used for
+   *     playback. Defaults to the context of Babylon's audio engine.
+   * @param {AudioNode=} options.destination - The node audio is played into.
+   *     Defaults to the master gain of Babylon's audio engine, or to the
+   *     destination of a custom audioContext.
+   * @param {(TransformNode|null)=} options.attachTo - The node the audio is
+   *     positioned at. Defaults to the host's owner. Pass null to play the
+   *     audio without positioning it.
+   * @param {Array<Object>=} options.visemeLayers - The viseme layers to
+   *     animate, in the shape of the layers option of LipsyncFeature, e.g.
+   *     [{ name: "Viseme", animation: "visemes", visemeMap: {} }]. Defaults to
+   *     the viseme layers of the host's LipsyncFeature.
+   * @param {number=} options.silenceThreshold - Level in dBFS below which the
+   *     mouth is closed. Defaults to -50.
+   * @param {number=} options.fullOpenLevel - Level in dBFS at which the mouth
+   *     is fully open. Defaults to -15.
+   */
+  constructor(host, options = {}) {
+    super();
+
+    const { audioEngine } = Engine;
+    const useAudioEngine = !options.audioContext && Boolean(audioEngine);
+
+    this._host = host;
+    this._audioContext = useAudioEngine
+      ? audioEngine.audioContext
+      : options.audioContext || new AudioContext();
+    this._destination =
+      options.destination ||
+      (useAudioEngine
+        ? audioEngine.masterGain
+        : this._audioContext.destination);
+    this._attachTo =
+      options.attachTo !== undefined ? options.attachTo : host.owner;
+    this._visemeLayers = options.visemeLayers || getHostVisemeLayers(host);
+    this._silenceThreshold = options.silenceThreshold ?? -50;
+    this._fullOpenLevel = options.fullOpenLevel ?? -15;
+
+    this._source = undefined;
+    this._analyser = undefined;
+    this._output = undefined;
+    this._panner = undefined;
+    this._frameRequest = undefined;
+    this._currentViseme = undefined;
+    this._finishPlayback = undefined;
+  }
+
+  /**
+   * @returns {boolean} Whether audio is currently playing.
+   */
+  get isPlaying() {
+    return this._source !== undefined;
+  }
+
+  /**
+   * Plays a Lex audio stream and lip-syncs the host to it. Any audio that is
+   * already playing is stopped first.
+   *
+   * @param {Uint8Array|ArrayBuffer|Blob} audioStream - The audioStream of a Lex
+   *     response
+   * @param {string} contentType - The contentType of the Lex response, e.g.
+   *     "audio/pcm" or "audio/mpeg"
+   *
+   * @returns {Promise} A Promise that resolves when playback ends or is
+   * stopped.
+   */
+  async play(audioStream, contentType) {
+    this.stop();
+
+    const audioBuffer = await this._decode(audioStream, contentType);
+
+    if (this._audioContext.state === "suspended") {
+      await this._audioContext.resume();
+    }
+
+    const source = this._audioContext.createBufferSource();
+    source.buffer = audioBuffer;
+
+    const analyser = this._audioContext.createAnalyser();
+    analyser.fftSize = 1024;
+    source.connect(analyser);
+
+    const output = this._audioContext.createGain();
+    analyser.connect(output);
+    if (this._attachTo) {
+      const panner = this._audioContext.createPanner();
+      Object.assign(panner, SPATIAL_SOUND_SETTINGS);
+      output.connect(panner);
+      panner.connect(this._destination);
+      this._panner = panner;
+    } else {
+      output.connect(this._destination);
+    }
+
+    this._source = source;
+    this._analyser = analyser;
+    this._output = output;
+    this._updateOutput();
+
+    const finished = new Promise((resolve) => {
+      this._finishPlayback = resolve;
+      source.onended = () => {
+        if (this._source === source) this.stop();
+      };
+    });
+
+    source.start();
+    this._animate();
+    this.emit(AudioResponsePlayer.EVENTS.play);
+
+    return finished;
+  }
+
+  /**
+   * Stops playback and closes the host's mouth.
+   */
+  stop() {
+    if (!this._source) return;
+
+    const source = this._source;
+    this._source = undefined;
+    source.onended = null;
+    try {
+      source.stop();
+    } catch (error) {
+      // The source already finished playing.
+    }
+    source.disconnect();
+    this._analyser.disconnect();
+    this._output.disconnect();
+    if (this._panner) this._panner.disconnect();
+    this._analyser = undefined;
+    this._output = undefined;
+    this._panner = undefined;
+
+    cancelAnimationFrame(this._frameRequest);
+    this._setViseme(undefined, 0);
+
+    this._finishPlayback();
+    this._finishPlayback = undefined;
+    this.emit(AudioResponsePlayer.EVENTS.stop);
+  }
+
+  /**
+   * Converts a Lex audio stream to an AudioBuffer. Raw PCM is decoded directly.
+   * Compressed formats are decoded by the browser.
+   */
+  async _decode(audioStream, contentType) {
+    let data = audioStream;
+    if (typeof Blob !== "undefined" && data instanceof Blob) {
+      data = await data.arrayBuffer();
+    }
+    const bytes = ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+
+    if (/^audio\/pcm/.test(contentType)) {
+      const samples = decodeL16(bytes);
+      const audioBuffer = this._audioContext.createBuffer(
+        1,
+        Math.max(samples.length, 1),
+        LEX_PCM_SAMPLE_RATE
+      );
+      audioBuffer.copyToChannel(samples, 0);
+      return audioBuffer;
+    }
+
+    // decodeAudioData detaches the buffer it's given, so pass a copy.
+    return this._audioContext.decodeAudioData(bytes.slice().buffer);
+  }
+
+  /**
+   * Matches the volume and position of the audio to the host's speech.
+   */
+  _updateOutput() {
+    const { volume } = this._host.TextToSpeechFeature;
+    this._output.gain.value = typeof volume === "number" ? volume : 1;
+
+    if (this._panner) {
+      const { x, y, z } = this._attachTo.getAbsolutePosition();
+      this._panner.setPosition(x, y, z);
+    }
+  }
+
+  /**
+   * Analyses the audio once per animation frame and updates the mouth shape
+   * and the output.
+   */
+  _animate() {
+    const analyser = this._analyser;
+    const timeData = new Float32Array(analyser.fftSize);
+    const frequencyData = new Float32Array(analyser.frequencyBinCount);
+    const binWidth = this._audioContext.sampleRate / analyser.fftSize;
+
+    const update = () => {
+      if (this._analyser !== analyser) return;
+
+      this._updateOutput();
+      analyser.getFloatTimeDomainData(timeData);
+      analyser.getFloatFrequencyData(frequencyData);
+
+      let squareSum = 0;
+      for (let i = 0; i < timeData.length; i++) {
+        squareSum += timeData[i] * timeData[i];
+      }
+      const level = amplitudeToDecibels(Math.sqrt(squareSum / timeData.length));
+
+      if (level < this._silenceThreshold) {
+        this._setViseme(undefined, 0);
+      } else {
+        const openness = Math.min(
+          1,
+          (level - this._silenceThreshold) /
+            (this._fullOpenLevel - this._silenceThreshold)
+        );
+        const viseme = classifySound(
+          getSpectralCentroid(frequencyData, binWidth)
+        );
+        this._setViseme(viseme, openness);
+      }
+
+      this._frameRequest = requestAnimationFrame(update);
+    };
+
+    this._frameRequest = requestAnimationFrame(update);
+  }
+
+  /**
+   * Blends the host's mouth to a single viseme on every viseme layer.
+   *
+   * @param {string|undefined} viseme - Polly viseme, or undefined to close the
+   *     mouth
+   * @param {number} weight - Blend weight between 0 and 1
+   */
+  _setViseme(viseme, weight) {
+    const { AnimationFeature } = this._host;
+    const transitionTime = 0.06;
+
+    this._visemeLayers.forEach(({ name, animation, visemeMap = {} }) => {
+      const getBlendName = (value) =>
+        visemeMap[value] ? visemeMap[value].name : value;
+
+      if (this._currentViseme && this._currentViseme !== viseme) {
+        AnimationFeature.setAnimationBlendWeight(
+          name,
+          animation,
+          getBlendName(this._currentViseme),
+          0,
+          transitionTime
+        );
+      }
+
+      if (viseme) {
+        AnimationFeature.setAnimationBlendWeight(
+          name,
+          animation,
+          getBlendName(viseme),
+          weight,
+          transitionTime
+        );
+      }
+    });
+
+    this._currentViseme = viseme;
+  }
+}
+
+// Define static class properties.
+Object.defineProperties(AudioResponsePlayer, {
+  EVENTS: {
+    value: {
+      play: "play",
+      stop: "stop",
+    },
+  },
+});
+
+/**
+ * Returns the viseme layers set up on the host's LipsyncFeature, so the mouth
+ * is animated the same way as for host speech.
+ */
+function getHostVisemeLayers(host) {
+  // LipsyncFeature keeps the options of each viseme layer, including the
+  // visemeMap merged with its defaults, keyed by layer name.
+  const layers = host.LipsyncFeature && host.LipsyncFeature._visemeLayers;
+  if (!layers || Object.keys(layers).length === 0) {
+    return DEFAULT_VISEME_LAYERS;
+  }
+
+  return Object.entries(layers).map(([name, { animation, visemeMap }]) => ({
+    name,
+    animation,
+    visemeMap,
+  }));
+}
+
+/**
+ * Returns the power-weighted mean frequency of a spectrum.
+ *
+ * @param {Float32Array} frequencyData - Spectrum magnitudes in decibels
+ * @param {number} binWidth - Width of each frequency bin in Hz
+ */
+function getSpectralCentroid(frequencyData, binWidth) {
+  let weightedSum = 0;
+  let totalPower = 0;
+  for (let i = 0; i < frequencyData.length; i++) {
+    const power = 10 ** (frequencyData[i] / 10);
+    weightedSum += power * i * binWidth;
+    totalPower += power;
+  }
+  return totalPower > 0 ? weightedSum / totalPower : 0;
+}
+
+/**
+ * Picks a mouth shape from the spectral centroid of the sound. Rounded vowels
+ * are dark, front vowels are brighter and sibilants are mostly high frequency
+ * noise.
+ */
+function classifySound(centroid) {
+  if (centroid > 3500) return SOUND_VISEMES.sibilant;
+  if (centroid > 1800) return SOUND_VISEMES.front;
+  if (centroid < 900) return SOUND_VISEMES.rounded;
+  return SOUND_VISEMES.open;
+}
+
+export default AudioResponsePlayer;
+export { AudioResponsePlayer };
@@ -5,8 +5,9 @@
 /**
  * Downsamples the audio to a target sample rate.
  *
- * Inspired by the following blog post from the Lex team:
- * https://aws.amazon.com/blogs/machine-learning/capturing-voice-input-in-a-browser/
+ * Kept for backwards compatibility. This is now a thin wrapper around
+ * resampleAudio(), so it low-pass filters the input and also supports target
+ * rates higher than the source rate.
  *
  * @param {Float32Array} buffer - Input audio buffer
  * @param {float} sourceSampleRate - Sample rate of the input audio buffer
@@ -19,88 +20,756 @@ export function downsampleAudio(buffer, sourceSampleRate, targetSampleRate) {
     return;
   }
 
+  return resampleAudio(buffer, sourceSampleRate, targetSampleRate);
+}
+
+/**
+ * Converts audio to a different sample rate using band-limited (windowed-sinc)
+ * interpolation. The input is low-pass filtered below the lower of the two
+ * Nyquist frequencies, so downsampling doesn't alias and upsampling doesn't
+ * create images.
+ *
+ * @param {Float32Array} buffer - Input audio buffer
+ * @param {float} sourceSampleRate - Sample rate of the input audio buffer
+ * @param {float} targetSampleRate - Sample rate to convert to
+ * @param {Object=} options - Filter options. See the Resampler constructor.
+ *
+ * @return {Float32Array} Resampled audio buffer
+ */
+export function resampleAudio(
+  buffer,
+  sourceSampleRate,
+  targetSampleRate,
+  options = {}
+) {
   if (sourceSampleRate === targetSampleRate) {
     return buffer;
   }
 
-  if (sourceSampleRate < targetSampleRate) {
-    throw Error(
-      `Input Sample rate ${sourceSampleRate} is less than target sample rate ${targetSampleRate}.`
-    );
+  const resampler = new Resampler(sourceSampleRate, targetSampleRate, options);
+  const head = resampler.process(buffer);
+  const tail = resampler.flush();
+
+  const result = new Float32Array(head.length + tail.length);
+  result.set(head);
+  result.set(tail, head.length);
+  return result;
+}
+
+/**
+ * Streaming sample rate converter. Feed it consecutive chunks of audio with
+ * process() and it returns the resampled audio available so far, keeping its
+ * filter state between calls so chunk boundaries are seamless. Call flush()
+ * after the last chunk to get the remaining output.
+ *
+ * Output is delayed by the filter's half-width, so process() may return fewer
+ * samples than expected until flush() is called.
+ */
+export class Resampler {
+  /**
+   * @constructor
+   *
+   * @param {float} sourceSampleRate - Sample rate of the input audio
+   * @param {float} targetSampleRate - Sample rate of the output audio
+   * @param {Object=} options
+   * @param {number=} options.zeroCrossings - Number of sinc zero crossings on
+   *     each side of the filter kernel. Higher values give a steeper filter at
+   *     a higher CPU cost. Defaults to 16.
+   * @param {number=} options.rolloff - Filter cutoff as a fraction of the lower
+   *     Nyquist frequency. Defaults to 0.95.
+   */
+  constructor(
+    sourceSampleRate,
+    targetSampleRate,
+    { zeroCrossings = 16, rolloff = 0.95 } = {}
+  ) {
+    if (!(sourceSampleRate > 0) || !(targetSampleRate > 0)) {
+      throw Error(
+        `Invalid sample rates ${sourceSampleRate} and ${targetSampleRate}. Sample rates must be positive.`
+      );
+    }
+
+    this._step = sourceSampleRate / targetSampleRate;
+    this._ratio = targetSampleRate / sourceSampleRate;
+    this._cutoff = Math.min(1, this._ratio) * rolloff;
+    this._halfWidth = Math.ceil(zeroCrossings / this._cutoff);
+    this._kernel = createSincKernel(this._cutoff, this._halfWidth);
+    this.reset();
+  }
+
+  /**
+   * Clears the filter state so the resampler can be used for a new stream.
+   */
+  reset() {
+    // Pretend the stream is preceded by silence so the first output sample
+    // lines up with the first input sample.
+    this._buffer = new Float32Array(this._halfWidth);
+    this._time = this._halfWidth;
+    this._inputCount = 0;
+    this._outputCount = 0;
+  }
+
+  /**
+   * Resamples the next chunk of the stream.
+   *
+   * @param {Float32Array} chunk - The next input samples
+   *
+   * @return {Float32Array} The output samples that could be computed
+   */
+  process(chunk) {
+    this._append(chunk);
+    this._inputCount += chunk.length;
+    return this._render(Infinity);
+  }
+
+  /**
+   * Ends the stream, returning any output still held back by the filter, and
+   * resets the resampler.
+   *
+   * @return {Float32Array} The remaining output samples
+   */
+  flush() {
+    const expectedCount = Math.round(this._inputCount * this._ratio);
+    this._append(new Float32Array(this._halfWidth + 1));
+    const output = this._render(expectedCount - this._outputCount);
+    this.reset();
+    return output;
+  }
+
+  _append(chunk) {
+    const buffer = new Float32Array(this._buffer.length + chunk.length);
+    buffer.set(this._buffer);
+    buffer.set(chunk, this._buffer.length);
+    this._buffer = buffer;
   }
 
-  const bufferLength = buffer.length;
-  const sampleRateRatio = sourceSampleRate / targetSampleRate;
-  const newLength = Math.round(bufferLength / sampleRateRatio);
+  /**
+   * Computes up to `maxCount` output samples from the buffered input and
+   * discards input that is no longer needed.
+   */
+  _render(maxCount) {
+    const buffer = this._buffer;
+    const halfWidth = this._halfWidth;
+    const kernel = this._kernel;
+    const scale = KERNEL_RESOLUTION;
+    const output = [];
+
+    while (
+      output.length < maxCount &&
+      Math.floor(this._time) + halfWidth < buffer.length
+    ) {
+      const center = this._time;
+      const first = Math.floor(center) - halfWidth + 1;
+      const last = Math.floor(center) + halfWidth;
+      let sum = 0;
 
-  const downsampledBuffer = new Float32Array(newLength);
+      for (let i = first; i <= last; i++) {
+        // Linearly interpolate the tabulated kernel.
+        const position = Math.abs(center - i) * scale;
+        const index = Math.floor(position);
+        if (index + 1 >= kernel.length) continue;
 
-  let position = 0;
-  let bufferOffset = 0;
-  while (position < newLength) {
-    const nextBufferOffset = Math.round((position + 1) * sampleRateRatio);
+        const fraction = position - index;
+        const weight =
+          kernel[index] + (kernel[index + 1] - kernel[index]) * fraction;
+        sum += buffer[i] * weight;
+      }
 
-    let accumulator = 0;
-    let count = 0;
-    for (let i = bufferOffset; i < nextBufferOffset && i < bufferLength; i++) {
-      accumulator += buffer[i];
-      count++;
+      output.push(sum);
+      this._time += this._step;
     }
 
-    downsampledBuffer[position] = accumulator / count;
-    position++;
-    bufferOffset = nextBufferOffset;
+    // Keep only the input needed by the next output sample.
+    const keepFrom = Math.max(
+      0,
+      Math.min(buffer.length, Math.floor(this._time) - halfWidth + 1)
+    );
+    this._buffer = buffer.slice(keepFrom);
+    this._time -= keepFrom;
+    this._outputCount += output.length;
+
+    return Float32Array.from(output);
   }
+}
+
+/**
+ * Number of kernel table entries per input sample.
+ */
+const KERNEL_RESOLUTION = 64;
 
-  return downsampledBuffer;
+/**
+ * Tabulates one side of a Blackman-windowed sinc low-pass filter.
+ *
+ * @param {number} cutoff - Cutoff frequency as a fraction of the input Nyquist
+ *     frequency
+ * @param {number} halfWidth - Half-width of the kernel in input samples
+ *
+ * @return {Float32Array} Kernel values at distances of 0 to halfWidth input
+ * samples, KERNEL_RESOLUTION entries per sample
+ */
+function createSincKernel(cutoff, halfWidth) {
+  const length = halfWidth * KERNEL_RESOLUTION + 1;
+  const kernel = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const distance = i / KERNEL_RESOLUTION;
+    const x = Math.PI * cutoff * distance;
+    const sinc = x === 0 ? 1 : Math.sin(x) / x;
+    const phase = (Math.PI * distance) / halfWidth;
+    const window = 0.42 + 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+    kernel[i] = cutoff * sinc * window;
+  }
+
+  return kernel;
 }
 
+/**
+ * WAV format tags.
+ */
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
 /**
  * Converts audio data to WAV.
  *
  * Inspired by the following blog post from the Lex team:
  * https://aws.amazon.com/blogs/machine-learning/capturing-voice-input-in-a-browser/
  *
- * @param {Float32Array} buffer - Input audio buffer
+ * @param {Float32Array|Array<Float32Array>} buffer - Input audio buffer, or one
+ *     buffer per channel. All channels must have the same length.
  * @param {float} targetSampleRate - Sample rate for the output audio
+ * @param {Object=} options
+ * @param {number=} options.bitDepth - Bits per sample. 8, 16, 24 or 32.
+ *     Defaults to 16.
+ * @param {boolean=} options.float - Whether to write 32-bit IEEE float samples
+ *     instead of integers. Requires a bitDepth of 32. Defaults to false.
  *
  * @return {DataView} Converted audio data
  */
-export function encodeWAV(buffer, targetSampleRate) {
+export function encodeWAV(buffer, targetSampleRate, options = {}) {
   function _writeString(view, offset, string) {
     for (let i = 0; i < string.length; i++) {
       view.setUint8(offset + i, string.charCodeAt(i));
     }
   }
-  function _floatTo16BitPCM(view, offset, input) {
-    for (let i = 0; i < input.length; i++, offset += 2) {
-      const s = Math.max(-1, Math.min(1, input[i]));
-      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
-    }
-  }
 
   if (!buffer) {
     return;
   }
 
+  const { bitDepth = 16, float = false } = options;
+  validateSampleFormat(bitDepth, float);
+
+  const channels = Array.isArray(buffer) ? buffer : [buffer];
+  if (!channels.length) {
+    throw Error("Failed to encode WAV. At least one channel is required.");
+  }
+  if (channels.some((channel) => channel.length !== channels[0].length)) {
+    throw Error(
+      "Failed to encode WAV. All channels must have the same length."
+    );
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channels.length * bytesPerSample;
+  const dataLength = channels[0].length * blockAlign;
+
   //Insert WAV format related info at the beginning of the buffer up to offset 44
-  const encodedBuffer = new ArrayBuffer(44 + buffer.length * 2);
+  const encodedBuffer = new ArrayBuffer(44 + dataLength);
   const view = new DataView(encodedBuffer);
 
   _writeString(view, 0, "RIFF");
-  view.setUint32(4, 32 + buffer.length * 2, true);
+  view.setUint32(4, 36 + dataLength, true);
   _writeString(view, 8, "WAVE");
   _writeString(view, 12, "fmt ");
   view.setUint32(16, 16, true);
-  view.setUint16(20, 1, true);
-  view.setUint16(22, 1, true);
+  view.setUint16(20, float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+  view.setUint16(22, channels.length, true);
   view.setUint32(24, targetSampleRate, true);
-  view.setUint32(28, targetSampleRate * 2, true);
-  view.setUint16(32, 2, true);
-  view.setUint16(34, 16, true);
+  view.setUint32(28, targetSampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
   _writeString(view, 36, "data");
-  view.setUint32(40, buffer.length * 2, true);
-  _floatTo16BitPCM(view, 44, buffer);
+  view.setUint32(40, dataLength, true);
+  writeInterleavedSamples(view, 44, channels, bitDepth, float);
+
+  return view;
+}
+
+/**
+ * Converts mono audio data to headerless 16-bit little-endian PCM, the format
+ * Lex expects for the "audio/x-l16" and "audio/lpcm" content types.
+ *
+ * @param {Float32Array} buffer - Input audio buffer
+ *
+ * @return {DataView} Converted audio data
+ */
+export function encodeL16(buffer) {
+  if (!buffer) {
+    return;
+  }
 
+  const view = new DataView(new ArrayBuffer(buffer.length * 2));
+  writeInterleavedSamples(view, 0, [buffer], 16, false);
   return view;
 }
+
+/**
+ * Converts headerless 16-bit little-endian PCM, such as the "audio/pcm" audio
+ * stream returned by Lex, to float samples.
+ *
+ * @param {ArrayBuffer|TypedArray|DataView} data - The PCM data
+ *
+ * @return {Float32Array} Decoded samples in the range [-1, 1]
+ */
+export function decodeL16(data) {
+  const view = toDataView(data);
+  const result = new Float32Array(Math.floor(view.byteLength / 2));
+  for (let i = 0; i < result.length; i++) {
+    result[i] = readSample(view, i * 2, 16, false);
+  }
+  return result;
+}
+
+/**
+ * Parses a WAV file. Chunks other than "fmt " and "data" are skipped. Supports
+ * 8, 16, 24 and 32-bit integer PCM and 32 and 64-bit float data, including
+ * WAVE_FORMAT_EXTENSIBLE files.
+ *
+ * @param {ArrayBuffer|TypedArray|DataView} data - The WAV file contents
+ *
+ * @return {{sampleRate: number, bitDepth: number, float: boolean, channels: Array<Float32Array>}}
+ * The decoded audio with one Float32Array per channel
+ */
+export function decodeWAV(data) {
+  const view = toDataView(data);
+
+  if (
+    view.byteLength < 12 ||
+    readString(view, 0, 4) !== "RIFF" ||
+    readString(view, 8, 4) !== "WAVE"
+  ) {
+    throw Error("Failed to decode WAV. The data is not a RIFF/WAVE file.");
+  }
+
+  let format;
+  let dataOffset;
+  let dataLength;
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = readString(view, offset, 4);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const chunkStart = offset + 8;
+
+    if (chunkId === "fmt ") {
+      let formatTag = view.getUint16(chunkStart, true);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 26) {
+        // The real format tag is the start of the sub-format GUID.
+        formatTag = view.getUint16(chunkStart + 24, true);
+      }
+
+      format = {
+        formatTag,
+        channelCount: view.getUint16(chunkStart + 2, true),
+        sampleRate: view.getUint32(chunkStart + 4, true),
+        blockAlign: view.getUint16(chunkStart + 12, true),
+        bitDepth: view.getUint16(chunkStart + 14, true),
+      };
+    } else if (chunkId === "data") {
+      dataOffset = chunkStart;
+      // Tolerate streamed files whose data size was never filled in.
+      dataLength = Math.min(chunkSize, view.byteLength - chunkStart);
+    }
+
+    // Chunks are padded to an even number of bytes.
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format || dataOffset === undefined) {
+    throw Error(
+      'Failed to decode WAV. The file is missing its "fmt " or "data" chunk.'
+    );
+  }
+
+  const { formatTag, channelCount, sampleRate, blockAlign, bitDepth } = format;
+  const float = formatTag === WAVE_FORMAT_IEEE_FLOAT;
+  if (formatTag !== WAVE_FORMAT_PCM && !float) {
+    throw Error(`Failed to decode WAV. Unsupported format tag ${formatTag}.`);
+  }
+  validateSampleFormat(bitDepth, float);
+
+  const frameCount = Math.floor(dataLength / blockAlign);
+  const bytesPerSample = bitDepth / 8;
+  const channels = [];
+  for (let c = 0; c < channelCount; c++) {
+    channels.push(new Float32Array(frameCount));
+  }
+
+  for (let i = 0; i < frameCount; i++) {
+    const frameOffset = dataOffset + i * blockAlign;
+    for (let c = 0; c < channelCount; c++) {
+      channels[c][i] = readSample(
+        view,
+        frameOffset + c * bytesPerSample,
+        bitDepth,
+        float
+      );
+    }
+  }
+
+  return { sampleRate, bitDepth, float, channels };
+}
+
+/**
+ * Averages multiple channels into a single mono channel.
+ *
+ * @param {Array<Float32Array>} channels - Input channels of equal length
+ *
+ * @return {Float32Array} Mono audio buffer
+ */
+export function mixToMono(channels) {
+  if (channels.length === 1) {
+    return channels[0];
+  }
+
+  const result = new Float32Array(channels[0].length);
+  for (let c = 0; c < channels.length; c++) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] += channels[c][i] / channels.length;
+    }
+  }
+  return result;
+}
+
+function validateSampleFormat(bitDepth, float) {
+  const supported = float ? [32, 64] : [8, 16, 24, 32];
+  if (!supported.includes(bitDepth)) {
+    throw Error(
+      `Unsupported ${float ? "float" : "integer"} bit depth ${bitDepth}.`
+    );
+  }
+}
+
+function toDataView(data) {
+  if (data instanceof DataView) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new DataView(data);
+}
+
+function readString(view, offset, length) {
+  let result = "";
+  for (let i = 0; i < length; i++) {
+    result += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return result;
+}
+
+/**
+ * Writes float samples as interleaved little-endian PCM.
+ */
+function writeInterleavedSamples(view, offset, channels, bitDepth, float) {
+  const bytesPerSample = bitDepth / 8;
+
+  for (let i = 0; i < channels[0].length; i++) {
+    for (let c = 0; c < channels.length; c++, offset += bytesPerSample) {
+      const s = Math.max(-1, Math.min(1, channels[c][i]));
+
+      if (float) {
+        view.setFloat32(offset, s, true);
+        continue;
+      }
+
+      switch (bitDepth) {
+        case 8:
+          // 8-bit WAV samples are unsigned, centred on 128. Use the same
+          // scale as readSample() so samples round-trip.
+          view.setUint8(offset, Math.min(255, Math.round(s * 128 + 128)));
+          break;
+        case 16:
+          view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+          break;
+        case 24: {
+          const value = Math.round(s < 0 ? s * 0x800000 : s * 0x7fffff);
+          view.setUint8(offset, value & 0xff);
+          view.setUint8(offset + 1, (value >> 8) & 0xff);
+          view.setUint8(offset + 2, (value >> 16) & 0xff);
+          break;
+        }
+        default:
+          view.setInt32(
+            offset,
+            Math.round(s < 0 ? s * 0x80000000 : s * 0x7fffffff),
+            true
+          );
+          break;
+      }
+    }
+  }
+}
+
+/**
+ * Reads a single little-endian PCM sample as a float in the range [-1, 1].
+ */
+function readSample(view, offset, bitDepth, float) {
+  if (float) {
+    return bitDepth === 64
+      ? view.getFloat64(offset, true)
+      : view.getFloat32(offset, true);
+  }
+
+  switch (bitDepth) {
+    case 8:
+      return (view.getUint8(offset) - 128) / 128;
+    case 16:
+      return view.getInt16(offset, true) / 0x8000;
+    case 24: {
+      let value =
+        view.getUint8(offset) |
+        (view.getUint8(offset + 1) << 8) |
+        (view.getUint8(offset + 2) << 16);
+      // Sign-extend the 24-bit value.
+      if (value & 0x800000) value -= 0x1000000;
+      return value / 0x800000;
+    }
+    default:
+      return view.getInt32(offset, true) / 0x80000000;
+  }
+}
+
+/**
+ * Converts a linear amplitude value to decibels relative to full scale (dBFS).
+ *
+ * @param {number} amplitude - Linear amplitude, where 1 is full scale
+ *
+ * @return {number} Amplitude in dBFS. Silence is clamped to -200 dBFS.
+ */
+export function amplitudeToDecibels(amplitude) {
+  return 20 * Math.log10(Math.max(amplitude, 1e-10));
+}
+
+/**
+ * Measures the root-mean-square and peak amplitude of an audio buffer.
+ *
+ * @param {Float32Array} buffer - Input audio buffer
+ *
+ * @return {{rms: number, peak: number, length: number}} Measured levels
+ */
+export function measureLevel(buffer) {
+  let squareSum = 0;
+  let peak = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    squareSum += buffer[i] * buffer[i];
+    peak = Math.max(peak, Math.abs(buffer[i]));
+  }
+
+  return {
+    rms: buffer.length ? Math.sqrt(squareSum / buffer.length) : 0,
+    peak,
+    length: buffer.length,
+  };
+}
+
+/**
+ * Default settings for preprocessAudio(). Each step can be turned off by
+ * setting it to false.
+ */
+export const DEFAULT_PREPROCESSING_OPTIONS = {
+  highPass: { cutoff: 80 },
+  trimSilence: { threshold: -50, frameTime: 10, padding: 150 },
+  maxDuration: 15,
+  normalize: { targetPeak: -3, maxGain: 20 },
+};
+
+/**
+ * Prepares recorded speech for speech recognition. The steps run in this
+ * order: high-pass filtering removes rumble and DC offset, leading and trailing
+ * silence is trimmed, the result is cut to the maximum duration and its gain
+ * is normalized.
+ *
+ * @param {Float32Array} buffer - Input audio buffer
+ * @param {float} sampleRate - Sample rate of the input audio buffer
+ * @param {Object=} options - Settings for each step, merged with
+ *     DEFAULT_PREPROCESSING_OPTIONS. Set a step to false to skip it.
+ * @param {(Object|false)=} options.highPass - Options for highPassFilter().
+ * @param {(Object|false)=} options.trimSilence - Options for trimSilence().
+ * @param {(number|false)=} options.maxDuration - Maximum length of the result
+ *     in seconds.
+ * @param {(Object|false)=} options.normalize - Options for normalizeGain().
+ *
+ * @return {{buffer: Float32Array, duration: number, originalDuration: number,
+ * truncated: boolean, gain: number}} The processed audio, its duration and
+ * the duration of the input in seconds, whether it was cut to the maximum
+ * duration and the linear gain that was applied.
+ */
+export function preprocessAudio(buffer, sampleRate, options = {}) {
+  const {
+    highPass,
+    trimSilence: trim,
+    maxDuration,
+    normalize,
+  } = {
+    ...DEFAULT_PREPROCESSING_OPTIONS,
+    ...options,
+  };
+  let result = buffer;
+  let truncated = false;
+  let gain = 1;
+
+  if (highPass) {
+    result = highPassFilter(result, sampleRate, highPass);
+  }
+
+  if (trim) {
+    result = trimSilence(result, sampleRate, trim);
+  }
+
+  if (maxDuration) {
+    const maxLength = Math.round(maxDuration * sampleRate);
+    if (result.length > maxLength) {
+      result = result.subarray(0, maxLength);
+      truncated = true;
+    }
+  }
+
+  if (normalize) {
+    ({ buffer: result, gain } = normalizeGain(result, normalize));
+  }
+
+  return {
+    buffer: result,
+    duration: result.length / sampleRate,
+    originalDuration: buffer.length / sampleRate,
+    truncated,
+    gain,
+  };
+}
+
+/**
+ * Removes low frequencies with a second order Butterworth high-pass filter.
+ *
+ * @param {Float32Array} buffer - Input audio buffer
+ * @param {float} sampleRate - Sample rate of the input audio buffer
+ * @param {Object=} options
+ * @param {number=} options.cutoff - Cutoff frequency in Hz. Defaults to 80.
+ *
+ * @return {Float32Array} Filtered audio buffer
+ */
+export function highPassFilter(buffer, sampleRate, options = {}) {
+  const { cutoff = 80 } = options;
+
+  // Biquad coefficients from the Audio EQ Cookbook, with Q = 1 / sqrt(2).
+  const w0 = (2 * Math.PI * cutoff) / sampleRate;
+  const alpha = Math.sin(w0) / Math.SQRT2;
+  const cosW0 = Math.cos(w0);
+  const a0 = 1 + alpha;
+  const b0 = (1 + cosW0) / 2 / a0;
+  const b1 = -(1 + cosW0) / a0;
+  const b2 = b0;
+  const a1 = (-2 * cosW0) / a0;
+  const a2 = (1 - alpha) / a0;
+
+  const result = new Float32Array(buffer.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    const x0 = buffer[i];
+    const y0 = b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    result[i] = y0;
+    x2 = x1;
+    x1 = x0;
+    y2 = y1;
+    y1 = y0;
+  }
+
+  return result;
+}
+
+/**
+ * Removes leading and trailing silence. Audio is measured in short frames and
+ * everything before the first and after the last frame at or above the
+ * threshold is dropped, apart from some padding. If no frame reaches the
+ * threshold the input is returned unchanged.
+ *
+ * @param {Float32Array} buffer - Input audio buffer
+ * @param {float} sampleRate - Sample rate of the input audio buffer
+ * @param {Object=} options
+ * @param {number=} options.threshold - Frame RMS level in dBFS that counts as
+ *     sound. Defaults to -50.
+ * @param {number=} options.frameTime - Frame length in milliseconds. Defaults
+ *     to 10.
+ * @param {number=} options.padding - Milliseconds of audio to keep before the
+ *     first and after the last loud frame. Defaults to 150.
+ *
+ * @return {Float32Array} Trimmed audio buffer. Shares memory with the input.
+ */
+export function trimSilence(buffer, sampleRate, options = {}) {
+  const { threshold = -50, frameTime = 10, padding = 150 } = options;
+  const frameLength = Math.max(1, Math.round((frameTime / 1000) * sampleRate));
+
+  let first = -1;
+  let last = -1;
+  for (let start = 0; start < buffer.length; start += frameLength) {
+    const frame = buffer.subarray(start, start + frameLength);
+    if (amplitudeToDecibels(measureLevel(frame).rms) >= threshold) {
+      if (first < 0) first = start;
+      last = start + frame.length;
+    }
+  }
+
+  if (first < 0) {
+    return buffer;
+  }
+
+  const paddingLength = Math.round((padding / 1000) * sampleRate);
+  return buffer.subarray(
+    Math.max(0, first - paddingLength),
+    Math.min(buffer.length, last + paddingLength)
+  );
+}
+
+/**
+ * Scales audio so its peak reaches a target level, without amplifying by more
+ * than a maximum gain so background noise in near-silent recordings isn't
+ * blown up.
+ *
+ * @param {Float32Array} buffer - Input audio buffer
+ * @param {Object=} options
+ * @param {number=} options.targetPeak - Peak level to reach in dBFS. Defaults
+ *     to -3.
+ * @param {number=} options.maxGain - Maximum amplification in dB. Defaults to
+ *     20.
+ *
+ * @return {{buffer: Float32Array, gain: number}} The scaled audio and the
+ * linear gain that was applied
+ */
+export function normalizeGain(buffer, options = {}) {
+  const { targetPeak = -3, maxGain = 20 } = options;
+  const { peak } = measureLevel(buffer);
+
+  if (peak === 0) {
+    return { buffer, gain: 1 };
+  }
+
+  const gain = Math.min(
+    decibelsToAmplitude(targetPeak) / peak,
+    decibelsToAmplitude(maxGain)
+  );
+  const result = new Float32Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) {
+    result[i] = buffer[i] * gain;
+  }
+
+  return { buffer: result, gain };
+}
+
+function decibelsToAmplitude(decibels) {
+  return 10 ** (decibels / 20);
+}
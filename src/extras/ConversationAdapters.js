@@ -0,0 +1,327 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { aws as AwsFeatures } from "@amazon-sumerian-hosts/babylon";
+import { LexV2Feature, getSlotValues } from "./LexV2Feature";
+
+/**
+ * Adapters connect a ConversationController to a chatbot backend. Each one
+ * sends the user's input to its backend and converts the backend's replies to
+ * the normalized response model described in ConversationController.
+ *
+ * An adapter implements:
+ *
+ *   supportsVoice         - Whether voice input is available.
+ *   subscribe(callbacks)  - Calls callbacks.response(rawResponse),
+ *                           callbacks.recordBegin(), callbacks.recordEnd() and
+ *                           callbacks.error(error) as things happen. Returns a
+ *                           function that unsubscribes.
+ *   sendText(text)        - Sends typed input. Returns a Promise.
+ *   enableMicInput(), beginVoiceRecording(), endVoiceRecording()
+ *                         - Voice input. Only needed if supportsVoice is true.
+ *   normalizeResponse(rawResponse, inputMode)
+ *                         - Converts a raw response. `inputMode` is "voice" or
+ *                           "text", for backends that don't report it.
+ */
+
+/**
+ * Adapter for the Lex V1 LexFeature of the Sumerian Hosts library.
+ */
+class LexV1Adapter {
+  /**
+   * @constructor
+   *
+   * @param {aws.LexFeature} lexFeature - The feature to talk to the bot with
+   */
+  constructor(lexFeature) {
+    this.feature = lexFeature;
+    this.supportsVoice = true;
+    this._onError = () => {};
+  }
+
+  subscribe(callbacks) {
+    const { EVENTS } = AwsFeatures.LexFeature;
+    const listeners = [
+      [EVENTS.lexResponseReady, callbacks.response],
+      [EVENTS.recordBegin, callbacks.recordBegin],
+      [EVENTS.recordEnd, callbacks.recordEnd],
+    ];
+    listeners.forEach(([event, callback]) =>
+      this.feature.listenTo(event, callback)
+    );
+    // LexFeature has no error event, so failed requests are reported here.
+    this._onError = callbacks.error;
+
+    return () => {
+      listeners.forEach(([event, callback]) =>
+        this.feature.stopListening(event, callback)
+      );
+      this._onError = () => {};
+    };
+  }
+
+  sendText(text) {
+    return this._reportErrors(this.feature.processWithText(text));
+  }
+
+  enableMicInput() {
+    return this.feature.enableMicInput();
+  }
+
+  beginVoiceRecording() {
+    this.feature.beginVoiceRecording();
+  }
+
+  endVoiceRecording() {
+    return this._reportErrors(this.feature.endVoiceRecording());
+  }
+
+  normalizeResponse(response, inputMode) {
+    const { dialogState } = response;
+    const intent = response.intentName
+      ? {
+          name: response.intentName,
+          state: ["ReadyForFulfillment", "Fulfilled", "Failed"].includes(
+            dialogState
+          )
+            ? dialogState
+            : "InProgress",
+          confirmationState: undefined,
+        }
+      : null;
+
+    const slots = {};
+    Object.entries(response.slots || {}).forEach(([name, value]) => {
+      if (value !== null && value !== undefined) slots[name] = value;
+    });
+
+    return {
+      messages: getV1Messages(response),
+      intent,
+      slots,
+      dialogState,
+      slotToElicit: response.slotToElicit || undefined,
+      transcript: response.inputTranscript
+        ? { text: response.inputTranscript, inputMode }
+        : null,
+      raw: response,
+    };
+  }
+
+  _reportErrors(promise) {
+    return promise.catch((error) => {
+      this._onError(error);
+      throw error;
+    });
+  }
+}
+
+/**
+ * Adapter for LexV2Feature.
+ */
+class LexV2Adapter {
+  /**
+   * @constructor
+   *
+   * @param {LexV2Feature} lexFeature - The feature to talk to the bot with
+   */
+  constructor(lexFeature) {
+    this.feature = lexFeature;
+    this.supportsVoice = true;
+  }
+
+  subscribe(callbacks) {
+    const { EVENTS } = LexV2Feature;
+    const listeners = [
+      [EVENTS.lexResponseReady, callbacks.response],
+      [EVENTS.recordBegin, callbacks.recordBegin],
+      [EVENTS.recordEnd, callbacks.recordEnd],
+      [EVENTS.lexError, callbacks.error],
+    ];
+    listeners.forEach(([event, callback]) =>
+      this.feature.listenTo(event, callback)
+    );
+
+    return () =>
+      listeners.forEach(([event, callback]) =>
+        this.feature.stopListening(event, callback)
+      );
+  }
+
+  sendText(text) {
+    return this.feature.processWithText(text);
+  }
+
+  enableMicInput() {
+    return this.feature.enableMicInput();
+  }
+
+  beginVoiceRecording() {
+    this.feature.beginVoiceRecording();
+  }
+
+  endVoiceRecording() {
+    return this.feature.endVoiceRecording();
+  }
+
+  normalizeResponse(response, inputMode) {
+    const sessionState = response.sessionState || {};
+    const { intent } = sessionState;
+    const dialogAction = sessionState.dialogAction || {};
+
+    // Lex V2 splits the V1 dialog state into the next dialog action and the
+    // state of the intent, which matters once the dialog is closed.
+    const dialogState =
+      !dialogAction.type || dialogAction.type === "Close"
+        ? intent && intent.state
+        : dialogAction.type;
+
+    let transcript = null;
+    if (response.inputTranscript) {
+      // Responses to putSession() don't report an input mode.
+      const reportedMode =
+        response.inputMode &&
+        (response.inputMode === "Text" ? "text" : "voice");
+      transcript = {
+        text: response.inputTranscript,
+        inputMode: reportedMode || inputMode,
+      };
+    }
+
+    return {
+      messages: response.messages || [],
+      intent: intent
+        ? {
+            name: intent.name,
+            state: intent.state,
+            confirmationState: intent.confirmationState,
+          }
+        : null,
+      slots: getSlotValues(intent && intent.slots),
+      dialogState,
+      slotToElicit: dialogAction.slotToElicit,
+      transcript,
+      raw: response,
+    };
+  }
+}
+
+/**
+ * Adapter for bots implemented in JavaScript, or reached through a backend
+ * that doesn't have a feature of its own. It supports typed input only.
+ */
+class CustomBotAdapter {
+  /**
+   * @constructor
+   *
+   * @param {Object} options
+   * @param {function(string): (string|Object|Promise)} options.sendText -
+   *     Called with the user's text. Returns, or resolves to, the reply text or
+   *     a partial normalized response, e.g. { messages, intent, dialogState }.
+   */
+  constructor({ sendText }) {
+    this._sendText = sendText;
+    this._callbacks = undefined;
+    this.supportsVoice = false;
+  }
+
+  subscribe(callbacks) {
+    this._callbacks = callbacks;
+    return () => {
+      this._callbacks = undefined;
+    };
+  }
+
+  async sendText(text) {
+    let response;
+    try {
+      response = await this._sendText(text);
+    } catch (error) {
+      if (this._callbacks) this._callbacks.error(error);
+      throw error;
+    }
+
+    // Replies don't echo the input, so the transcript comes from here.
+    const rawResponse =
+      typeof response === "string"
+        ? { messages: [{ contentType: "PlainText", content: response }] }
+        : { ...response };
+    if (!rawResponse.transcript) {
+      rawResponse.transcript = { text, inputMode: "text" };
+    }
+
+    if (this._callbacks) this._callbacks.response(rawResponse);
+    return rawResponse;
+  }
+
+  normalizeResponse(response) {
+    return {
+      messages: response.messages || [],
+      intent: response.intent || null,
+      slots: response.slots || {},
+      dialogState: response.dialogState,
+      slotToElicit: response.slotToElicit,
+      transcript: response.transcript || null,
+      raw: response,
+    };
+  }
+}
+
+/**
+ * Converts the message and response card of a Lex V1 response to Lex V2
+ * style messages.
+ */
+function getV1Messages(response) {
+  const messages = [];
+
+  if (response.message) {
+    const group =
+      response.messageFormat === "Composite" &&
+      parseMessageGroup(response.message);
+    if (group) {
+      group.forEach(({ type, value }) =>
+        messages.push({ contentType: type, content: value })
+      );
+    } else {
+      // A Composite message that can't be read is still shown as text.
+      messages.push({
+        contentType:
+          !response.messageFormat || response.messageFormat === "Composite"
+            ? "PlainText"
+            : response.messageFormat,
+        content: response.message,
+      });
+    }
+  }
+
+  const card = response.responseCard;
+  if (card && card.genericAttachments && card.genericAttachments.length) {
+    const attachment = card.genericAttachments[0];
+    messages.push({
+      contentType: "ImageResponseCard",
+      imageResponseCard: {
+        title: attachment.title,
+        subtitle: attachment.subTitle,
+        imageUrl: attachment.imageUrl,
+        buttons: attachment.buttons || [],
+      },
+    });
+  }
+
+  return messages;
+}
+
+/**
+ * Parses the message groups of a Lex V1 Composite message, which arrive as
+ * JSON, e.g. {"messages":[{"type":"PlainText","group":1,"value":"Hello"}]}.
+ * Returns undefined if the message isn't valid.
+ */
+function parseMessageGroup(message) {
+  try {
+    const { messages } = JSON.parse(message);
+    return Array.isArray(messages) ? messages : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+export { LexV1Adapter, LexV2Adapter, CustomBotAdapter };
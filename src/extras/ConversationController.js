@@ -0,0 +1,144 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { Messenger } from "@amazon-sumerian-hosts/babylon";
+
+/**
+ * Drives a conversation with any chatbot backend through an adapter (see
+ * ConversationAdapters), so user interface, speech and gesture code can be
+ * written once for Lex V1, Lex V2 and custom bots.
+ *
+ * Every reply is emitted as a `response` event carrying a normalized response:
+ *
+ *   messages     - Lex V2 style messages, e.g. { contentType: "PlainText",
+ *                  content: "Hello" }. Lex V1 response cards become
+ *                  ImageResponseCard messages.
+ *   intent       - { name, state, confirmationState } of the active intent, or
+ *                  null.
+ *   slots        - Slot names mapped to their values. Unfilled slots are left
+ *                  out.
+ *   dialogState  - The Lex V1 style dialog state: "ElicitIntent", "ElicitSlot",
+ *                  "ConfirmIntent", "ReadyForFulfillment", "Fulfilled",
+ *                  "Failed" and so on.
+ *   slotToElicit - The slot the bot is asking for, if any.
+ *   transcript   - { text, inputMode } of the user input that was answered,
+ *                  where inputMode is "voice" or "text", or null.
+ *   raw          - The response as returned by the backend.
+ */
+class ConversationController extends Messenger {
+  /**
+   * @constructor
+   *
+   * @param {Object} adapter - The adapter for the chatbot backend
+   */
+  constructor(adapter) {
+    super();
+
+    this._adapter = adapter;
+    // Input mode of the request awaiting a reply, for backends that don't
+    // report it.
+    this._pendingInputMode = "voice";
+
+    this._unsubscribe = adapter.subscribe({
+      response: (rawResponse) => this._handleResponse(rawResponse),
+      recordBegin: () => {
+        this._pendingInputMode = "voice";
+        this.emit(ConversationController.EVENTS.recordBegin);
+      },
+      recordEnd: () => this.emit(ConversationController.EVENTS.recordEnd),
+      error: (error) => this.emit(ConversationController.EVENTS.error, error),
+    });
+  }
+
+  /**
+   * @returns {Object} The adapter for the chatbot backend.
+   */
+  get adapter() {
+    return this._adapter;
+  }
+
+  /**
+   * @returns {boolean} Whether the backend accepts voice input.
+   */
+  get supportsVoice() {
+    return this._adapter.supportsVoice;
+  }
+
+  /**
+   * Sends typed input to the bot. The reply is emitted as a response event.
+   *
+   * @param {string} text - What the user typed
+   *
+   * @returns {Promise} A Promise that resolves once the bot has replied, or
+   * rejects with the error that was also emitted as an error event.
+   */
+  sendText(text) {
+    this._pendingInputMode = "text";
+    return this._adapter.sendText(text);
+  }
+
+  /**
+   * Requests access to the microphone.
+   *
+   * @returns {Promise} A Promise that resolves once the microphone is ready.
+   */
+  enableMicInput() {
+    this._assertVoiceSupport();
+    return this._adapter.enableMicInput();
+  }
+
+  /**
+   * Starts recording the user's voice.
+   */
+  beginVoiceRecording() {
+    this._assertVoiceSupport();
+    this._adapter.beginVoiceRecording();
+  }
+
+  /**
+   * Stops recording and sends the recording to the bot. The reply is emitted
+   * as a response event.
+   *
+   * @returns {Promise} A Promise that resolves once the bot has replied, or
+   * rejects with the error that was also emitted as an error event.
+   */
+  endVoiceRecording() {
+    this._assertVoiceSupport();
+    return this._adapter.endVoiceRecording();
+  }
+
+  /**
+   * Stops listening to the adapter.
+   */
+  dispose() {
+    this._unsubscribe();
+  }
+
+  _assertVoiceSupport() {
+    if (!this._adapter.supportsVoice) {
+      throw new Error("This chatbot backend doesn't support voice input.");
+    }
+  }
+
+  _handleResponse(rawResponse) {
+    const response = this._adapter.normalizeResponse(
+      rawResponse,
+      this._pendingInputMode
+    );
+    this.emit(ConversationController.EVENTS.response, response);
+  }
+}
+
+// Define static class properties.
+Object.defineProperties(ConversationController, {
+  EVENTS: {
+    value: {
+      response: "response",
+      recordBegin: "recordBegin",
+      recordEnd: "recordEnd",
+      error: "error",
+    },
+  },
+});
+
+export default ConversationController;
+export { ConversationController };
@@ -0,0 +1,196 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+const FORMAT = "sumerian-hosts-conversation";
+const VERSION = 1;
+
+/**
+ * Keeps a conversation across page reloads: the chatbot session ID and every
+ * turn of the user and the bot. Each change is saved to a store (see
+ * ConversationStores), and conversations can be exported to and imported from
+ * JSON, for example to replay them with ConversationReplay.
+ *
+ * Turns are plain objects:
+ *
+ *   speaker      - "user" or "bot".
+ *   text         - What was said or typed. Only text is kept, not custom
+ *                  payloads such as gesture directives.
+ *   inputMode    - For user turns: "voice" or "text".
+ *   time         - When the turn happened, as an ISO 8601 string.
+ *   dialogState  - The dialog state after the turn, e.g. "ElicitSlot". See
+ *                  ConversationController.
+ *   sessionState - The decoded Lex V2 session state after the turn, or null
+ *                  for backends without one.
+ *
+ * Exported conversations have this shape:
+ *
+ *   { "format": "sumerian-hosts-conversation", "version": 1,
+ *     "sessionId": "...", "turns": [...] }
+ */
+class ConversationHistory {
+  /**
+   * @constructor
+   *
+   * @param {Object} store - Where the conversation is saved. See
+   *     ConversationStores.
+   * @param {Object=} options
+   * @param {string=} options.key - The key the conversation is saved under.
+   *     Use a different key for each bot. Defaults to "chatbotConversation".
+   */
+  constructor(store, { key = "chatbotConversation" } = {}) {
+    this._store = store;
+    this._key = key;
+    this._sessionId = undefined;
+    this._turns = [];
+    this._saving = Promise.resolve();
+  }
+
+  /**
+   * @returns {string|undefined} The session ID of the conversation.
+   */
+  get sessionId() {
+    return this._sessionId;
+  }
+
+  /**
+   * @returns {Array<Object>} A copy of the turns so far, oldest first.
+   */
+  get turns() {
+    return this._turns.slice();
+  }
+
+  /**
+   * Loads the saved conversation, if there is one. A saved conversation that
+   * can't be read is ignored, so the user starts a new one.
+   *
+   * @returns {Promise<boolean>} A Promise that resolves to whether a
+   * conversation was loaded.
+   */
+  async load() {
+    try {
+      const saved = await this._store.get(this._key);
+      if (!saved) return false;
+
+      this._restore(saved);
+      return true;
+    } catch (error) {
+      console.warn("Failed to load the saved conversation:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Sets the session ID saved with the conversation. It's saved with the next
+   * turn.
+   *
+   * @param {string} sessionId - The ID of the chatbot session
+   */
+  setSessionId(sessionId) {
+    this._sessionId = sessionId;
+  }
+
+  /**
+   * Adds a turn and saves the conversation.
+   *
+   * @param {Object} turn - The turn. Its time defaults to now.
+   *
+   * @returns {Promise} A Promise that resolves once the conversation is saved.
+   */
+  addTurn(turn) {
+    this._turns.push({ time: new Date().toISOString(), ...turn });
+    return this._save();
+  }
+
+  /**
+   * Forgets the conversation and removes it from the store.
+   *
+   * @returns {Promise} A Promise that resolves once it has been removed.
+   */
+  clear() {
+    this._sessionId = undefined;
+    this._turns = [];
+    this._saving = this._saving
+      .then(() => this._store.delete(this._key))
+      .catch((error) =>
+        console.warn("Failed to remove the saved conversation:", error)
+      );
+    return this._saving;
+  }
+
+  /**
+   * @returns {string} The conversation as JSON.
+   */
+  exportJson() {
+    return JSON.stringify(this._toObject(), null, 2);
+  }
+
+  /**
+   * Replaces the conversation with one exported by exportJson() and saves it.
+   *
+   * @param {string} json - The exported conversation
+   *
+   * @returns {Promise} A Promise that resolves once the conversation is saved.
+   * Throws if the JSON isn't an exported conversation.
+   */
+  importJson(json) {
+    let conversation;
+    try {
+      conversation = JSON.parse(json);
+    } catch (error) {
+      throw new Error("The file isn't valid JSON.");
+    }
+
+    this._restore(conversation);
+    return this._save();
+  }
+
+  _restore(conversation) {
+    const isTurn = (turn) =>
+      turn &&
+      ["user", "bot"].includes(turn.speaker) &&
+      typeof turn.text === "string";
+
+    if (
+      !conversation ||
+      conversation.format !== FORMAT ||
+      !Array.isArray(conversation.turns) ||
+      !conversation.turns.every(isTurn)
+    ) {
+      throw new Error("This isn't a saved conversation.");
+    }
+    if (conversation.version > VERSION) {
+      throw new Error(
+        `Conversations of version ${conversation.version} aren't supported.`
+      );
+    }
+
+    this._sessionId = conversation.sessionId;
+    this._turns = conversation.turns.slice();
+  }
+
+  _toObject() {
+    return {
+      format: FORMAT,
+      version: VERSION,
+      sessionId: this._sessionId,
+      turns: this._turns.slice(),
+    };
+  }
+
+  /**
+   * Saves the conversation once any earlier save has finished, so saves can't
+   * overtake each other.
+   */
+  _save() {
+    const conversation = this._toObject();
+    this._saving = this._saving
+      .then(() => this._store.set(this._key, conversation))
+      .catch((error) =>
+        console.warn("Failed to save the conversation:", error)
+      );
+    return this._saving;
+  }
+}
+
+export default ConversationHistory;
+export { ConversationHistory };
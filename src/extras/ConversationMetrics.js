@@ -0,0 +1,147 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { ConversationController } from "./ConversationController";
+import { recordMetric } from "./Metrics";
+
+/**
+ * Measures where the time goes in each turn of a conversation, from the moment
+ * the user stops talking or sends typed text until the host starts answering
+ * out loud. It follows the events of a ConversationController and the host's
+ * TextToSpeechFeature, and reports to a metrics sink (see Metrics):
+ *
+ *   turn.responseTime   - Milliseconds until the bot's reply arrived.
+ *   turn.synthesisStart - Milliseconds until speech synthesis of the reply
+ *                         started. See markSynthesisStart().
+ *   turn.firstAudio     - Milliseconds until the host started speaking.
+ *   tts.synthesisTime   - Milliseconds from the start of speech synthesis
+ *                         until the host started speaking.
+ *   turn.outcome        - 1 for each reply, with its dialogState.
+ *   turn.error          - 1 for each turn that failed, with the error name.
+ *
+ * Every metric has an inputMode dimension of "voice" or "text". Voice turns
+ * start with the recordEnd event. Typed turns must be started with
+ * markInputEnd().
+ */
+class ConversationMetrics {
+  /**
+   * @constructor
+   *
+   * @param {Object} options
+   * @param {ConversationController} options.controller - The conversation to
+   *     measure.
+   * @param {HostObject} options.host - The host that speaks the replies.
+   * @param {Object} options.sink - Where metrics are recorded.
+   */
+  constructor({ controller, host, sink }) {
+    this._sink = sink;
+    this._turn = null;
+
+    const { EVENTS } = ConversationController;
+    this._listeners = [
+      [controller, EVENTS.recordEnd, () => this.markInputEnd("voice")],
+      [controller, EVENTS.response, (response) => this._onResponse(response)],
+      [controller, EVENTS.error, (error) => this._onError(error)],
+      [host, host.TextToSpeechFeature.EVENTS.play, () => this.markFirstAudio()],
+    ];
+    this._listeners.forEach(([messenger, message, callback]) =>
+      messenger.listenTo(message, callback)
+    );
+  }
+
+  /**
+   * Starts timing a turn. Call this when typed text is sent. Voice turns are
+   * started automatically when recording ends.
+   *
+   * @param {string} inputMode - "voice" or "text"
+   */
+  markInputEnd(inputMode) {
+    this._turn = {
+      inputMode,
+      startTime: performance.now(),
+      responded: false,
+      synthesisStartTime: null,
+    };
+  }
+
+  /**
+   * Records that speech synthesis of the reply has started, e.g. when its text
+   * is passed to TextToSpeechFeature.play(). Only the first call after a reply
+   * counts.
+   */
+  markSynthesisStart() {
+    const turn = this._turn;
+    if (!turn || !turn.responded || turn.synthesisStartTime !== null) return;
+
+    turn.synthesisStartTime = performance.now();
+    this._record("turn.synthesisStart", turn.synthesisStartTime);
+  }
+
+  /**
+   * Records that the host started speaking the reply and ends the turn. Called
+   * automatically when the host's TextToSpeechFeature starts playing. Call it
+   * yourself for audio played in other ways, such as Lex audio responses.
+   */
+  markFirstAudio() {
+    const turn = this._turn;
+    if (!turn || !turn.responded) return;
+
+    const now = performance.now();
+    this._record("turn.firstAudio", now);
+    if (turn.synthesisStartTime !== null) {
+      recordMetric(
+        this._sink,
+        "tts.synthesisTime",
+        now - turn.synthesisStartTime,
+        "ms",
+        { inputMode: turn.inputMode }
+      );
+    }
+    this._turn = null;
+  }
+
+  /**
+   * Stops following the conversation and the host.
+   */
+  dispose() {
+    this._listeners.forEach(([messenger, message, callback]) =>
+      messenger.stopListening(message, callback)
+    );
+    this._turn = null;
+  }
+
+  /**
+   * Records the time from the start of the turn to `time`.
+   */
+  _record(name, time) {
+    const { inputMode, startTime } = this._turn;
+    recordMetric(this._sink, name, time - startTime, "ms", { inputMode });
+  }
+
+  _onResponse(response) {
+    const turn = this._turn;
+    // Later replies in the same turn, such as the closing message of an
+    // intent fulfilled in the browser, don't restart the clock.
+    if (!turn || turn.responded) return;
+
+    turn.responded = true;
+    this._record("turn.responseTime", performance.now());
+    recordMetric(this._sink, "turn.outcome", 1, "count", {
+      inputMode: turn.inputMode,
+      dialogState: response.dialogState || "None",
+    });
+  }
+
+  _onError(error) {
+    const turn = this._turn;
+    if (!turn) return;
+
+    recordMetric(this._sink, "turn.error", 1, "count", {
+      inputMode: turn.inputMode,
+      error: error.name,
+    });
+    this._turn = null;
+  }
+}
+
+export default ConversationMetrics;
+export { ConversationMetrics };
@@ -0,0 +1,78 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Re-performs the turns of a saved conversation (see ConversationHistory) one
+ * after the other, for example to have the host act out a conversation again
+ * for QA or a demo. What a turn looks and sounds like is up to the
+ * `performTurn` function, which typically shows the turn in a transcript and
+ * has the host speak and gesture for bot turns.
+ */
+class ConversationReplay {
+  /**
+   * @constructor
+   *
+   * @param {Object} options
+   * @param {function(Object): (Promise|void)} options.performTurn - Called
+   *     with each turn. If it returns a Promise, the next turn isn't performed
+   *     until it settles.
+   * @param {number=} options.turnDelay - Seconds to wait between turns.
+   *     Defaults to 0.5.
+   */
+  constructor({ performTurn, turnDelay = 0.5 }) {
+    this._performTurn = performTurn;
+    this._turnDelay = turnDelay;
+    this._replayId = 0;
+    this._playing = false;
+  }
+
+  /**
+   * @returns {boolean} Whether a replay is in progress.
+   */
+  get isPlaying() {
+    return this._playing;
+  }
+
+  /**
+   * Performs the turns in order. Starting a new replay stops any previous one
+   * after its current turn.
+   *
+   * @param {Array<Object>} turns - The turns to perform
+   *
+   * @returns {Promise<boolean>} A Promise that resolves to true once every turn
+   * has been performed, or to false if the replay was stopped. It rejects if
+   * performTurn throws.
+   */
+  async play(turns) {
+    const replayId = ++this._replayId;
+    this._playing = true;
+
+    try {
+      for (let i = 0; i < turns.length; i++) {
+        if (i > 0) await wait(this._turnDelay);
+        if (replayId !== this._replayId) return false;
+
+        await this._performTurn(turns[i]);
+        if (replayId !== this._replayId) return false;
+      }
+      return true;
+    } finally {
+      if (replayId === this._replayId) this._playing = false;
+    }
+  }
+
+  /**
+   * Stops the replay in progress after its current turn.
+   */
+  stop() {
+    this._replayId++;
+    this._playing = false;
+  }
+}
+
+function wait(seconds) {
+  return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+export default ConversationReplay;
+export { ConversationReplay };
@@ -0,0 +1,117 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Stores that ConversationHistory saves conversations to. A store is any
+ * object with these methods, so conversations can also be kept on a server:
+ *
+ *   get(key)        - Resolves to the value saved under the key, or null.
+ *   set(key, value) - Saves a JSON-serializable value under the key.
+ *   delete(key)     - Removes the value saved under the key.
+ *
+ * Every method returns a Promise.
+ */
+
+/**
+ * Keeps conversations in the browser's localStorage. Simple and synchronous
+ * under the hood, but limited to a few megabytes per site.
+ */
+class LocalStorageConversationStore {
+  /**
+   * @constructor
+   *
+   * @param {Storage=} storage - The storage to use. Defaults to
+   *     window.localStorage. Pass window.sessionStorage to keep conversations
+   *     for the lifetime of the tab only.
+   */
+  constructor(storage = window.localStorage) {
+    this._storage = storage;
+  }
+
+  async get(key) {
+    const json = this._storage.getItem(key);
+    return json === null ? null : JSON.parse(json);
+  }
+
+  async set(key, value) {
+    this._storage.setItem(key, JSON.stringify(value));
+  }
+
+  async delete(key) {
+    this._storage.removeItem(key);
+  }
+}
+
+/**
+ * Keeps conversations in an IndexedDB database, which has room for long
+ * conversations with a session state on every turn.
+ */
+class IndexedDBConversationStore {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options
+   * @param {string=} options.databaseName - Name of the database. Defaults to
+   *     "SumerianHostsConversations".
+   * @param {string=} options.storeName - Name of the object store within the
+   *     database. Defaults to "conversations".
+   */
+  constructor({
+    databaseName = "SumerianHostsConversations",
+    storeName = "conversations",
+  } = {}) {
+    this._databaseName = databaseName;
+    this._storeName = storeName;
+    this._database = null;
+  }
+
+  get(key) {
+    return this._request("readonly", (store) => store.get(key)).then(
+      (value) => value ?? null
+    );
+  }
+
+  async set(key, value) {
+    await this._request("readwrite", (store) => store.put(value, key));
+  }
+
+  async delete(key) {
+    await this._request("readwrite", (store) => store.delete(key));
+  }
+
+  /**
+   * Opens the database on first use, creating the object store if needed.
+   */
+  _openDatabase() {
+    if (!this._database) {
+      this._database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this._databaseName, 1);
+        request.onupgradeneeded = () =>
+          request.result.createObjectStore(this._storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call try again if opening failed.
+      this._database.catch(() => {
+        this._database = null;
+      });
+    }
+    return this._database;
+  }
+
+  /**
+   * Runs a request against the object store in a new transaction.
+   */
+  async _request(mode, createRequest) {
+    const database = await this._openDatabase();
+    return new Promise((resolve, reject) => {
+      const request = createRequest(
+        database.transaction(this._storeName, mode).objectStore(this._storeName)
+      );
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+export { LocalStorageConversationStore, IndexedDBConversationStore };
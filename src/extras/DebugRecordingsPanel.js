@@ -0,0 +1,166 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { LexV2Feature } from "./LexV2Feature";
+import { encodeWAV } from "./AudioUtils";
+
+/**
+ * Lists the audio requests a LexV2Feature keeps for debugging (see
+ * LexV2Feature.setDebugRecordingLimit()), newest first. Each entry shows what
+ * Lex understood or the error it failed with, how long the audio was and how
+ * long Lex took, with links that download the raw capture and the WAV that
+ * was sent. Listening to both shows whether a recognition problem comes from
+ * the microphone or from the preprocessing.
+ */
+class DebugRecordingsPanel {
+  /**
+   * @constructor
+   *
+   * @param {Object} options
+   * @param {LexV2Feature} options.lex - The feature whose recordings are shown.
+   * @param {HTMLElement} options.container - Element the panel is rendered
+   *     into. It is hidden with the "hide" CSS class while there are no
+   *     recordings.
+   */
+  constructor({ lex, container }) {
+    this._lex = lex;
+    this._container = container;
+    this._objectUrls = [];
+    this._onDebugRecording = () => this.render();
+
+    lex.listenTo(LexV2Feature.EVENTS.debugRecording, this._onDebugRecording);
+    this.render();
+  }
+
+  /**
+   * Stops following the LexV2Feature and empties the panel.
+   */
+  dispose() {
+    this._lex.stopListening(
+      LexV2Feature.EVENTS.debugRecording,
+      this._onDebugRecording
+    );
+    this._container.innerHTML = "";
+    this._container.classList.add("hide");
+    this._revokeObjectUrls();
+  }
+
+  /**
+   * Renders the recordings that have a response or error. Called automatically
+   * whenever one arrives.
+   */
+  render() {
+    const recordings = this._lex.debugRecordings
+      .filter(({ latency }) => latency !== null)
+      .reverse();
+    this._container.innerHTML = "";
+    this._revokeObjectUrls();
+
+    if (!recordings.length) {
+      this._container.classList.add("hide");
+      return;
+    }
+
+    const titleEl = document.createElement("h3");
+    titleEl.innerText = "Recent recordings";
+    this._container.appendChild(titleEl);
+
+    const listEl = document.createElement("ul");
+    listEl.className = "recordings";
+    recordings.forEach((recording) =>
+      listEl.appendChild(this._createRecordingElement(recording))
+    );
+    this._container.appendChild(listEl);
+
+    this._container.classList.remove("hide");
+  }
+
+  /**
+   * Creates the list item for one recording, with its download links.
+   */
+  _createRecordingElement(recording) {
+    const recordingEl = createSummaryElement(recording);
+
+    const { id, rawAudio, sampleRate, wav } = recording;
+    // The raw capture is encoded losslessly, at its original sample rate.
+    const downloads = [
+      {
+        label: "Raw",
+        fileName: `recording-${id}-raw.wav`,
+        data: encodeWAV(rawAudio, sampleRate, { bitDepth: 32, float: true }),
+      },
+      { label: "Sent", fileName: `recording-${id}-sent.wav`, data: wav },
+    ];
+    downloads.forEach(({ label, fileName, data }) => {
+      const url = URL.createObjectURL(new Blob([data], { type: "audio/wav" }));
+      this._objectUrls.push(url);
+
+      const linkEl = document.createElement("a");
+      linkEl.className = "download";
+      linkEl.href = url;
+      linkEl.download = fileName;
+      linkEl.innerText = label;
+      linkEl.title = `Download ${fileName}`;
+      recordingEl.appendChild(linkEl);
+    });
+
+    return recordingEl;
+  }
+
+  _revokeObjectUrls() {
+    this._objectUrls.forEach((url) => URL.revokeObjectURL(url));
+    this._objectUrls = [];
+  }
+}
+
+/**
+ * Creates a list item describing a recording and the outcome of its request.
+ * Its CSS class is "failed" if the request failed.
+ */
+function createSummaryElement(recording) {
+  const { time, response, error, latency, audioDetails } = recording;
+
+  const recordingEl = document.createElement("li");
+  recordingEl.className = error ? "recording failed" : "recording";
+
+  const headerEl = document.createElement("div");
+  headerEl.className = "recordingHeader";
+  headerEl.innerText = new Date(time).toLocaleTimeString();
+  const latencyEl = document.createElement("span");
+  latencyEl.innerText = `${Math.round(latency)} ms`;
+  headerEl.appendChild(latencyEl);
+  recordingEl.appendChild(headerEl);
+
+  const resultEl = document.createElement("p");
+  resultEl.className = "recordingResult";
+  resultEl.innerText = error ? error.name : describeResponse(response);
+  recordingEl.appendChild(resultEl);
+
+  const detailsEl = document.createElement("p");
+  detailsEl.className = "recordingDetails";
+  const captured = audioDetails.originalDuration.toFixed(1);
+  const sent = audioDetails.duration.toFixed(1);
+  detailsEl.innerText = `${captured}s captured, ${sent}s sent`;
+  recordingEl.appendChild(detailsEl);
+
+  return recordingEl;
+}
+
+/**
+ * Describes what Lex understood: the transcript and the matched intent with
+ * its NLU confidence, if any.
+ */
+function describeResponse(response) {
+  const transcript = response.inputTranscript
+    ? `“${response.inputTranscript}”`
+    : "(nothing heard)";
+
+  const [interpretation] = response.interpretations || [];
+  if (!interpretation || !interpretation.intent) return transcript;
+
+  const { nluConfidence, intent } = interpretation;
+  const confidence = nluConfidence ? ` ${nluConfidence.score.toFixed(2)}` : "";
+  return `${transcript} → ${intent.name}${confidence}`;
+}
+
+export default DebugRecordingsPanel;
+export { DebugRecordingsPanel };
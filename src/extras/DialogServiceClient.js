@@ -0,0 +1,442 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {
+  decodeAndUnzipJsonString,
+  encodeAndZipJsonString,
+} from "./lexEncoding";
+
+/**
+ * HTTP status codes mapped to the AWS error codes LexV2Feature understands, so
+ * a dialog service can signal throttling and other failures with its status.
+ */
+const ERROR_CODES_BY_STATUS = {
+  400: "ValidationException",
+  403: "AccessDeniedException",
+  404: "ResourceNotFoundException",
+  429: "ThrottlingException",
+};
+
+/**
+ * Talks to a custom dialog service through the same interface as
+ * AWS.LexRuntimeV2. It implements recognizeUtterance(), recognizeText(),
+ * getSession(), putSession() and deleteSession(), so it can be passed to
+ * LexV2Feature in place of a Lex client. DialogServiceFeature does this for
+ * you.
+ *
+ * Requests are sent as JSON, either POSTed to an http:// or https:// endpoint
+ * or sent over a WebSocket to a ws:// or wss:// endpoint. The WebSocket is
+ * opened on the first request and kept open, and replies are matched to
+ * requests by their requestId. The schema is described in
+ * tools/dialog-service/README.md. In short, a request looks like:
+ *
+ * {
+ *   "requestId": "4f9c...",
+ *   "type": "text" | "audio" | "getSession" | "putSession" | "deleteSession",
+ *   "botId": "...", "botAliasId": "...", "localeId": "en_US",
+ *   "sessionId": "...",
+ *   "text": "I'd like to book a hotel",
+ *   "audio": { "contentType": "audio/x-l16; rate=16000", "data": "<base64>" },
+ *   "responseContentType": "text/plain;charset=utf-8",
+ *   "sessionState": { ... },
+ *   "requestAttributes": { ... },
+ *   "messages": [ ... ]
+ * }
+ *
+ * and a reply looks like:
+ *
+ * {
+ *   "requestId": "4f9c...",
+ *   "sessionId": "...",
+ *   "inputTranscript": "I'd like to book a hotel",
+ *   "messages": [{ "contentType": "PlainText", "content": "What city?" }],
+ *   "sessionState": { ... },
+ *   "interpretations": [ ... ],
+ *   "requestAttributes": { ... },
+ *   "audio": { "contentType": "audio/mpeg", "data": "<base64>" }
+ * }
+ *
+ * Failures are replied with { "requestId", "error": { "code", "message" } },
+ * where code is an AWS error code such as "ThrottlingException".
+ */
+class DialogServiceClient {
+  /**
+   * @constructor
+   *
+   * @param {Object} options
+   * @param {string} options.endpoint - URL of the dialog service
+   * @param {Object=} options.headers - Extra headers sent with HTTP requests,
+   *     for example an Authorization header
+   */
+  constructor({ endpoint, headers = {} }) {
+    if (!endpoint) {
+      throw Error(
+        "Failed to initialize DialogServiceClient. The endpoint option is required"
+      );
+    }
+
+    this._endpoint = endpoint;
+    this._headers = headers;
+    this._useWebSocket = /^wss?:/i.test(endpoint);
+    this._socketPromise = undefined;
+    this._pendingReplies = new Map();
+    this._nextRequestId = 0;
+
+    // LexV2Feature updates the custom user agent of the client config.
+    this.config = { customUserAgent: undefined };
+  }
+
+  /**
+   * Mirrors AWS.LexRuntimeV2.recognizeUtterance(). Text input is read from
+   * `params.inputStream` when requestContentType is text/plain. Any other
+   * content type is sent as audio. The response is encoded like that of Lex.
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  recognizeUtterance(params) {
+    return this._createRequest(
+      async () => {
+        const request = {
+          ...getSessionParams(params),
+          responseContentType: params.responseContentType,
+          sessionState: decodeValue(params.sessionState),
+          requestAttributes: decodeValue(params.requestAttributes),
+        };
+        if (isTextRequest(params)) {
+          request.type = "text";
+          request.text = String(params.inputStream);
+        } else {
+          request.type = "audio";
+          request.audio = {
+            contentType: params.requestContentType,
+            data: bytesToBase64(await readBytes(params.inputStream)),
+          };
+        }
+        return request;
+      },
+      (reply) => {
+        const response = {
+          contentType: params.responseContentType,
+          inputMode: isTextRequest(params) ? "Text" : "Speech",
+          sessionId: reply.sessionId || params.sessionId,
+          sessionState: encodeValue(reply.sessionState),
+          messages: encodeValue(reply.messages),
+          interpretations: encodeValue(reply.interpretations),
+          inputTranscript: encodeValue(reply.inputTranscript),
+          requestAttributes: encodeValue(reply.requestAttributes),
+        };
+        if (reply.audio) {
+          response.contentType = reply.audio.contentType;
+          response.audioStream = base64ToBytes(reply.audio.data);
+        }
+        return response;
+      }
+    );
+  }
+
+  /**
+   * Mirrors AWS.LexRuntimeV2.recognizeText(). The response is not encoded.
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  recognizeText(params) {
+    return this._createRequest(
+      () => ({
+        ...getSessionParams(params),
+        type: "text",
+        text: params.text,
+        sessionState: params.sessionState,
+        requestAttributes: params.requestAttributes,
+      }),
+      (reply) => ({
+        sessionId: reply.sessionId || params.sessionId,
+        sessionState: reply.sessionState,
+        messages: reply.messages,
+        interpretations: reply.interpretations,
+        requestAttributes: reply.requestAttributes,
+      })
+    );
+  }
+
+  /**
+   * Mirrors AWS.LexRuntimeV2.getSession().
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  getSession(params) {
+    return this._createRequest(
+      () => ({ ...getSessionParams(params), type: "getSession" }),
+      (reply) => ({
+        sessionId: reply.sessionId || params.sessionId,
+        sessionState: reply.sessionState,
+        messages: reply.messages,
+        interpretations: reply.interpretations || [],
+      })
+    );
+  }
+
+  /**
+   * Mirrors AWS.LexRuntimeV2.putSession(). The response sessionState and
+   * messages are encoded like those of recognizeUtterance().
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  putSession(params) {
+    return this._createRequest(
+      () => ({
+        ...getSessionParams(params),
+        type: "putSession",
+        responseContentType: params.responseContentType,
+        sessionState: params.sessionState,
+        messages: params.messages,
+        requestAttributes: params.requestAttributes,
+      }),
+      (reply) => ({
+        contentType: params.responseContentType,
+        sessionId: reply.sessionId || params.sessionId,
+        sessionState: encodeValue(reply.sessionState),
+        messages: encodeValue(reply.messages),
+        requestAttributes: reply.requestAttributes,
+      })
+    );
+  }
+
+  /**
+   * Mirrors AWS.LexRuntimeV2.deleteSession().
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  deleteSession(params) {
+    return this._createRequest(
+      () => ({ ...getSessionParams(params), type: "deleteSession" }),
+      (reply) => ({
+        ...getSessionParams(params),
+        sessionId: reply.sessionId || params.sessionId,
+      })
+    );
+  }
+
+  /**
+   * Closes the WebSocket, if one is open. Requests still waiting for a reply
+   * fail. The next request opens a new connection.
+   */
+  close() {
+    if (!this._socketPromise) return;
+
+    this._socketPromise.then(
+      (socket) => socket.close(),
+      () => {}
+    );
+    this._socketPromise = undefined;
+  }
+
+  /**
+   * Sends a request to the dialog service and converts the reply.
+   *
+   * @param {function(): (Object|Promise<Object>)} createRequest - Creates the
+   *     JSON request
+   * @param {function(Object): Object} createResponse - Converts the JSON reply
+   *     to the response of the mirrored AWS.LexRuntimeV2 method
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  _createRequest(createRequest, createResponse) {
+    const requestId = `${Date.now().toString(36)}-${this._nextRequestId++}`;
+    const abortController = new AbortController();
+
+    const promise = (async () => {
+      const request = { requestId, ...(await createRequest()) };
+      const reply = this._useWebSocket
+        ? await this._sendOverWebSocket(request, abortController.signal)
+        : await this._sendOverHttp(request, abortController.signal);
+
+      if (reply.error) {
+        throw createAwsError(reply.error.code, reply.error.message);
+      }
+      return createResponse(reply);
+    })();
+
+    return {
+      promise: () => promise,
+      abort: () => abortController.abort(),
+    };
+  }
+
+  async _sendOverHttp(request, signal) {
+    let httpResponse;
+    try {
+      httpResponse = await fetch(this._endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...this._headers },
+        body: JSON.stringify(request),
+        signal,
+      });
+    } catch (error) {
+      throw signal.aborted
+        ? createAwsError("RequestAbortedError", "Request aborted by user")
+        : createAwsError("NetworkingError", error.message);
+    }
+
+    const reply = await httpResponse.json().catch(() => ({}));
+    if (!httpResponse.ok && !reply.error) {
+      reply.error = {
+        code: ERROR_CODES_BY_STATUS[httpResponse.status] || "ServiceException",
+        message: `The dialog service responded with HTTP status ${httpResponse.status}.`,
+      };
+    }
+    return reply;
+  }
+
+  async _sendOverWebSocket(request, signal) {
+    const socket = await this._openWebSocket();
+
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(
+          createAwsError("RequestAbortedError", "Request aborted by user")
+        );
+        return;
+      }
+
+      const onAbort = () => {
+        this._pendingReplies.delete(request.requestId);
+        reject(
+          createAwsError("RequestAbortedError", "Request aborted by user")
+        );
+      };
+      signal.addEventListener("abort", onAbort);
+
+      this._pendingReplies.set(request.requestId, {
+        resolve: (reply) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(reply);
+        },
+        reject: (error) => {
+          signal.removeEventListener("abort", onAbort);
+          reject(error);
+        },
+      });
+      socket.send(JSON.stringify(request));
+    });
+  }
+
+  /**
+   * Opens the WebSocket if it isn't already open.
+   *
+   * @returns {Promise<WebSocket>}
+   */
+  _openWebSocket() {
+    if (this._socketPromise) return this._socketPromise;
+
+    const socketPromise = new Promise((resolve, reject) => {
+      const socket = new WebSocket(this._endpoint);
+
+      socket.onopen = () => resolve(socket);
+      socket.onmessage = (event) => this._handleSocketMessage(event.data);
+      socket.onclose = () => {
+        if (this._socketPromise === socketPromise) {
+          this._socketPromise = undefined;
+        }
+        const error = createAwsError(
+          "NetworkingError",
+          `The connection to ${this._endpoint} was closed.`
+        );
+        reject(error);
+        this._pendingReplies.forEach(({ reject: rejectReply }) =>
+          rejectReply(error)
+        );
+        this._pendingReplies.clear();
+      };
+    });
+    this._socketPromise = socketPromise;
+
+    return socketPromise;
+  }
+
+  _handleSocketMessage(data) {
+    let reply;
+    try {
+      reply = JSON.parse(data);
+    } catch (error) {
+      console.warn("Ignoring a dialog service message that isn't JSON.");
+      return;
+    }
+
+    const pendingReply = this._pendingReplies.get(reply.requestId);
+    if (!pendingReply) return;
+
+    this._pendingReplies.delete(reply.requestId);
+    pendingReply.resolve(reply);
+  }
+}
+
+function getSessionParams(params) {
+  return {
+    botId: params.botId,
+    botAliasId: params.botAliasId,
+    localeId: params.localeId,
+    sessionId: params.sessionId,
+  };
+}
+
+/**
+ * Encodes a value like Lex does in recognizeUtterance responses. Missing
+ * values stay undefined.
+ */
+function encodeValue(value) {
+  return value === undefined || value === null
+    ? undefined
+    : encodeAndZipJsonString(value);
+}
+
+/**
+ * Decodes a value encoded like Lex does in recognizeUtterance requests.
+ * Missing values are undefined.
+ */
+function decodeValue(value) {
+  return decodeAndUnzipJsonString(value) ?? undefined;
+}
+
+function isTextRequest(params) {
+  return /^text\/plain/.test(params.requestContentType);
+}
+
+/**
+ * Reads a Blob, ArrayBuffer or typed array into a Uint8Array.
+ */
+async function readBytes(data) {
+  if (typeof Blob !== "undefined" && data instanceof Blob) {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+  return ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+}
+
+function bytesToBase64(bytes) {
+  // Convert in chunks, since spreading a large array overflows the stack.
+  const chunkSize = 0x8000;
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function createAwsError(code, message) {
+  const error = new Error(message);
+  error.name = code;
+  error.code = code;
+  return error;
+}
+
+export default DialogServiceClient;
+export { DialogServiceClient };
@@ -0,0 +1,42 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { LexV2Feature } from "./LexV2Feature";
+import { DialogServiceClient } from "./DialogServiceClient";
+
+/**
+ * Feature class for interacting with custom dialog services instead of Lex.
+ * It has the API, events and microphone capture of LexV2Feature, including
+ * processWithText(), voice recording, voice activity detection and barge-in,
+ * so it can be used wherever a LexV2Feature is. Requests are sent to the
+ * service over HTTP or a WebSocket using the JSON schema described in
+ * DialogServiceClient.
+ */
+class DialogServiceFeature extends LexV2Feature {
+  /**
+   * @constructor
+   *
+   * @param {Object} options - Accepts every LexV2Feature option. botId,
+   *     botAliasId and localeId are passed on to the service, which may ignore
+   *     them.
+   * @param {string} options.endpoint - URL of the dialog service. Requests are
+   *     POSTed to http:// and https:// URLs and sent over a WebSocket to ws://
+   *     and wss:// URLs.
+   * @param {Object=} options.headers - (Optional) Extra headers sent with HTTP
+   *     requests, for example an Authorization header.
+   */
+  constructor(options = {}) {
+    const { endpoint, headers, ...featureOptions } = options;
+    super(new DialogServiceClient({ endpoint, headers }), featureOptions);
+  }
+
+  /**
+   * Closes the WebSocket to the dialog service, if one is open. The next
+   * request opens a new connection.
+   */
+  closeConnection() {
+    this._lexRuntime.close();
+  }
+}
+
+export default DialogServiceFeature;
+export { DialogServiceFeature };
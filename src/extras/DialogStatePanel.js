@@ -0,0 +1,173 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { LexV2Feature } from "./LexV2Feature";
+
+/**
+ * Shows what a Lex V2 bot has understood so far: the active intent and its
+ * state, and for every slot whether it's filled, being elicited or still
+ * missing. While the bot asks the user to confirm the intent, Yes and No
+ * buttons send the reply. The panel updates whenever the LexV2Feature session
+ * state changes.
+ */
+class DialogStatePanel {
+  /**
+   * @constructor
+   *
+   * @param {Object} options
+   * @param {LexV2Feature} options.lex - The feature whose session state is
+   *     shown. Confirmation replies are sent through it.
+   * @param {HTMLElement} options.container - Element the panel is rendered
+   *     into. It is hidden with the "hide" CSS class while no intent is active.
+   * @param {Object=} options.confirmationReplies - Text sent to the bot by the
+   *     confirmation buttons, for example { yes: "sí", no: "no" } for a Spanish
+   *     bot. Defaults to { yes: "yes", no: "no" }.
+   */
+  constructor({ lex, container, confirmationReplies }) {
+    this._lex = lex;
+    this._container = container;
+    this._confirmationReplies = confirmationReplies || { yes: "yes", no: "no" };
+    this._onSessionStateChange = (sessionState) => this.render(sessionState);
+
+    lex.listenTo(
+      LexV2Feature.EVENTS.sessionStateChange,
+      this._onSessionStateChange
+    );
+    this.render(lex.sessionState);
+  }
+
+  /**
+   * Changes the text sent by the confirmation buttons, for example to match a
+   * new bot locale.
+   *
+   * @param {Object} confirmationReplies - Replies for the "yes" and "no" keys
+   */
+  setConfirmationReplies(confirmationReplies) {
+    this._confirmationReplies = confirmationReplies;
+  }
+
+  /**
+   * Stops following the LexV2Feature and empties the panel.
+   */
+  dispose() {
+    this._lex.stopListening(
+      LexV2Feature.EVENTS.sessionStateChange,
+      this._onSessionStateChange
+    );
+    this.render(null);
+  }
+
+  /**
+   * Renders a session state. Called automatically when the session state of
+   * the LexV2Feature changes.
+   *
+   * @param {Object|null} sessionState - A Lex V2 SessionState object
+   */
+  render(sessionState) {
+    const intent = sessionState && sessionState.intent;
+    this._container.innerHTML = "";
+
+    if (!intent || intent.name === "FallbackIntent") {
+      this._container.classList.add("hide");
+      return;
+    }
+
+    const dialogAction = sessionState.dialogAction || {};
+
+    const titleEl = document.createElement("h3");
+    titleEl.innerText = intent.name;
+    if (intent.state) {
+      const stateEl = document.createElement("span");
+      stateEl.className = "intentState";
+      stateEl.innerText = intent.state;
+      titleEl.appendChild(stateEl);
+    }
+    this._container.appendChild(titleEl);
+
+    const slotsEl = document.createElement("ul");
+    slotsEl.className = "slots";
+    Object.entries(intent.slots || {}).forEach(([name, slot]) => {
+      const isEliciting =
+        dialogAction.type === "ElicitSlot" &&
+        dialogAction.slotToElicit === name;
+      slotsEl.appendChild(createSlotElement(name, slot, isEliciting));
+    });
+    this._container.appendChild(slotsEl);
+
+    if (dialogAction.type === "ConfirmIntent") {
+      this._container.appendChild(this._createConfirmationElement());
+    }
+
+    this._container.classList.remove("hide");
+  }
+
+  _createConfirmationElement() {
+    const confirmationEl = document.createElement("div");
+    confirmationEl.className = "confirmation";
+
+    const promptEl = document.createElement("p");
+    promptEl.innerText = "Is this right?";
+    confirmationEl.appendChild(promptEl);
+
+    ["yes", "no"].forEach((reply) => {
+      const buttonEl = document.createElement("button");
+      buttonEl.innerText = reply === "yes" ? "Yes" : "No";
+      buttonEl.onclick = () => {
+        confirmationEl.remove();
+        // Failures are reported through the LexV2Feature lexError event.
+        this._lex
+          .processWithText(this._confirmationReplies[reply])
+          .catch(() => {});
+      };
+      confirmationEl.appendChild(buttonEl);
+    });
+
+    return confirmationEl;
+  }
+}
+
+/**
+ * Creates the list item for one slot. Its CSS class is "filled", "eliciting"
+ * or "missing".
+ */
+function createSlotElement(name, slot, isEliciting) {
+  const value = getSlotValue(slot);
+  const status = isEliciting
+    ? "eliciting"
+    : value !== undefined
+    ? "filled"
+    : "missing";
+
+  const slotEl = document.createElement("li");
+  slotEl.className = `slot ${status}`;
+
+  const nameEl = document.createElement("span");
+  nameEl.className = "slotName";
+  nameEl.innerText = name;
+  slotEl.appendChild(nameEl);
+
+  const valueEl = document.createElement("span");
+  valueEl.className = "slotValue";
+  valueEl.innerText = isEliciting ? "asking..." : value ?? "-";
+  slotEl.appendChild(valueEl);
+
+  return slotEl;
+}
+
+/**
+ * Returns the display value of a slot, or undefined if it isn't filled. Lists
+ * of values are joined with commas.
+ */
+function getSlotValue(slot) {
+  if (!slot) return undefined;
+
+  if (slot.values && slot.values.length) {
+    return slot.values.map(getSlotValue).join(", ");
+  }
+
+  if (!slot.value) return undefined;
+
+  return slot.value.interpretedValue || slot.value.originalValue;
+}
+
+export default DialogStatePanel;
+export { DialogStatePanel };
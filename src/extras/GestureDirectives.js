@@ -0,0 +1,178 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Emote animation names available on the pre-built host characters.
+ */
+const DEFAULT_EMOTE_NAMES = ["applause", "bored", "cheer"];
+
+const GESTURE_OPTION_NAMES = ["holdTime", "minimumInterval", "transitionTime"];
+const DIRECTIVE_KEYS = [
+  "gesture",
+  "emote",
+  "lookAt",
+  "delay",
+  ...GESTURE_OPTION_NAMES,
+];
+
+/**
+ * Creates a CustomPayload handler for LexV2ResponsePresenter which lets bot
+ * authors drive the host's body language. The payload must be a JSON directive
+ * object, or an array of them, using the following keys:
+ *
+ *   gesture        - Name of an animation on the "Gesture" layer to play.
+ *   emote          - Name of an animation on the "Emote" layer to play.
+ *   lookAt         - Name of a point of interest target from `lookTargets`.
+ *   delay          - Seconds to wait before acting. Defaults to 0.
+ *   holdTime, minimumInterval, transitionTime
+ *                  - Passed to GestureFeature.playGesture().
+ *
+ * Example: {"gesture": "wave", "delay": 2}
+ *
+ * Payloads that aren't JSON objects or arrays are ignored so other handlers
+ * can use them.
+ *
+ * @param {HostObject} host - The host to animate
+ * @param {Object=} options
+ * @param {Array<string>=} options.gestureNames - Valid gesture names, usually
+ *     the keys of the character's gesture.json. Unknown names are skipped with
+ *     a warning. If omitted, gesture names aren't validated.
+ * @param {Array<string>=} options.emoteNames - Valid emote names. Defaults to
+ *     the emotes of the pre-built characters.
+ * @param {Object=} options.lookTargets - Map of names to Babylon nodes the
+ *     host can be told to look at.
+ *
+ * @returns {function(string): void} The handler to register with
+ * LexV2ResponsePresenter.registerCustomPayloadHandler(). Its cancel() method
+ * drops directives that are still waiting for their delay. The presenter calls
+ * it whenever the presentation they belong to is stopped or replaced.
+ */
+export function createGestureDirectiveHandler(host, options = {}) {
+  const {
+    gestureNames,
+    emoteNames = DEFAULT_EMOTE_NAMES,
+    lookTargets = {},
+  } = options;
+
+  const timers = new Set();
+
+  const handler = (content) => {
+    const directives = parseDirectives(content);
+
+    directives.forEach((directive) => {
+      if (
+        !validateDirective(directive, gestureNames, emoteNames, lookTargets)
+      ) {
+        return;
+      }
+
+      const delay = (directive.delay || 0) * 1000;
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        performDirective(host, directive, lookTargets);
+      }, delay);
+      timers.add(timer);
+    });
+  };
+
+  handler.cancel = () => {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return handler;
+}
+
+/**
+ * Parses a CustomPayload string into a list of directive objects. Returns an
+ * empty list if the payload isn't a JSON object or array.
+ */
+function parseDirectives(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    return [];
+  }
+
+  const directives = Array.isArray(parsed) ? parsed : [parsed];
+  return directives.filter(
+    (directive) => directive !== null && typeof directive === "object"
+  );
+}
+
+/**
+ * Warns about and rejects directives that reference unknown animations or
+ * targets or contain unsupported keys.
+ *
+ * @returns {boolean} Whether the directive can be performed.
+ */
+function validateDirective(directive, gestureNames, emoteNames, lookTargets) {
+  let valid = true;
+
+  Object.keys(directive)
+    .filter((key) => !DIRECTIVE_KEYS.includes(key))
+    .forEach((key) =>
+      console.warn(`Ignoring unknown gesture directive key "${key}".`)
+    );
+
+  if (
+    directive.gesture !== undefined &&
+    gestureNames &&
+    !gestureNames.includes(directive.gesture)
+  ) {
+    const validNames = gestureNames.join(", ");
+    console.warn(
+      `Unknown gesture "${directive.gesture}". Valid gestures are: ${validNames}.`
+    );
+    valid = false;
+  }
+
+  if (directive.emote !== undefined && !emoteNames.includes(directive.emote)) {
+    const validNames = emoteNames.join(", ");
+    console.warn(
+      `Unknown emote "${directive.emote}". Valid emotes are: ${validNames}.`
+    );
+    valid = false;
+  }
+
+  if (directive.lookAt !== undefined && !lookTargets[directive.lookAt]) {
+    console.warn(`Unknown point of interest target "${directive.lookAt}".`);
+    valid = false;
+  }
+
+  if (
+    directive.delay !== undefined &&
+    (typeof directive.delay !== "number" || directive.delay < 0)
+  ) {
+    console.warn(
+      `Gesture directive delay must be a non-negative number of seconds.`
+    );
+    valid = false;
+  }
+
+  return valid;
+}
+
+function performDirective(host, directive, lookTargets) {
+  const gestureOptions = {};
+  GESTURE_OPTION_NAMES.forEach((name) => {
+    if (directive[name] !== undefined) gestureOptions[name] = directive[name];
+  });
+
+  if (directive.lookAt !== undefined) {
+    host.PointOfInterestFeature.setTarget(lookTargets[directive.lookAt]);
+  }
+
+  if (directive.gesture !== undefined) {
+    host.GestureFeature.playGesture(
+      "Gesture",
+      directive.gesture,
+      gestureOptions
+    );
+  }
+
+  if (directive.emote !== undefined) {
+    host.GestureFeature.playGesture("Emote", directive.emote, gestureOptions);
+  }
+}
@@ -0,0 +1,137 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { LexV2Feature, getSlotValues } from "./LexV2Feature";
+
+/**
+ * Fulfills Lex V2 intents in the browser instead of in a Lambda function.
+ * Handlers are registered per intent name and run when a response shows their
+ * intent has reached the ReadyForFulfillment state. Once a handler finishes,
+ * the intent is closed in Lex with the handler's message, which arrives as a
+ * regular lexResponseReady event so it's presented like any other reply.
+ *
+ * A handler is called with a request and the context passed to the
+ * constructor:
+ *
+ *   handler({ intentName, slots, intent, sessionState, response }, context)
+ *
+ * `slots` maps slot names to their interpreted values, or to arrays of values
+ * for list slots. Unfilled slots are undefined. The handler may return, or
+ * resolve to, either a message string or an object with these optional keys:
+ *
+ *   message           - Text for the host to speak.
+ *   customPayload     - A CustomPayload presented after the message, such as
+ *                       the gesture directive {"gesture": "wave"}. See
+ *                       LexV2Feature.closeIntent().
+ *   state             - "Fulfilled" (the default) or "Failed".
+ *   sessionAttributes - Attributes to merge into the session.
+ *
+ * If a handler throws, the intent is closed as Failed with the
+ * `failureMessage`.
+ *
+ * Intents without a handler are left to Lex, unless Lex returned no message
+ * for them. The user would hear nothing then, so the `defaultHandler` fulfills
+ * them if one is given.
+ */
+class IntentFulfillmentRegistry {
+  /**
+   * @constructor
+   *
+   * @param {LexV2Feature} lex - The feature whose responses are watched and
+   *     whose session is updated.
+   * @param {Object=} context - Passed to every handler, for example
+   *     { host, scene }.
+   * @param {Object=} options
+   * @param {string=} options.failureMessage - Spoken when a handler throws.
+   *     Defaults to "Sorry, something went wrong. Please try again."
+   * @param {function=} options.defaultHandler - Fulfills intents that have no
+   *     handler and no message from Lex. It's called like a registered
+   *     handler.
+   */
+  constructor(lex, context = {}, options = {}) {
+    this._lex = lex;
+    this._context = context;
+    this._failureMessage =
+      options.failureMessage ||
+      "Sorry, something went wrong. Please try again.";
+    this._defaultHandler = options.defaultHandler;
+    this._handlers = new Map();
+    this._onResponse = (response) => this._handleResponse(response);
+
+    lex.listenTo(LexV2Feature.EVENTS.lexResponseReady, this._onResponse);
+  }
+
+  /**
+   * Registers the handler that fulfills an intent, replacing any previous one.
+   *
+   * @param {string} intentName - Name of the intent
+   * @param {function(Object, Object): (string|Object|Promise)} handler - See
+   *     the class description for its arguments and return value.
+   */
+  register(intentName, handler) {
+    this._handlers.set(intentName, handler);
+  }
+
+  /**
+   * Removes the handler of an intent. Lex then fulfills it as usual.
+   *
+   * @param {string} intentName - Name of the intent
+   */
+  unregister(intentName) {
+    this._handlers.delete(intentName);
+  }
+
+  /**
+   * @param {string} intentName - Name of the intent
+   *
+   * @returns {boolean} Whether a handler is registered for the intent.
+   */
+  has(intentName) {
+    return this._handlers.has(intentName);
+  }
+
+  /**
+   * Stops watching Lex responses.
+   */
+  dispose() {
+    this._lex.stopListening(
+      LexV2Feature.EVENTS.lexResponseReady,
+      this._onResponse
+    );
+  }
+
+  async _handleResponse(response) {
+    const { sessionState } = response;
+    const intent = sessionState && sessionState.intent;
+    if (!intent || intent.state !== "ReadyForFulfillment") return;
+
+    const hasMessages = Boolean(response.messages && response.messages.length);
+    const handler =
+      this._handlers.get(intent.name) ||
+      (hasMessages ? undefined : this._defaultHandler);
+    if (!handler) return;
+
+    let result;
+    try {
+      result = await handler(
+        {
+          intentName: intent.name,
+          slots: getSlotValues(intent.slots),
+          intent,
+          sessionState,
+          response,
+        },
+        this._context
+      );
+    } catch (error) {
+      console.error(`Failed to fulfill the ${intent.name} intent:`, error);
+      result = { state: "Failed", message: this._failureMessage };
+    }
+
+    const closing = typeof result === "string" ? { message: result } : result;
+    // Failures are reported through the LexV2Feature lexError event.
+    this._lex.closeIntent(closing || {}).catch(() => {});
+  }
+}
+
+export default IntentFulfillmentRegistry;
+export { IntentFulfillmentRegistry };
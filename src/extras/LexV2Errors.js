@@ -0,0 +1,140 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Base class for all errors produced by LexV2Feature requests.
+ */
+export class LexV2Error extends Error {
+  /**
+   * @constructor
+   *
+   * @param {string} message - Human readable description of the error
+   * @param {Object=} options
+   * @param {Error=} options.cause - The underlying AWS SDK or DOM error
+   * @param {string=} options.code - The AWS error code, if there is one
+   */
+  constructor(message, { cause, code } = {}) {
+    super(message);
+    // Each class sets its name explicitly, as class names don't survive
+    // minification.
+    this.name = "LexV2Error";
+    this.cause = cause;
+    this.code = code || (cause && (cause.code || cause.name));
+  }
+}
+
+/**
+ * The bot, alias or locale in the LexV2Feature configuration doesn't exist.
+ */
+export class LexV2BotNotFoundError extends LexV2Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "LexV2BotNotFoundError";
+  }
+}
+
+/**
+ * Lex rejected the request because too many requests are being made. These
+ * errors are retried automatically before being surfaced.
+ */
+export class LexV2ThrottlingError extends LexV2Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "LexV2ThrottlingError";
+  }
+}
+
+/**
+ * The caller's credentials don't allow access to the bot.
+ */
+export class LexV2AccessDeniedError extends LexV2Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "LexV2AccessDeniedError";
+  }
+}
+
+/**
+ * Lex rejected the request parameters or input.
+ */
+export class LexV2ValidationError extends LexV2Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "LexV2ValidationError";
+  }
+}
+
+/**
+ * Lex didn't respond within the configured request timeout.
+ */
+export class LexV2TimeoutError extends LexV2Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "LexV2TimeoutError";
+  }
+}
+
+/**
+ * The request was cancelled through its AbortSignal.
+ */
+export class LexV2AbortError extends LexV2Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "LexV2AbortError";
+  }
+}
+
+/**
+ * Any other failure reported by Lex or the network.
+ */
+export class LexV2ServiceError extends LexV2Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "LexV2ServiceError";
+  }
+}
+
+const ERROR_CLASSES_BY_CODE = {
+  ResourceNotFoundException: LexV2BotNotFoundError,
+  ThrottlingException: LexV2ThrottlingError,
+  TooManyRequestsException: LexV2ThrottlingError,
+  AccessDeniedException: LexV2AccessDeniedError,
+  ValidationException: LexV2ValidationError,
+  BadRequestException: LexV2ValidationError,
+};
+
+/**
+ * Wraps an error thrown by an AWS.LexRuntimeV2 request in the matching
+ * LexV2Error subclass. Errors that are already LexV2Errors are returned as-is.
+ *
+ * @param {Error} error - The error to wrap
+ * @param {Object} botConfig - The botId, botAliasId and localeId used for the
+ *     request. Used to produce a helpful message for missing bots.
+ *
+ * @returns {LexV2Error}
+ */
+export function toLexV2Error(error, botConfig) {
+  if (error instanceof LexV2Error) {
+    return error;
+  }
+
+  const code = error && (error.code || error.name);
+  const ErrorClass = ERROR_CLASSES_BY_CODE[code] || LexV2ServiceError;
+
+  if (ErrorClass === LexV2BotNotFoundError) {
+    return new LexV2BotNotFoundError(
+      `A LexV2 bot matching the following configuration was not found. ` +
+        `Please check your configuration.
+{
+  botId: ${botConfig.botId},
+  botAliasId: ${botConfig.botAliasId},
+  localeId: ${botConfig.localeId},
+}`,
+      { cause: error }
+    );
+  }
+
+  return new ErrorClass((error && error.message) || String(error), {
+    cause: error,
+  });
+}
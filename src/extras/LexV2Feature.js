@@ -2,11 +2,64 @@
 // SPDX-License-Identifier: MIT-0
 import { Engine } from "@babylonjs/core/Engines/engine";
 import { Messenger, Utils } from "@amazon-sumerian-hosts/babylon";
-import { downsampleAudio, encodeWAV } from "./AudioUtils";
-import pako from "pako";
+import {
+  DEFAULT_PREPROCESSING_OPTIONS,
+  amplitudeToDecibels,
+  decodeWAV,
+  encodeWAV,
+  measureLevel,
+  mixToMono,
+  preprocessAudio,
+  resampleAudio,
+} from "./AudioUtils";
+import {
+  RECORDER_PROCESSOR_NAME,
+  createRecorderProcessorUrl,
+} from "./recorderWorklet";
+import {
+  LexV2AbortError,
+  LexV2ThrottlingError,
+  LexV2TimeoutError,
+  LexV2ValidationError,
+  toLexV2Error,
+} from "./LexV2Errors";
+import {
+  decodeAndUnzipJsonString,
+  encodeAndZipJsonString,
+} from "./lexEncoding";
+import { AudioResponsePlayer } from "./AudioResponsePlayer";
+import { recordMetric } from "./Metrics";
 
 const INPUT_AUDIO_SAMPLE_RATE = 16000;
 
+/**
+ * Capture constraints applied to the microphone unless overridden. Echo
+ * cancellation keeps the host's own voice out of the recording, so it can't
+ * trigger voice activity detection or barge-in.
+ */
+const DEFAULT_CAPTURE_CONSTRAINTS = {
+  echoCancellation: true,
+};
+
+/**
+ * Peak amplitude at or above which input is reported as clipping.
+ */
+const CLIPPING_THRESHOLD = 0.99;
+
+/**
+ * Default settings for hands-free voice activity detection. Thresholds are in
+ * dBFS and times are in milliseconds.
+ */
+const DEFAULT_VAD_OPTIONS = {
+  speechThreshold: -40,
+  silenceThreshold: -50,
+  speechStartTime: 150,
+  hangoverTime: 900,
+  preRollTime: 300,
+  resumeDelay: 500,
+  frameTime: 20,
+};
+
 /**
  * Feature class for interacting with Lex V2 chatbots.
  */
@@ -29,6 +82,39 @@ class LexV2Feature extends Messenger {
    * @param {string=} options.sessionId - (Optional) A unique identifier for the
    *     session. If you do not provide this value a unique session ID will be
    *     used automatically.
+   * @param {number=} options.requestTimeout - (Optional) Milliseconds to wait
+   *     for each Lex request before failing with a LexV2TimeoutError. Defaults
+   *     to 15000.
+   * @param {number=} options.maxRetries - (Optional) How many times a request
+   *     that was throttled by Lex is retried. Defaults to 3.
+   * @param {number=} options.retryBaseDelay - (Optional) Base delay in
+   *     milliseconds for the exponential backoff between retries. Defaults to
+   *     200.
+   * @param {string=} options.responseContentType - (Optional) The format of
+   *     Lex responses. Use "audio/pcm", "audio/mpeg" or "audio/ogg" to have
+   *     Lex return its reply as speech in the response's audioStream, which
+   *     can be played with an AudioResponsePlayer. Defaults to
+   *     "text/plain;charset=utf-8".
+   * @param {number=} options.levelEventInterval - (Optional) Minimum
+   *     milliseconds between inputLevel events while recording. Defaults to
+   *     100.
+   * @param {number=} options.disambiguationThreshold - (Optional) When the
+   *     top intent of a new request is recognized with an NLU confidence below
+   *     this value, responses carry `disambiguationChoices` so the user can be
+   *     asked what they meant. Defaults to 0, which turns this off.
+   * @param {number=} options.maxDisambiguationChoices - (Optional) The most
+   *     intents offered as disambiguation choices. Defaults to 3.
+   * @param {(Object|false)=} options.audioPreprocessing - (Optional) Settings
+   *     for the preprocessing applied to audio before it's sent to Lex. See
+   *     preprocessAudio() in AudioUtils. Recordings are also stopped
+   *     automatically after its maxDuration. Pass false to send audio
+   *     unmodified.
+   * @param {number=} options.debugRecordingLimit - (Optional) How many of the
+   *     most recent audio requests to keep for debugging. See
+   *     debugRecordings. Defaults to 0, which turns this off.
+   * @param {Object=} options.metricsSink - (Optional) Receives the timing and
+   *     outcome of every request, such as recording length, encode time, Lex
+   *     round trip, retries and intent matches. See Metrics.
    */
   constructor(
     lexRuntime,
@@ -37,6 +123,16 @@ class LexV2Feature extends Messenger {
       botAliasId: undefined,
       localeId: "en_US",
       sessionId: undefined,
+      requestTimeout: 15000,
+      maxRetries: 3,
+      retryBaseDelay: 200,
+      responseContentType: "text/plain;charset=utf-8",
+      levelEventInterval: 100,
+      disambiguationThreshold: 0,
+      maxDisambiguationChoices: 3,
+      audioPreprocessing: {},
+      debugRecordingLimit: 0,
+      metricsSink: undefined,
     }
   ) {
     super();
@@ -57,12 +153,86 @@ class LexV2Feature extends Messenger {
       sessionId: options.sessionId || Utils.createId(),
     };
 
+    this._sessionState = null;
+
+    this._disambiguationOptions = {
+      threshold: options.disambiguationThreshold ?? 0,
+      maxChoices: options.maxDisambiguationChoices ?? 3,
+    };
+
+    this._requestOptions = {
+      requestTimeout: options.requestTimeout ?? 15000,
+      maxRetries: options.maxRetries ?? 3,
+      retryBaseDelay: options.retryBaseDelay ?? 200,
+      responseContentType:
+        options.responseContentType || "text/plain;charset=utf-8",
+    };
+
     // Microphone related fields
     this._micReady = false;
     this._recording = false;
     this._recLength = 0;
     this._recBuffer = [];
+    this._recorderNode = undefined;
+    this._useWorklet = false;
+    this._pendingRecordings = [];
+    this._recHistory = [];
+    this._recHistoryLength = 0;
+    this._micStream = undefined;
+    this._micSource = undefined;
+    this._micOptions = {
+      deviceId: undefined,
+      constraints: { ...DEFAULT_CAPTURE_CONSTRAINTS },
+    };
+    this._onMicTrackEnded = () => this._rebindMicInput("trackEnded");
+    this._onDeviceChange = () => this._handleDeviceChange();
     this._setupAudioContext();
+
+    this._preprocessingOptions = options.audioPreprocessing ?? {};
+    this._autoStopTimer = undefined;
+
+    // Debug recording related fields
+    this._debugRecordings = {
+      limit: options.debugRecordingLimit ?? 0,
+      recordings: [],
+      nextId: 1,
+    };
+
+    this._metricsSink = options.metricsSink;
+
+    // Input level metering related fields
+    this._levelMeter = {
+      interval: options.levelEventInterval ?? 100,
+      elapsed: 0,
+      squareSum: 0,
+      length: 0,
+      peak: 0,
+    };
+
+    // Voice activity detection related fields
+    this._vad = {
+      enabled: false,
+      paused: false,
+      speaking: false,
+      activeTime: 0,
+      silentTime: 0,
+      resumeTimer: undefined,
+      host: undefined,
+      hostListeners: [],
+      options: { ...DEFAULT_VAD_OPTIONS },
+    };
+
+    // Barge-in related fields
+    this._bargeIn = {
+      enabled: false,
+      host: undefined,
+      audioPlayer: undefined,
+      hostSpeaking: false,
+      audioPlaying: false,
+      listeners: [],
+      fadeTime: 0,
+      gestureLayers: [],
+    };
   }
 
   /**
@@ -91,219 +261,1764 @@ class LexV2Feature extends Messenger {
   }
 
   /**
-   * Sends audio input to Amazon Lex.
+   * Preprocesses audio input and sends it to Amazon Lex. The audioPrepared
+   * event reports the duration of the audio that is sent.
    *
    * @param {TypedArray} inputAudio - TypedArray view of the input audio buffer
    * @param {Number} sourceSampleRate - Sample rate of the input audio
-   * @param {Object=} config - Optional config for overriding lex bot info
-   * @param {string=} config.botName - The name of the lex bot.
-   * @param {string=} config.botAlias - The alias of the lex bot.
-   * @param {string=} config.userId - The userId used to keep track of the
-   * session with lex bot.
+   * @param {Object=} config - Optional per-request settings. See
+   *     processWithText() for details.
    *
-   * @returns {Promise} A Promise-like object that resolves to a Lex response
-   * object. For details on the structure of that response object see:
-   * https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntime.html#postContent-property
+   * @returns {Promise<Object>} A Promise that resolves to the decoded Lex
+   * response. For details on the structure of that response object see:
+   * https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntimeV2.html#recognizeUtterance-property
    */
   _processWithAudio(inputAudio, sourceSampleRate, config = {}) {
-    const audio = this._prepareAudio(inputAudio, sourceSampleRate);
-    return this._process("audio/x-l16; rate=16000", audio, config);
+    const encodeStartTime = performance.now();
+    let samples = inputAudio;
+    let details;
+
+    if (this._preprocessingOptions !== false) {
+      const { buffer, ...preprocessed } = preprocessAudio(
+        inputAudio,
+        sourceSampleRate,
+        this._preprocessingOptions
+      );
+      samples = buffer;
+      details = preprocessed;
+    } else {
+      const duration = inputAudio.length / sourceSampleRate;
+      details = {
+        duration,
+        originalDuration: duration,
+        truncated: false,
+        gain: 1,
+      };
+    }
+    this.emit(LexV2Feature.EVENTS.audioPrepared, details);
+
+    const audio = this._prepareAudio(samples, sourceSampleRate);
+    const startTime = performance.now();
+    this._recordMetric("recording.duration", details.originalDuration, "s", {
+      truncated: String(details.truncated),
+    });
+    this._recordMetric("audio.encodeTime", startTime - encodeStartTime, "ms");
+
+    const request = this._process("audio/x-l16; rate=16000", audio, config);
+
+    if (this._debugRecordings.limit > 0) {
+      this._keepDebugRecording(
+        {
+          rawAudio: inputAudio,
+          sampleRate: sourceSampleRate,
+          wav: audio,
+          audioDetails: details,
+        },
+        request,
+        startTime
+      );
+    }
+
+    return request;
+  }
+
+  /**
+   * @returns {Array<Object>} The audio requests kept for debugging, oldest
+   * first. See setDebugRecordingLimit(). Each one has these properties:
+   *
+   *   id           - A number that identifies the recording.
+   *   time         - When the audio was sent, as an ISO 8601 string.
+   *   rawAudio     - The captured mono samples as a Float32Array, before any
+   *                  preprocessing.
+   *   sampleRate   - The sample rate of rawAudio.
+   *   wav          - The 16 kHz WAV Blob that was sent to Lex.
+   *   audioDetails - The audioPrepared event value for the recording.
+   *   response     - The decoded Lex response, or null if the request failed.
+   *   error        - The LexV2Error the request failed with, or null.
+   *   latency      - Milliseconds from sending the audio until the response or
+   *                  error arrived, including retries. Null until then.
+   */
+  get debugRecordings() {
+    return this._debugRecordings.recordings.slice();
+  }
+
+  /**
+   * Changes how many of the most recent audio requests are kept for
+   * debugging. Each kept request is emitted as a debugRecording event once its
+   * response or error arrives. Recordings beyond the new limit are dropped.
+   *
+   * @param {number} limit - How many requests to keep. 0 turns this off.
+   */
+  setDebugRecordingLimit(limit) {
+    const debug = this._debugRecordings;
+    debug.limit = Math.max(0, limit);
+    debug.recordings = debug.limit ? debug.recordings.slice(-debug.limit) : [];
+  }
+
+  /**
+   * Changes where request metrics are recorded.
+   *
+   * @param {Object=} sink - The new metrics sink, or undefined to stop
+   *     recording metrics. See Metrics.
+   */
+  setMetricsSink(sink) {
+    this._metricsSink = sink;
+  }
+
+  _recordMetric(name, value, unit, dimensions) {
+    recordMetric(this._metricsSink, name, value, unit, dimensions);
+  }
+
+  /**
+   * Keeps an audio request for debugging, dropping the oldest beyond the
+   * limit, and pairs it with the outcome of the request.
+   */
+  _keepDebugRecording(recording, request, startTime) {
+    const debug = this._debugRecordings;
+    const entry = {
+      id: debug.nextId++,
+      time: new Date().toISOString(),
+      ...recording,
+      response: null,
+      error: null,
+      latency: null,
+    };
+
+    debug.recordings.push(entry);
+    if (debug.recordings.length > debug.limit) {
+      debug.recordings.shift();
+    }
+
+    const settle = (outcome) => {
+      Object.assign(entry, outcome, {
+        latency: performance.now() - startTime,
+      });
+      this.emit(LexV2Feature.EVENTS.debugRecording, entry);
+    };
+    request.then(
+      (response) => settle({ response }),
+      (error) => settle({ error })
+    );
   }
 
   /**
-   * Sends text user input to Amazon Lex.
+   * Changes the preprocessing applied to audio before it's sent to Lex.
    *
-   * @returns {Promise} A Promise-like object that resolves to a Lex response
-   * object. For details on the structure of that response object see:
-   * https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntime.html#postContent-property
+   * @param {(Object|false)} options - Settings for preprocessAudio() in
+   *     AudioUtils, or false to send audio unmodified.
    */
-  processWithText(inputText) {
-    return this._process("text/plain; charset=utf-8", inputText);
+  setAudioPreprocessing(options) {
+    this._preprocessingOptions = options;
   }
 
-  _process(contentType, inputStream) {
+  /**
+   * @returns {number} Seconds after which recordings stop automatically, or 0
+   * if they don't.
+   */
+  _getMaxRecordingDuration() {
+    if (this._preprocessingOptions === false) return 0;
+
+    const { maxDuration } = {
+      ...DEFAULT_PREPROCESSING_OPTIONS,
+      ...this._preprocessingOptions,
+    };
+    return maxDuration || 0;
+  }
+
+  /**
+   * Ends a recording that reached the maximum duration and sends it to Lex.
+   */
+  _autoStopRecording() {
+    const vad = this._vad;
+    if (vad.speaking) {
+      vad.speaking = false;
+      vad.silentTime = 0;
+      this.emit(LexV2Feature.EVENTS.speechEnd);
+    }
+
+    // Failures are reported through the lexError event.
+    this.endVoiceRecording().catch(() => {});
+  }
+
+  /**
+   * Sends a pre-recorded WAV file to Amazon Lex, for example a test utterance.
+   * Multi-channel audio is mixed down to mono and all audio is resampled to
+   * the rate Lex expects.
+   *
+   * @param {ArrayBuffer|TypedArray|DataView} wavData - The WAV file contents
+   * @param {Object=} config - Optional per-request settings. See
+   *     processWithText() for details.
+   *
+   * @returns {Promise<Object>} A Promise that resolves to the decoded Lex
+   * response, or rejects with a LexV2Error.
+   */
+  processWithWAV(wavData, config = {}) {
+    const { sampleRate, channels } = decodeWAV(wavData);
+    return this._processWithAudio(mixToMono(channels), sampleRate, config);
+  }
+
+  /**
+   * Sends text user input to Amazon Lex. Text is sent with recognizeText,
+   * which returns the structured response including every interpretation and
+   * its nluConfidence. When audio responses are requested it's sent with
+   * recognizeUtterance instead, since only that returns audio.
+   *
+   * @param {string} inputText - The user's input
+   * @param {Object=} config - Optional per-request settings
+   * @param {Object=} config.sessionState - Session state to send with this
+   *     request, for example to pre-fill slots or set session attributes. See
+   *     https://docs.aws.amazon.com/lexv2/latest/dg/API_runtime_SessionState.html
+   * @param {Object=} config.requestAttributes - String key/value pairs passed
+   *     to the bot for this request only.
+   * @param {AbortSignal=} config.signal - Signal used to cancel the request.
+   *     Cancelled requests reject with a LexV2AbortError.
+   * @param {number=} config.timeout - Overrides the requestTimeout option for
+   *     this request.
+   * @param {number=} config.maxRetries - Overrides the maxRetries option for
+   *     this request.
+   * @param {string=} config.responseContentType - Overrides the
+   *     responseContentType option for this request.
+   *
+   * @returns {Promise<Object>} A Promise that resolves to the decoded Lex
+   * response, or rejects with a LexV2Error. Responses always include
+   * inputTranscript and inputMode, like recognizeUtterance responses. For
+   * details on the structure of that response object see:
+   * https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntimeV2.html#recognizeUtterance-property
+   */
+  processWithText(inputText, config = {}) {
+    const responseContentType =
+      config.responseContentType || this._requestOptions.responseContentType;
+    if (/^audio\//.test(responseContentType)) {
+      return this._process("text/plain; charset=utf-8", inputText, config);
+    }
+
+    return this._processText(inputText, config);
+  }
+
+  /**
+   * Sends text input to Lex with recognizeText.
+   */
+  async _processText(inputText, config = {}) {
+    const params = { ...this._options, text: inputText };
+    if (config.sessionState) {
+      params.sessionState = config.sessionState;
+    }
+    if (config.requestAttributes) {
+      params.requestAttributes = config.requestAttributes;
+    }
+
+    const response = await this._request("recognizeText", params, config);
+    return this._handleResponse({
+      ...response,
+      inputMode: "Text",
+      inputTranscript: inputText,
+    });
+  }
+
+  /**
+   * Sends user input to Lex with recognizeUtterance.
+   */
+  async _process(contentType, inputStream, config = {}) {
     const params = {
       ...this._options,
       requestContentType: contentType,
-      responseContentType: "text/plain;charset=utf-8",
+      responseContentType:
+        config.responseContentType || this._requestOptions.responseContentType,
       inputStream,
     };
+    if (config.sessionState) {
+      params.sessionState = encodeAndZipJsonString(config.sessionState);
+    }
+    if (config.requestAttributes) {
+      params.requestAttributes = encodeAndZipJsonString(
+        config.requestAttributes
+      );
+    }
 
-    this._lexRuntime
-      .recognizeUtterance(params)
-      .promise()
-      .then((response) => {
-        const decodedResponse = decodeResponse(response);
-        this.emit(LexV2Feature.EVENTS.lexResponseReady, decodedResponse);
-        return response;
-      })
-      .catch((error) => {
-        if (error.name === "ResourceNotFoundException") {
-          console.error(
-            `A LexV2 bot matching the following configuration was not found. ` +
-              `Please check your configuration.
-{
-  botId: ${this._options.botId},
-  botAliasId: ${this._options.botAliasId},
-  localeId: ${this._options.localeId},
-}`
-          );
-        } else {
-          console.error(error);
-        }
-        this.emit(LexV2Feature.EVENTS.lexError, error);
-      });
+    const response = await this._request("recognizeUtterance", params, config);
+    return this._handleResponse(decodeResponse(response));
   }
 
-  _prepareAudio(audioBuffer, sourceSampleRate) {
-    const downsampledAudio = downsampleAudio(
-      audioBuffer,
-      sourceSampleRate,
-      INPUT_AUDIO_SAMPLE_RATE
-    );
-    const encodedAudio = encodeWAV(downsampledAudio, INPUT_AUDIO_SAMPLE_RATE);
+  /**
+   * Caches the session state of a decoded response, adds disambiguation
+   * choices if the user's intent is unclear and emits the response as a
+   * lexResponseReady event.
+   *
+   * @param {Object} response - The decoded Lex response
+   *
+   * @returns {Object} The response.
+   */
+  _handleResponse(response) {
+    const choices = this._getDisambiguationChoices(response);
+    if (choices.length) {
+      response.disambiguationChoices = choices;
+    }
 
-    return new Blob([encodedAudio], { type: "application/octet-stream" });
+    const intent = response.sessionState && response.sessionState.intent;
+    const isMatch = Boolean(intent && intent.name !== "FallbackIntent");
+    this._recordMetric("lex.intentMatch", isMatch ? 1 : 0, "ratio", {
+      intent: isMatch ? intent.name : "None",
+    });
+
+    this._updateSessionState(response.sessionState);
+    this.emit(LexV2Feature.EVENTS.lexResponseReady, response);
+    return response;
   }
 
   /**
-   * Async function to setup microphone recorder which will get user permission
-   * for accessing microphone This method must be called before attempting to
-   * record voice input with the beginVoiceRecording() method. Expect an error
-   * to be thrown if the user has chosen to block microphone access.
+   * Picks the interpretations to offer the user when the best one has a low
+   * NLU confidence. Only input that starts a new intent is considered, since
+   * replies to slot prompts and confirmations are expected to match the
+   * active intent.
    *
-   * @throws {DOMException} See the documentation for
-   * [MediaDevices.getUserMedia()](https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/getUserMedia).
-   * The most likely error to expect will be the "NotAllowed" error indicating
-   * the user has denied access to the microphone.
+   * @param {Object} response - The decoded Lex response
+   *
+   * @returns {Array<Object>} The interpretations to offer, best first, or an
+   * empty array if the user's intent is clear.
    */
-  async enableMicInput() {
-    const stream = await navigator.mediaDevices.getUserMedia({
-      audio: true,
-      video: false,
-    });
-    const source = this._audioContext.createMediaStreamSource(stream);
-    //TODO: createScriptProcessor is deprecated which should be replaced
-    const node = this._audioContext.createScriptProcessor(4096, 1, 1);
+  _getDisambiguationChoices(response) {
+    const { threshold, maxChoices } = this._disambiguationOptions;
+    const dialogAction = this._sessionState && this._sessionState.dialogAction;
+    const isNewIntent =
+      !dialogAction ||
+      !["ElicitSlot", "ConfirmIntent"].includes(dialogAction.type);
 
-    node.onaudioprocess = (e) => {
-      if (!this._recording) return;
+    if (!threshold || !isNewIntent) return [];
 
-      const buffer = e.inputBuffer.getChannelData(0);
-      this._recBuffer.push(new Float32Array(buffer));
-      this._recLength += buffer.length;
-    };
+    const ranked = (response.interpretations || [])
+      .filter(
+        (interpretation) =>
+          interpretation.nluConfidence &&
+          interpretation.intent.name !== "FallbackIntent"
+      )
+      .sort((a, b) => b.nluConfidence.score - a.nluConfidence.score);
 
-    source.connect(node);
-    node.connect(this._audioContext.destination);
+    if (!ranked.length || ranked[0].nluConfidence.score >= threshold) {
+      return [];
+    }
+    return ranked.slice(0, maxChoices);
+  }
 
-    this.emit(LexV2Feature.EVENTS.micReady);
-    this._micReady = true;
+  /**
+   * Continues the conversation with an interpretation the user picked from
+   * `disambiguationChoices`. The chosen intent is sent to Lex through the
+   * session state, and Lex replies with its next prompt. The response is
+   * emitted as a lexResponseReady event.
+   *
+   * @param {Object} interpretation - One of the response's
+   *     disambiguationChoices
+   * @param {Object=} config - Optional per-request settings. See
+   *     processWithText() for details.
+   *
+   * @returns {Promise<Object>} A Promise that resolves to the decoded Lex
+   * response, or rejects with a LexV2Error.
+   */
+  async selectInterpretation(interpretation, config = {}) {
+    const sessionState = {
+      dialogAction: { type: "Delegate" },
+      intent: {
+        name: interpretation.intent.name,
+        slots: interpretation.intent.slots || {},
+        state: "InProgress",
+        confirmationState: "None",
+      },
+    };
+    if (this._sessionState && this._sessionState.sessionAttributes) {
+      sessionState.sessionAttributes = this._sessionState.sessionAttributes;
+    }
+
+    const response = await this.putSession(sessionState, config);
+    this.emit(LexV2Feature.EVENTS.lexResponseReady, response);
+    return response;
   }
 
   /**
-   * Begin microphone recording. This function will also try to resume
-   * audioContext so that it's suggested to call this function after a user
-   * interaction
+   * Closes the active intent after it was fulfilled outside of Lex, for
+   * example by code running in the browser. The updated session state is sent
+   * to Lex along with an optional closing message, and the response is emitted
+   * as a lexResponseReady event so the message can be presented.
+   *
+   * @param {Object=} options
+   * @param {string=} options.state - The final intent state, "Fulfilled" or
+   *     "Failed". Defaults to "Fulfilled".
+   * @param {string=} options.message - Plain text message to return to the
+   *     user.
+   * @param {(Object|string)=} options.customPayload - Content of a
+   *     CustomPayload message sent after the message, such as a gesture
+   *     directive (see GestureDirectives). Objects are sent as JSON.
+   * @param {Object=} options.sessionAttributes - Attributes merged into the
+   *     current sessionAttributes.
+   * @param {Object=} config - Optional per-request settings. See
+   *     processWithText() for details.
+   *
+   * @returns {Promise<Object>} A Promise that resolves to the decoded Lex
+   * response, or rejects with a LexV2Error.
    */
-  beginVoiceRecording() {
-    if (!this._micReady) {
-      return;
+  async closeIntent(options = {}, config = {}) {
+    const currentState = this._sessionState || {};
+    if (!currentState.intent) {
+      throw new LexV2ValidationError("There is no active intent to close.");
     }
 
-    if (
-      this._audioContext.state === "suspended" ||
-      this._audioContext.state === "interrupted"
-    ) {
-      this._audioContext.resume();
+    const sessionState = {
+      ...currentState,
+      dialogAction: { type: "Close" },
+      intent: { ...currentState.intent, state: options.state || "Fulfilled" },
+    };
+    if (options.sessionAttributes) {
+      sessionState.sessionAttributes = {
+        ...currentState.sessionAttributes,
+        ...options.sessionAttributes,
+      };
     }
-    this._recLength = 0;
-    this._recBuffer = [];
-    this._recording = true;
 
-    this.emit(LexV2Feature.EVENTS.recordBegin);
+    const messages = [];
+    if (options.message) {
+      messages.push({ contentType: "PlainText", content: options.message });
+    }
+    if (options.customPayload) {
+      const { customPayload } = options;
+      messages.push({
+        contentType: "CustomPayload",
+        content:
+          typeof customPayload === "string"
+            ? customPayload
+            : JSON.stringify(customPayload),
+      });
+    }
+
+    const requestConfig = { ...config };
+    if (messages.length) {
+      requestConfig.messages = messages;
+    }
+
+    const response = await this.putSession(sessionState, requestConfig);
+    this.emit(LexV2Feature.EVENTS.lexResponseReady, response);
+    return response;
   }
 
   /**
-   * Stop microphone recording and send recorded audio data to lex.
+   * Calls a LexRuntimeV2 API method, retrying throttled requests with
+   * exponential backoff. Failures other than cancellation are emitted as
+   * lexError events.
    *
-   * @returns {Promise} A Promise-like object that resolves to a Lex response
-   * object. For details on the structure of that response object see:
-   * https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntime.html#postContent-property
+   * @param {string} method - Name of the AWS.LexRuntimeV2 method to call
+   * @param {Object} params - Request parameters
+   * @param {Object=} config - Per-request settings. See processWithText().
+   *
+   * @returns {Promise<Object>} A Promise that resolves to the raw response.
    */
-  endVoiceRecording() {
-    if (!this._recording) {
-      return Promise.resolve();
+  async _request(method, params, config = {}) {
+    const {
+      signal,
+      timeout = this._requestOptions.requestTimeout,
+      maxRetries = this._requestOptions.maxRetries,
+    } = config;
+
+    const startTime = performance.now();
+    let attempt = 0;
+
+    try {
+      for (; ; attempt++) {
+        try {
+          const response = await this._sendRequest(
+            method,
+            params,
+            signal,
+            timeout
+          );
+          this._recordRequestMetrics(method, startTime, attempt);
+          return response;
+        } catch (error) {
+          const lexError = toLexV2Error(error, this._options);
+          if (
+            !(lexError instanceof LexV2ThrottlingError) ||
+            attempt >= maxRetries
+          ) {
+            throw lexError;
+          }
+
+          // Full jitter exponential backoff.
+          const { retryBaseDelay } = this._requestOptions;
+          await wait(Math.random() * retryBaseDelay * 2 ** attempt, signal);
+        }
+      }
+    } catch (error) {
+      this._recordRequestMetrics(method, startTime, attempt, error);
+      if (!(error instanceof LexV2AbortError)) {
+        this.emit(LexV2Feature.EVENTS.lexError, error);
+      }
+      throw error;
     }
+  }
 
-    this._recording = false;
+  /**
+   * Records the round trip, retries and any error of a finished request.
+   * Aborted requests aren't counted as errors.
+   */
+  _recordRequestMetrics(method, startTime, retries, error) {
+    const outcome = error ? error.name : "success";
+    this._recordMetric("lex.roundTrip", performance.now() - startTime, "ms", {
+      method,
+      outcome,
+    });
+    this._recordMetric("lex.retries", retries, "count", { method });
 
-    const result = new Float32Array(this._recLength);
-    let offset = 0;
-    for (let i = 0; i < this._recBuffer.length; i++) {
-      result.set(this._recBuffer[i], offset);
-      offset += this._recBuffer[i].length;
+    if (error && !(error instanceof LexV2AbortError)) {
+      this._recordMetric("lex.error", 1, "count", { method, error: outcome });
     }
+  }
 
-    this.emit(LexV2Feature.EVENTS.recordEnd);
-    return this._processWithAudio(result, this._audioContext.sampleRate);
+  /**
+   * Makes a single LexRuntimeV2 call that can be cancelled through an
+   * AbortSignal and fails if it takes longer than `timeout` milliseconds.
+   */
+  _sendRequest(method, params, signal, timeout) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new LexV2AbortError("The request was aborted."));
+    }
+
+    const request = this._lexRuntime[method](params);
+
+    return new Promise((resolve, reject) => {
+      let timer;
+      const onAbort = () => {
+        cleanUp();
+        abortRequest(request);
+        reject(new LexV2AbortError("The request was aborted."));
+      };
+      const cleanUp = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      };
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          cleanUp();
+          abortRequest(request);
+          reject(
+            new LexV2TimeoutError(
+              `Lex did not respond within ${timeout} milliseconds.`
+            )
+          );
+        }, timeout);
+      }
+      if (signal) signal.addEventListener("abort", onAbort);
+
+      request.promise().then(
+        (response) => {
+          cleanUp();
+          resolve(response);
+        },
+        (error) => {
+          cleanUp();
+          reject(error);
+        }
+      );
+    });
   }
 
   /**
-   * @returns The useragent string for the engine you are using, e.g.
-   * 'babylonjs/5.1.0'
+   * @returns {string} The ID of the current Lex session.
    */
-  getEngineUserAgentString() {
-    return Engine.NpmPackage;
+  get sessionId() {
+    return this._options.sessionId;
   }
-}
 
-// Define static class properties.
-Object.defineProperties(LexV2Feature, {
-  EVENTS: {
-    value: {
-      lexResponseReady: "lexResponseReady",
-      lexError: "lexError",
-      micReady: "micReady",
-      recordBegin: "recordBegin",
-      recordEnd: "recordEnd",
-    },
-  },
-});
+  /**
+   * @returns {string} The locale ID currently used for requests, e.g. "en_US".
+   */
+  get localeId() {
+    return this._options.localeId;
+  }
 
-/**
- * Returns a copy of the Lex response, decoding any compressed values. The
- * original response object is not modified.
- */
-function decodeResponse(lexResponse) {
-  let { sessionState, inputTranscript, messages } = lexResponse;
+  /**
+   * Switches the bot locale used for all following requests. The session ID is
+   * kept, but the cached sessionState is cleared because Lex keeps separate
+   * session state for each locale. Emits a localeChange event.
+   *
+   * @param {string} localeId - The locale ID to use, e.g. "es_US". The bot must
+   *     have this locale built.
+   */
+  setLocaleId(localeId) {
+    if (typeof localeId !== "string" || localeId.length === 0) {
+      throw Error("Failed to set LexV2Feature locale. A localeId is required");
+    }
 
-  sessionState = decodeAndUnzipJsonString(sessionState);
-  inputTranscript = decodeAndUnzipJsonString(inputTranscript);
-  messages = decodeAndUnzipJsonString(messages);
+    if (localeId === this._options.localeId) return;
 
-  return {
-    ...lexResponse,
-    sessionState,
-    inputTranscript,
-    messages,
-  };
-}
+    this._options.localeId = localeId;
+    this._updateSessionState(null);
+    this.emit(LexV2Feature.EVENTS.localeChange, localeId);
+  }
 
-/**
- * Accepts a base64-encoded, gzip-compressed JSON string and returns
- * a parsed JSON object.
- */
-function decodeAndUnzipJsonString(encodedString) {
-  if (typeof encodedString !== "string" || encodedString.length === 0)
-    return null;
-
-  const data = atob(encodedString);
-  const gzipedDataArray = Uint8Array.from(data, (c) => c.charCodeAt(0));
-  const unzippedJsonString = pako.inflate(gzipedDataArray, { to: "string" });
-  const result = JSON.parse(unzippedJsonString);
-  return result;
+  /**
+   * @returns {Object|null} The session state from the most recent Lex response
+   * or session call, or null if there has been no exchange with Lex yet.
+   * Contains the active intent, its slots and any sessionAttributes.
+   */
+  get sessionState() {
+    return this._sessionState;
+  }
+
+  /**
+   * Replaces the cached session state and notifies listeners.
+   */
+  _updateSessionState(sessionState) {
+    this._sessionState = sessionState || null;
+    this.emit(LexV2Feature.EVENTS.sessionStateChange, this._sessionState);
+  }
+
+  /**
+   * Retrieves the current session from Lex and refreshes the cached
+   * sessionState.
+   *
+   * @param {Object=} config - Optional per-request settings. See
+   *     processWithText() for details.
+   *
+   * @returns {Promise<Object>} A Promise that resolves to the Lex response.
+   * For details on the structure of that response object see:
+   * https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntimeV2.html#getSession-property
+   */
+  async getSession(config = {}) {
+    const response = await this._request(
+      "getSession",
+      { ...this._options },
+      config
+    );
+    this._updateSessionState(response.sessionState);
+    return response;
+  }
+
+  /**
+   * Creates or replaces the current session. Use this to pre-fill slots, start
+   * a specific intent or pass context such as the user's name through
+   * sessionAttributes before the user says anything.
+   *
+   * @param {Object} sessionState - The new session state. See
+   *     https://docs.aws.amazon.com/lexv2/latest/dg/API_runtime_SessionState.html
+   * @param {Object=} config - Optional per-request settings. See
+   *     processWithText() for details.
+   * @param {Array<Object>=} config.messages - Messages Lex should return to the
+   *     user as part of the response.
+   *
+   * @returns {Promise<Object>} A Promise that resolves to the decoded Lex
+   * response.
+   */
+  async putSession(sessionState, config = {}) {
+    const params = {
+      ...this._options,
+      sessionState,
+      responseContentType: "text/plain;charset=utf-8",
+    };
+    if (config.messages) {
+      params.messages = config.messages;
+    }
+    if (config.requestAttributes) {
+      params.requestAttributes = config.requestAttributes;
+    }
+
+    const response = await this._request("putSession", params, config);
+    const decodedResponse = decodeResponse(response);
+    this._updateSessionState(decodedResponse.sessionState);
+    return decodedResponse;
+  }
+
+  /**
+   * Ends the current session. The next request starts a fresh conversation
+   * with the same session ID.
+   *
+   * @param {Object=} config - Optional per-request settings. See
+   *     processWithText() for details.
+   *
+   * @returns {Promise<Object>} A Promise that resolves to the Lex response.
+   */
+  async deleteSession(config = {}) {
+    const response = await this._request(
+      "deleteSession",
+      { ...this._options },
+      config
+    );
+    this._updateSessionState(null);
+    return response;
+  }
+
+  _prepareAudio(audioBuffer, sourceSampleRate) {
+    const resampledAudio = resampleAudio(
+      audioBuffer,
+      sourceSampleRate,
+      INPUT_AUDIO_SAMPLE_RATE
+    );
+    const encodedAudio = encodeWAV(resampledAudio, INPUT_AUDIO_SAMPLE_RATE);
+
+    return new Blob([encodedAudio], { type: "application/octet-stream" });
+  }
+
+  /**
+   * Async function to setup microphone recorder which will get user permission
+   * for accessing microphone This method must be called before attempting to
+   * record voice input with the beginVoiceRecording() method. Expect an error
+   * to be thrown if the user has chosen to block microphone access.
+   *
+   * Once enabled, the microphone is re-acquired automatically if its track
+   * ends or the selected device is unplugged, emitting the micInputChange
+   * event. The event carries an error if no microphone could be re-acquired,
+   * or if the devices couldn't be listed, in which case the current
+   * microphone stays in use.
+   *
+   * @param {Object=} options
+   * @param {string=} options.deviceId - ID of the audio input device to use,
+   *     as returned by getAudioInputDevices(). Defaults to the system default.
+   * @param {Object=} options.constraints - Audio capture constraints such as
+   *     echoCancellation, noiseSuppression and autoGainControl. Echo
+   *     cancellation is enabled unless set to false.
+   *
+   * @throws {DOMException} See the documentation for
+   * [MediaDevices.getUserMedia()](https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/getUserMedia).
+   * The most likely error to expect will be the "NotAllowed" error indicating
+   * the user has denied access to the microphone.
+   */
+  async enableMicInput(options = {}) {
+    if (options.deviceId !== undefined) {
+      this._micOptions.deviceId = options.deviceId;
+    }
+    if (options.constraints) {
+      this._micOptions.constraints = {
+        ...DEFAULT_CAPTURE_CONSTRAINTS,
+        ...options.constraints,
+      };
+    }
+
+    const stream = await this._openMicStream();
+
+    if (!this._recorderNode) {
+      await this._createRecorder(stream);
+    } else {
+      this._connectMicStream(stream);
+    }
+
+    navigator.mediaDevices.removeEventListener(
+      "devicechange",
+      this._onDeviceChange
+    );
+    navigator.mediaDevices.addEventListener(
+      "devicechange",
+      this._onDeviceChange
+    );
+
+    this.emit(LexV2Feature.EVENTS.micReady);
+    this._micReady = true;
+  }
+
+  /**
+   * Lists the audio input devices available to the browser. Device labels are
+   * empty until the user has allowed microphone access.
+   *
+   * @returns {Promise<Array<MediaDeviceInfo>>} A Promise that resolves to the
+   * audio input devices.
+   */
+  async getAudioInputDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === "audioinput");
+  }
+
+  /**
+   * @returns {string|undefined} The ID of the audio input device currently
+   * recorded from, or undefined if the microphone isn't enabled.
+   */
+  get audioInputDeviceId() {
+    const track = this._getMicTrack();
+    return track ? track.getSettings().deviceId : undefined;
+  }
+
+  /**
+   * Switches to a different audio input device. Takes effect immediately if
+   * the microphone is enabled, otherwise on the next enableMicInput() call.
+   *
+   * @param {string=} deviceId - ID of the device to use, as returned by
+   *     getAudioInputDevices(). Pass undefined to use the system default.
+   *
+   * @returns {Promise} A Promise that resolves once the device is in use.
+   */
+  async selectAudioInputDevice(deviceId) {
+    this._micOptions.deviceId = deviceId;
+    if (this._micStream) {
+      await this._rebindMicInput("deviceSelected");
+    }
+  }
+
+  /**
+   * Changes the audio capture constraints. Takes effect immediately if the
+   * microphone is enabled, otherwise on the next enableMicInput() call.
+   *
+   * @param {Object} constraints - Audio capture constraints such as
+   *     echoCancellation, noiseSuppression and autoGainControl. Echo
+   *     cancellation is enabled unless set to false.
+   *
+   * @returns {Promise} A Promise that resolves once the constraints apply.
+   */
+  async setCaptureConstraints(constraints) {
+    this._micOptions.constraints = {
+      ...DEFAULT_CAPTURE_CONSTRAINTS,
+      ...constraints,
+    };
+    if (this._micStream) {
+      await this._rebindMicInput("constraintsChanged");
+    }
+  }
+
+  /**
+   * Requests a microphone stream matching the current device and constraints.
+   * If the selected device is unavailable the system default is used.
+   *
+   * @returns {Promise<MediaStream>}
+   */
+  async _openMicStream() {
+    const { deviceId, constraints } = this._micOptions;
+    const getStream = (audio) =>
+      navigator.mediaDevices.getUserMedia({ audio, video: false });
+
+    if (!deviceId) {
+      return getStream(constraints);
+    }
+
+    try {
+      return await getStream({ ...constraints, deviceId: { exact: deviceId } });
+    } catch (error) {
+      if (
+        error.name !== "OverconstrainedError" &&
+        error.name !== "NotFoundError"
+      ) {
+        throw error;
+      }
+
+      // Keep the selection so the device is used again once it reconnects.
+      console.warn(
+        `Audio input device "${deviceId}" is unavailable. Using the default device.`
+      );
+      return getStream(constraints);
+    }
+  }
+
+  /**
+   * Creates the recorder node, preferring an AudioWorklet, and connects the
+   * microphone stream to it.
+   *
+   * @param {MediaStream} stream - Microphone stream
+   */
+  async _createRecorder(stream) {
+    const source = this._connectMicStream(stream);
+
+    if (this._audioContext.audioWorklet) {
+      try {
+        await this._createWorkletRecorder(source);
+      } catch (error) {
+        console.warn(
+          "Failed to load the recorder AudioWorklet. Falling back to a ScriptProcessorNode.",
+          error
+        );
+        this._createScriptProcessorRecorder(source);
+      }
+    } else {
+      this._createScriptProcessorRecorder(source);
+    }
+  }
+
+  /**
+   * Replaces the current microphone stream with a new one. The recorder node
+   * is kept, so a recording in progress continues with the new input.
+   *
+   * @param {MediaStream} stream - Microphone stream
+   *
+   * @returns {MediaStreamAudioSourceNode} The new source node.
+   */
+  _connectMicStream(stream) {
+    this._releaseMicStream();
+
+    const source = this._audioContext.createMediaStreamSource(stream);
+    if (this._recorderNode) {
+      source.connect(this._recorderNode);
+    }
+
+    this._micStream = stream;
+    this._micSource = source;
+    stream
+      .getAudioTracks()
+      .forEach((track) =>
+        track.addEventListener("ended", this._onMicTrackEnded)
+      );
+
+    return source;
+  }
+
+  /**
+   * Disconnects and stops the current microphone stream.
+   */
+  _releaseMicStream() {
+    if (!this._micStream) return;
+
+    this._micSource.disconnect();
+    this._micStream.getTracks().forEach((track) => {
+      track.removeEventListener("ended", this._onMicTrackEnded);
+      track.stop();
+    });
+    this._micStream = undefined;
+    this._micSource = undefined;
+  }
+
+  /**
+   * @returns {MediaStreamTrack|undefined} The current microphone track.
+   */
+  _getMicTrack() {
+    return this._micStream ? this._micStream.getAudioTracks()[0] : undefined;
+  }
+
+  /**
+   * Re-acquires the microphone when the recorded device disappears, when the
+   * selected device or any device after the microphone was lost is connected
+   * or, if no device was selected, when the system default device changes.
+   */
+  async _handleDeviceChange() {
+    // This runs from the devicechange listener, where nothing would catch a
+    // rejection, so failures are reported with the micInputChange event.
+    try {
+      const track = this._getMicTrack();
+      if (!track) {
+        await this._rebindMicInput("deviceChange");
+        return;
+      }
+
+      const devices = await this.getAudioInputDevices();
+      const { deviceId, groupId } = track.getSettings();
+      const isAvailable = devices.some(
+        (device) => device.deviceId === deviceId
+      );
+      const defaultDevice = devices.find(
+        (device) => device.deviceId === "default"
+      );
+      const selectedId = this._micOptions.deviceId;
+      const selectedReturned =
+        selectedId !== undefined &&
+        selectedId !== deviceId &&
+        devices.some((device) => device.deviceId === selectedId);
+      const defaultChanged =
+        selectedId === undefined &&
+        defaultDevice !== undefined &&
+        groupId !== undefined &&
+        defaultDevice.groupId !== groupId;
+
+      if (
+        track.readyState === "ended" ||
+        !isAvailable ||
+        selectedReturned ||
+        defaultChanged
+      ) {
+        await this._rebindMicInput("deviceChange");
+      }
+    } catch (error) {
+      const track = this._getMicTrack();
+      this.emit(LexV2Feature.EVENTS.micInputChange, {
+        reason: "deviceChange",
+        deviceId: track ? track.getSettings().deviceId : undefined,
+        label: track ? track.label : undefined,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Opens a new microphone stream and swaps it in, then emits the
+   * micInputChange event. If no microphone can be opened or connected, mic
+   * input is disabled and the event carries the error.
+   *
+   * @param {string} reason - Why the microphone is re-acquired. One of
+   *     "deviceSelected", "constraintsChanged", "deviceChange" or "trackEnded".
+   */
+  async _rebindMicInput(reason) {
+    let stream;
+    try {
+      stream = await this._openMicStream();
+      this._connectMicStream(stream);
+    } catch (error) {
+      if (stream && stream !== this._micStream) {
+        stream.getTracks().forEach((track) => track.stop());
+      }
+      this._releaseMicStream();
+      this.cancelVoiceRecording();
+      this._micReady = false;
+      this.emit(LexV2Feature.EVENTS.micInputChange, {
+        reason,
+        deviceId: undefined,
+        label: undefined,
+        error,
+      });
+      return;
+    }
+
+    this._micReady = true;
+
+    const track = this._getMicTrack();
+    this.emit(LexV2Feature.EVENTS.micInputChange, {
+      reason,
+      deviceId: track.getSettings().deviceId,
+      label: track.label,
+    });
+  }
+
+  /**
+   * Creates an AudioWorkletNode which buffers microphone input off the main
+   * thread and connects it to the provided source node.
+   *
+   * @param {MediaStreamAudioSourceNode} source - Microphone source node
+   *
+   * @returns {Promise} A Promise that resolves once the node is connected.
+   */
+  async _createWorkletRecorder(source) {
+    const moduleUrl = createRecorderProcessorUrl();
+    try {
+      await this._audioContext.audioWorklet.addModule(moduleUrl);
+    } finally {
+      URL.revokeObjectURL(moduleUrl);
+    }
+
+    const node = new AudioWorkletNode(
+      this._audioContext,
+      RECORDER_PROCESSOR_NAME,
+      {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCount: 1,
+        channelCountMode: "explicit",
+      }
+    );
+
+    node.port.onmessage = (event) => {
+      const { data } = event;
+
+      if (data.type === "recording") {
+        const resolve = this._pendingRecordings.shift();
+        if (resolve) resolve(data.buffer);
+      } else if (data.type === "level") {
+        this._handleInputLevel(data);
+      }
+    };
+
+    source.connect(node);
+    node.connect(this._audioContext.destination);
+
+    this._recorderNode = node;
+    this._useWorklet = true;
+    this._configureRecorder();
+  }
+
+  /**
+   * Creates a ScriptProcessorNode which copies microphone input into
+   * `_recBuffer` on the main thread. Only used by browsers that don't support
+   * AudioWorklet.
+   *
+   * @param {MediaStreamAudioSourceNode} source - Microphone source node
+   */
+  _createScriptProcessorRecorder(source) {
+    const node = this._audioContext.createScriptProcessor(4096, 1, 1);
+
+    node.onaudioprocess = (e) => {
+      const buffer = e.inputBuffer.getChannelData(0);
+
+      if (this._recording) {
+        this._recBuffer.push(new Float32Array(buffer));
+        this._recLength += buffer.length;
+      } else if (this._getPreRollLength() > 0) {
+        this._recHistory.push(new Float32Array(buffer));
+        this._recHistoryLength += buffer.length;
+        this._trimRecordingHistory();
+      }
+
+      if (this._isAnalysingInput()) {
+        this._handleInputLevel(measureLevel(buffer));
+      }
+    };
+
+    source.connect(node);
+    node.connect(this._audioContext.destination);
+
+    this._recorderNode = node;
+    this._useWorklet = false;
+  }
+
+  /**
+   * Discards the oldest ScriptProcessorNode history buffers that are no longer
+   * needed for pre-roll.
+   */
+  _trimRecordingHistory() {
+    const maxLength = this._getPreRollLength();
+    while (
+      this._recHistory.length &&
+      this._recHistoryLength - this._recHistory[0].length >= maxLength
+    ) {
+      this._recHistoryLength -= this._recHistory.shift().length;
+    }
+  }
+
+  /**
+   * Pushes the current analysis and pre-roll settings to the recorder
+   * AudioWorklet. Has no effect when using the ScriptProcessorNode fallback,
+   * which reads the settings directly.
+   */
+  _configureRecorder() {
+    if (!this._useWorklet) return;
+
+    const { port } = this._recorderNode;
+    port.postMessage({
+      command: "analyse",
+      enabled: this._isAnalysingInput(),
+      frameSize: Math.round(
+        (this._vad.options.frameTime / 1000) * this._audioContext.sampleRate
+      ),
+    });
+    port.postMessage({ command: "history", length: this._getPreRollLength() });
+  }
+
+  /**
+   * @returns {boolean} Whether input levels need to be measured.
+   */
+  _isAnalysingInput() {
+    return this._vad.enabled || this._recording;
+  }
+
+  /**
+   * @returns {number} The number of samples of recent input to keep so they can
+   * be prepended to recordings started by voice activity detection.
+   */
+  _getPreRollLength() {
+    if (!this._vad.enabled) return 0;
+
+    const { preRollTime, speechStartTime } = this._vad.options;
+    return Math.round(
+      ((preRollTime + speechStartTime) / 1000) * this._audioContext.sampleRate
+    );
+  }
+
+  /**
+   * Called once per analysis frame with the measured input level.
+   *
+   * @param {Object} level - Measured levels for the frame
+   * @param {number} level.rms - Root-mean-square amplitude of the frame
+   * @param {number} level.peak - Peak amplitude of the frame
+   * @param {number} level.length - Number of samples in the frame
+   */
+  _handleInputLevel(level) {
+    this._updateVoiceActivity(level);
+
+    if (this._recording) {
+      this._updateLevelMeter(level);
+    }
+  }
+
+  /**
+   * Accumulates frame levels and emits them as an inputLevel event at most
+   * once every `levelEventInterval` milliseconds.
+   *
+   * @param {Object} level - Measured levels for the frame
+   */
+  _updateLevelMeter(level) {
+    const meter = this._levelMeter;
+
+    meter.squareSum += level.rms * level.rms * level.length;
+    meter.length += level.length;
+    meter.peak = Math.max(meter.peak, level.peak);
+    meter.elapsed += (level.length / this._audioContext.sampleRate) * 1000;
+
+    if (meter.elapsed < meter.interval) return;
+
+    const rms = Math.sqrt(meter.squareSum / meter.length);
+    this.emit(LexV2Feature.EVENTS.inputLevel, {
+      rms,
+      peak: meter.peak,
+      decibels: amplitudeToDecibels(rms),
+      peakDecibels: amplitudeToDecibels(meter.peak),
+      clipping: meter.peak >= CLIPPING_THRESHOLD,
+    });
+    this._resetLevelMeter();
+  }
+
+  _resetLevelMeter() {
+    const meter = this._levelMeter;
+    meter.elapsed = 0;
+    meter.squareSum = 0;
+    meter.length = 0;
+    meter.peak = 0;
+  }
+
+  /**
+   * Advances the voice activity detection state machine by one analysis frame,
+   * starting or stopping recording when speech onset or trailing silence is
+   * detected.
+   *
+   * @param {Object} level - Measured levels for the frame
+   */
+  _updateVoiceActivity(level) {
+    const vad = this._vad;
+    if (!vad.enabled || vad.paused) return;
+
+    const { options } = vad;
+    const decibels = amplitudeToDecibels(level.rms);
+    const frameTime = (level.length / this._audioContext.sampleRate) * 1000;
+
+    if (!vad.speaking) {
+      // Leave manual push-to-talk recordings alone.
+      if (this._recording) return;
+
+      vad.activeTime =
+        decibels >= options.speechThreshold ? vad.activeTime + frameTime : 0;
+
+      if (vad.activeTime >= options.speechStartTime) {
+        vad.speaking = true;
+        vad.activeTime = 0;
+        vad.silentTime = 0;
+        this.emit(LexV2Feature.EVENTS.speechStart);
+        this._beginRecording(this._getPreRollLength());
+      }
+    } else {
+      vad.silentTime =
+        decibels < options.silenceThreshold ? vad.silentTime + frameTime : 0;
+
+      if (vad.silentTime >= options.hangoverTime) {
+        vad.speaking = false;
+        vad.silentTime = 0;
+        this.emit(LexV2Feature.EVENTS.speechEnd);
+        // Failures are reported through the lexError event.
+        this.endVoiceRecording().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Enables hands-free "open mic" mode. While enabled, recording starts
+   * automatically when the input level rises above `speechThreshold` and stops
+   * once it has stayed below `silenceThreshold` for `hangoverTime`
+   * milliseconds. The recording is then sent to Lex exactly as if
+   * endVoiceRecording() had been called.
+   *
+   * @param {Object=} options - Voice activity detection options
+   * @param {number=} options.speechThreshold - Input level in dBFS at or above
+   *     which a frame counts as speech. Defaults to -40.
+   * @param {number=} options.silenceThreshold - Input level in dBFS below which
+   *     a frame counts as silence. Defaults to -50.
+   * @param {number=} options.speechStartTime - Milliseconds of continuous
+   *     speech needed before recording starts. Defaults to 150.
+   * @param {number=} options.hangoverTime - Milliseconds of continuous
+   *     silence needed before recording stops. Defaults to 900.
+   * @param {number=} options.preRollTime - Milliseconds of audio heard before
+   *     speech onset to include in the recording. Defaults to 300.
+   * @param {number=} options.resumeDelay - Milliseconds to wait after the host
+   *     stops speaking before listening again. Defaults to 500.
+   * @param {number=} options.frameTime - Length in milliseconds of each
+   *     analysis frame. Defaults to 20.
+   * @param {HostObject=} options.host - A host whose TextToSpeechFeature
+   *     speech should pause detection, so the host never hears itself.
+   */
+  enableVoiceActivityDetection(options = {}) {
+    const { host, ...vadOptions } = options;
+    const vad = this._vad;
+
+    this.disableVoiceActivityDetection();
+
+    vad.options = { ...DEFAULT_VAD_OPTIONS, ...vadOptions };
+    vad.enabled = true;
+    vad.paused = false;
+
+    if (host) {
+      this._listenToHostSpeech(host);
+    }
+
+    if (this._micReady) {
+      this._configureRecorder();
+    }
+  }
+
+  /**
+   * Turns off hands-free mode. Any recording that voice activity detection
+   * started is discarded.
+   */
+  disableVoiceActivityDetection() {
+    const vad = this._vad;
+    if (!vad.enabled) return;
+
+    if (vad.speaking) {
+      vad.speaking = false;
+      this.cancelVoiceRecording();
+    }
+
+    clearTimeout(vad.resumeTimer);
+    vad.hostListeners.forEach(([message, callback]) =>
+      vad.host.stopListening(message, callback)
+    );
+    vad.hostListeners = [];
+    vad.host = undefined;
+    vad.enabled = false;
+    vad.paused = false;
+    vad.activeTime = 0;
+    vad.silentTime = 0;
+
+    if (this._micReady) {
+      this._configureRecorder();
+    }
+  }
+
+  /**
+   * Temporarily stops voice activity detection without changing its options.
+   * Any recording that voice activity detection started is discarded.
+   */
+  pauseVoiceActivityDetection() {
+    const vad = this._vad;
+    clearTimeout(vad.resumeTimer);
+
+    if (!vad.enabled || vad.paused) return;
+
+    vad.paused = true;
+    vad.activeTime = 0;
+    vad.silentTime = 0;
+
+    if (vad.speaking) {
+      vad.speaking = false;
+      this.cancelVoiceRecording();
+    }
+  }
+
+  /**
+   * Resumes voice activity detection after pauseVoiceActivityDetection().
+   *
+   * @param {number=} delay - Milliseconds to wait before listening again.
+   */
+  resumeVoiceActivityDetection(delay = 0) {
+    const vad = this._vad;
+    clearTimeout(vad.resumeTimer);
+
+    if (!vad.enabled) return;
+
+    vad.resumeTimer = setTimeout(() => {
+      vad.paused = false;
+    }, delay);
+  }
+
+  /**
+   * Pauses voice activity detection whenever the host is speaking.
+   *
+   * @param {HostObject} host - Host owning a TextToSpeechFeature
+   */
+  _listenToHostSpeech(host) {
+    const vad = this._vad;
+    const { EVENTS } = host.TextToSpeechFeature;
+    // With barge-in enabled the user must be heard over the host.
+    const pause = () => {
+      if (!this._bargeIn.enabled) this.pauseVoiceActivityDetection();
+    };
+    const resume = () =>
+      this.resumeVoiceActivityDetection(vad.options.resumeDelay);
+
+    vad.host = host;
+    vad.hostListeners = [
+      [EVENTS.play, pause],
+      [EVENTS.resume, pause],
+      [EVENTS.pause, resume],
+      [EVENTS.stop, resume],
+    ];
+    vad.hostListeners.forEach(([message, callback]) =>
+      host.listenTo(message, callback)
+    );
+  }
+
+  /**
+   * Enables barge-in. While enabled, starting a recording while the host is
+   * speaking, either with beginVoiceRecording() or because voice activity
+   * detection heard speech, interrupts the host and emits the bargeIn event.
+   * Voice activity detection also keeps listening while the host speaks.
+   *
+   * @param {HostObject} host - Host owning a TextToSpeechFeature
+   * @param {Object=} options
+   * @param {number=} options.fadeTime - Seconds over which the host's speech
+   *     and any audio response fade out before stopping. Defaults to 0, which
+   *     stops them immediately.
+   * @param {Array<string>=} options.gestureLayers - Animation layers to return
+   *     to idle when the host is interrupted. Defaults to ["Gesture", "Emote"].
+   * @param {AudioResponsePlayer=} options.audioPlayer - Player of Lex audio
+   *     replies for the host. Its audio is interrupted too.
+   */
+  enableBargeIn(host, options = {}) {
+    const bargeIn = this._bargeIn;
+
+    this.disableBargeIn();
+
+    bargeIn.enabled = true;
+    bargeIn.host = host;
+    bargeIn.audioPlayer = options.audioPlayer;
+    bargeIn.fadeTime = options.fadeTime ?? 0;
+    bargeIn.gestureLayers = options.gestureLayers || ["Gesture", "Emote"];
+
+    const { EVENTS } = host.TextToSpeechFeature;
+    const setHostSpeaking = (speaking) => () => {
+      bargeIn.hostSpeaking = speaking;
+    };
+    bargeIn.listeners = [
+      [host, EVENTS.play, setHostSpeaking(true)],
+      [host, EVENTS.resume, setHostSpeaking(true)],
+      [host, EVENTS.pause, setHostSpeaking(false)],
+      [host, EVENTS.stop, setHostSpeaking(false)],
+    ];
+
+    if (bargeIn.audioPlayer) {
+      const { play, stop } = AudioResponsePlayer.EVENTS;
+      const setAudioPlaying = (playing) => () => {
+        bargeIn.audioPlaying = playing;
+      };
+      bargeIn.audioPlaying = bargeIn.audioPlayer.isPlaying;
+      bargeIn.listeners.push(
+        [bargeIn.audioPlayer, play, setAudioPlaying(true)],
+        [bargeIn.audioPlayer, stop, setAudioPlaying(false)]
+      );
+    }
+
+    bargeIn.listeners.forEach(([messenger, message, callback]) =>
+      messenger.listenTo(message, callback)
+    );
+  }
+
+  /**
+   * Turns off barge-in. The host is no longer interrupted by user speech.
+   */
+  disableBargeIn() {
+    const bargeIn = this._bargeIn;
+    if (!bargeIn.enabled) return;
+
+    bargeIn.listeners.forEach(([messenger, message, callback]) =>
+      messenger.stopListening(message, callback)
+    );
+    bargeIn.listeners = [];
+    bargeIn.host = undefined;
+    bargeIn.audioPlayer = undefined;
+    bargeIn.hostSpeaking = false;
+    bargeIn.audioPlaying = false;
+    bargeIn.enabled = false;
+  }
+
+  /**
+   * Interrupts the host if barge-in is enabled and the host is speaking or
+   * playing a Lex audio reply.
+   */
+  _bargeInIfHostSpeaking() {
+    const bargeIn = this._bargeIn;
+    if (!bargeIn.enabled || !(bargeIn.hostSpeaking || bargeIn.audioPlaying)) {
+      return;
+    }
+
+    const { host, audioPlayer, fadeTime, hostSpeaking, audioPlaying } = bargeIn;
+    bargeIn.hostSpeaking = false;
+    bargeIn.audioPlaying = false;
+
+    const stop = () => {
+      if (hostSpeaking) host.TextToSpeechFeature.stop();
+      if (audioPlaying) audioPlayer.stop();
+    };
+    // Audio responses play at the volume of host speech, so fading the speech
+    // volume fades them too.
+    if (fadeTime > 0) {
+      fadeOutSpeech(host.TextToSpeechFeature, fadeTime, stop);
+    } else {
+      stop();
+    }
+
+    bargeIn.gestureLayers.forEach((layer) => {
+      try {
+        host.AnimationFeature.stopAnimation(layer);
+      } catch (error) {
+        // The host has no such layer.
+      }
+    });
+
+    this.emit(LexV2Feature.EVENTS.bargeIn);
+  }
+
+  /**
+   * Collects the audio captured since recording began.
+   *
+   * @returns {Promise<Float32Array>} A Promise that resolves to the recorded
+   * mono PCM samples.
+   */
+  _collectRecording() {
+    if (this._useWorklet) {
+      return new Promise((resolve) => {
+        this._pendingRecordings.push(resolve);
+        this._recorderNode.port.postMessage({ command: "stop" });
+      });
+    }
+
+    const result = new Float32Array(this._recLength);
+    let offset = 0;
+    for (let i = 0; i < this._recBuffer.length; i++) {
+      result.set(this._recBuffer[i], offset);
+      offset += this._recBuffer[i].length;
+    }
+    this._recLength = 0;
+    this._recBuffer = [];
+
+    return Promise.resolve(result);
+  }
+
+  /**
+   * Begin microphone recording. This function will also try to resume
+   * audioContext so that it's suggested to call this function after a user
+   * interaction
+   */
+  beginVoiceRecording() {
+    this._beginRecording(0);
+  }
+
+  /**
+   * Begin microphone recording.
+   *
+   * @param {number} preRoll - Number of samples heard before this call to
+   *     include at the start of the recording
+   */
+  _beginRecording(preRoll) {
+    if (!this._micReady) {
+      return;
+    }
+
+    if (
+      this._audioContext.state === "suspended" ||
+      this._audioContext.state === "interrupted"
+    ) {
+      this._audioContext.resume();
+    }
+    this._recLength = 0;
+    this._recBuffer = [];
+
+    // Seed the recording with pre-roll from the ScriptProcessorNode history.
+    let remaining = Math.min(preRoll, this._recHistoryLength);
+    for (let i = this._recHistory.length - 1; i >= 0 && remaining > 0; i--) {
+      const chunk = this._recHistory[i];
+      const part =
+        chunk.length > remaining
+          ? chunk.subarray(chunk.length - remaining)
+          : chunk;
+      this._recBuffer.unshift(part);
+      this._recLength += part.length;
+      remaining -= part.length;
+    }
+    this._recHistory = [];
+    this._recHistoryLength = 0;
+
+    this._recording = true;
+    this._resetLevelMeter();
+    if (this._useWorklet) {
+      this._recorderNode.port.postMessage({ command: "start", preRoll });
+    }
+    this._configureRecorder();
+
+    // A restarted recording gets the full length again.
+    clearTimeout(this._autoStopTimer);
+    const maxDuration = this._getMaxRecordingDuration();
+    if (maxDuration) {
+      this._autoStopTimer = setTimeout(
+        () => this._autoStopRecording(),
+        maxDuration * 1000
+      );
+    }
+
+    this.emit(LexV2Feature.EVENTS.recordBegin);
+    this._bargeInIfHostSpeaking();
+  }
+
+  /**
+   * Stop microphone recording and send recorded audio data to lex.
+   *
+   * @param {Object=} config - Optional per-request settings. See
+   *     processWithText() for details.
+   *
+   * @returns {Promise<Object>} A Promise that resolves to the decoded Lex
+   * response, or to undefined if no recording was in progress. Rejects with a
+   * LexV2Error if the request fails. For details on the structure of that
+   * response object see:
+   * https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/LexRuntimeV2.html#recognizeUtterance-property
+   */
+  endVoiceRecording(config = {}) {
+    if (!this._recording) {
+      return Promise.resolve();
+    }
+
+    this._recording = false;
+    clearTimeout(this._autoStopTimer);
+    const recording = this._collectRecording();
+    this._configureRecorder();
+
+    this.emit(LexV2Feature.EVENTS.recordEnd);
+    return recording.then((result) =>
+      this._processWithAudio(result, this._audioContext.sampleRate, config)
+    );
+  }
+
+  /**
+   * Stop microphone recording and discard the recorded audio without sending
+   * it to Lex.
+   */
+  cancelVoiceRecording() {
+    if (!this._recording) {
+      return;
+    }
+
+    this._recording = false;
+    clearTimeout(this._autoStopTimer);
+    this._collectRecording();
+    this._configureRecorder();
+
+    this.emit(LexV2Feature.EVENTS.recordCancel);
+  }
+
+  /**
+   * @returns The useragent string for the engine you are using, e.g.
+   * 'babylonjs/5.1.0'
+   */
+  getEngineUserAgentString() {
+    return Engine.NpmPackage;
+  }
+}
+
+// Define static class properties.
+Object.defineProperties(LexV2Feature, {
+  EVENTS: {
+    value: {
+      lexResponseReady: "lexResponseReady",
+      lexError: "lexError",
+      micReady: "micReady",
+      micInputChange: "micInputChange",
+      recordBegin: "recordBegin",
+      recordEnd: "recordEnd",
+      recordCancel: "recordCancel",
+      audioPrepared: "audioPrepared",
+      speechStart: "speechStart",
+      speechEnd: "speechEnd",
+      inputLevel: "inputLevel",
+      bargeIn: "bargeIn",
+      sessionStateChange: "sessionStateChange",
+      localeChange: "localeChange",
+      debugRecording: "debugRecording",
+    },
+  },
+});
+
+/**
+ * Aborts an in-flight AWS.Request if the SDK supports it.
+ */
+function abortRequest(request) {
+  if (typeof request.abort === "function") {
+    request.abort();
+  }
+}
+
+/**
+ * Returns a Promise that resolves after `delay` milliseconds, or rejects with a
+ * LexV2AbortError if the signal is aborted first.
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new LexV2AbortError("The request was aborted."));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new LexV2AbortError("The request was aborted."));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, delay);
+
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Lowers the volume of a TextToSpeechFeature to silence over `fadeTime`
+ * seconds, then stops playback and restores the original volume.
+ *
+ * @param {TextToSpeechFeature} textToSpeech - The feature to fade out
+ * @param {number} fadeTime - Seconds the fade lasts
+ * @param {function} stop - Stops whatever is playing at that volume
+ *
+ * @returns {Promise} Resolves once playback has stopped.
+ */
+function fadeOutSpeech(textToSpeech, fadeTime, stop) {
+  const startVolume = textToSpeech.volume;
+  const startTime = performance.now();
+
+  return new Promise((resolve) => {
+    const step = () => {
+      const progress = Math.min(
+        1,
+        (performance.now() - startTime) / (fadeTime * 1000)
+      );
+      textToSpeech.volume = startVolume * (1 - progress);
+
+      if (progress < 1) {
+        setTimeout(step, 20);
+      } else {
+        stop();
+        textToSpeech.volume = startVolume;
+        resolve();
+      }
+    };
+    step();
+  });
+}
+
+/**
+ * Maps the slots of a Lex V2 intent to their interpreted values. List slots map
+ * to arrays of values and unfilled slots are left out.
+ *
+ * @param {Object=} slots - The slots of a Lex V2 Intent object
+ *
+ * @returns {Object}
+ */
+function getSlotValues(slots) {
+  const values = {};
+  Object.entries(slots || {}).forEach(([name, slot]) => {
+    if (!slot) return;
+
+    if (slot.values && slot.values.length) {
+      values[name] = slot.values
+        .filter((item) => item && item.value)
+        .map((item) => item.value.interpretedValue);
+    } else if (slot.value) {
+      values[name] = slot.value.interpretedValue;
+    }
+  });
+  return values;
+}
+
+/**
+ * Returns a copy of the Lex response, decoding any compressed values. The
+ * original response object is not modified.
+ */
+function decodeResponse(lexResponse) {
+  let { sessionState, inputTranscript, messages, interpretations } =
+    lexResponse;
+
+  sessionState = decodeAndUnzipJsonString(sessionState);
+  inputTranscript = decodeAndUnzipJsonString(inputTranscript);
+  messages = decodeAndUnzipJsonString(messages);
+  interpretations = decodeAndUnzipJsonString(interpretations);
+
+  return {
+    ...lexResponse,
+    sessionState,
+    inputTranscript,
+    messages,
+    interpretations,
+  };
 }
 
 export default LexV2Feature;
-export { LexV2Feature };
+export { LexV2Feature, getSlotValues };
+export * from "./LexV2Errors";
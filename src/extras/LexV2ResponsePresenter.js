@@ -0,0 +1,311 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Presents every message in a decoded Lex V2 response, in order. PlainText and
+ * SSML messages are spoken by the host, ImageResponseCard messages are shown as
+ * clickable options and CustomPayload messages are passed to registered
+ * handlers.
+ */
+class LexV2ResponsePresenter {
+  /**
+   * @constructor
+   *
+   * @param {Object} options
+   * @param {HostObject} options.host - The host that will speak the messages.
+   * @param {LexV2Feature} options.lex - Used to send the value of a clicked
+   *     response card button back to the bot.
+   * @param {HTMLElement} options.cardContainer - Element that response cards
+   *     are rendered into. It is hidden with the "hide" CSS class while there
+   *     are no cards to show.
+   * @param {Object=} options.speechConfig - Config passed to
+   *     TextToSpeechFeature.play() for every spoken message, for example
+   *     { VoiceId: "Lupe", Engine: "neural" }.
+   * @param {AudioResponsePlayer=} options.audioPlayer - Plays the audio of
+   *     responses that include an audioStream. PlainText and SSML messages of
+   *     those responses are then not spoken again with text-to-speech.
+   */
+  constructor({ host, lex, cardContainer, speechConfig, audioPlayer }) {
+    this._host = host;
+    this._lex = lex;
+    this._cardContainer = cardContainer;
+    this._speechConfig = speechConfig;
+    this._audioPlayer = audioPlayer;
+    this._customPayloadHandlers = [];
+    this._presentationId = 0;
+  }
+
+  /**
+   * Changes the config passed to TextToSpeechFeature.play(), for example to
+   * switch to a voice that matches a new bot locale.
+   *
+   * @param {Object=} speechConfig - The new speech config
+   */
+  setSpeechConfig(speechConfig) {
+    this._speechConfig = speechConfig;
+  }
+
+  /**
+   * Registers a function to call for every CustomPayload message.
+   *
+   * @param {function(string, Object): (Promise|void)} handler - Called with the
+   *     payload content and the full message. If it returns a Promise, the
+   *     following messages aren't presented until it settles. If it has a
+   *     cancel() method, that is called when the presentation is stopped or
+   *     replaced so the handler can drop work it scheduled for later.
+   */
+  registerCustomPayloadHandler(handler) {
+    this._customPayloadHandlers.push(handler);
+  }
+
+  /**
+   * Removes a handler added with registerCustomPayloadHandler().
+   *
+   * @param {function} handler - The handler to remove
+   */
+  unregisterCustomPayloadHandler(handler) {
+    this._customPayloadHandlers = this._customPayloadHandlers.filter(
+      (registered) => registered !== handler
+    );
+  }
+
+  /**
+   * Presents all messages of a Lex response. Presenting a new response stops
+   * the presentation of any previous one after its current message.
+   *
+   * @param {Object} response - A response decoded by LexV2Feature.
+   *
+   * @returns {Promise} A Promise that resolves once every message has been
+   * presented.
+   */
+  async present(response) {
+    const presentationId = this._startPresentation();
+    const messages = response.messages || [];
+    const playAudio = Boolean(this._audioPlayer && response.audioStream);
+
+    this.clearCards();
+
+    // The bot's own audio already contains every spoken message.
+    const audioPlayback = playAudio
+      ? this._audioPlayer
+          .play(response.audioStream, response.contentType)
+          .catch((error) =>
+            console.error("Failed to play the Lex audio response:", error)
+          )
+      : Promise.resolve();
+
+    for (let i = 0; i < messages.length; i++) {
+      if (presentationId !== this._presentationId) return;
+
+      const message = messages[i];
+      const isSpeech =
+        message.contentType === "PlainText" || message.contentType === "SSML";
+      if (!(playAudio && isSpeech)) {
+        await this._presentMessage(message);
+      }
+    }
+
+    await audioPlayback;
+  }
+
+  /**
+   * Asks the user which intent they meant, for a response whose
+   * `disambiguationChoices` were set by LexV2Feature. The host speaks the
+   * question and each choice is shown as a button that continues the
+   * conversation with that intent.
+   *
+   * @param {Array<Object>} choices - The response's disambiguationChoices
+   * @param {Object=} options
+   * @param {Object=} options.labels - Map of intent names to the words used to
+   *     describe them, e.g. { BookHotel: "booking a hotel" }. Intents without
+   *     a label are described by their name.
+   * @param {string=} options.prompt - The question to speak. Defaults to
+   *     "Did you mean <choice>, <choice> or <choice>?".
+   *
+   * @returns {Promise} A Promise that resolves once the host has asked.
+   */
+  async presentDisambiguation(choices, options = {}) {
+    const { labels = {} } = options;
+    const choiceLabels = choices.map(
+      ({ intent }) => labels[intent.name] || describeIntentName(intent.name)
+    );
+    const prompt =
+      options.prompt || `Did you mean ${joinAlternatives(choiceLabels)}?`;
+
+    this._startPresentation();
+    this.clearCards();
+    this._showCard(
+      {
+        title: "Did you mean...",
+        buttons: choices.map((choice, i) => ({
+          text: choiceLabels[i],
+          value: choice,
+        })),
+      },
+      (choice) => this._lex.selectInterpretation(choice)
+    );
+
+    await this._speak(escapeSsml(prompt));
+  }
+
+  /**
+   * Stops the current presentation. Messages that haven't been presented yet
+   * are skipped, delayed CustomPayload directives are cancelled and any audio
+   * response stops playing. Speech the host has already started isn't stopped.
+   */
+  stop() {
+    this._startPresentation();
+    if (this._audioPlayer) {
+      this._audioPlayer.stop();
+    }
+  }
+
+  /**
+   * Ends the current presentation and cancels anything CustomPayload handlers
+   * scheduled for it.
+   *
+   * @returns {number} The ID of the new presentation.
+   */
+  _startPresentation() {
+    this._customPayloadHandlers.forEach((handler) => {
+      if (typeof handler.cancel === "function") handler.cancel();
+    });
+    return ++this._presentationId;
+  }
+
+  /**
+   * Removes any response cards currently on screen.
+   */
+  clearCards() {
+    this._cardContainer.innerHTML = "";
+    this._cardContainer.classList.add("hide");
+  }
+
+  _presentMessage(message) {
+    switch (message.contentType) {
+      case "PlainText":
+        return this._speak(escapeSsml(message.content));
+      case "SSML":
+        return this._speak(message.content);
+      case "ImageResponseCard":
+        this._showCard(message.imageResponseCard);
+        return Promise.resolve();
+      case "CustomPayload":
+        return this._handleCustomPayload(message);
+      default:
+        console.warn(
+          `Ignoring Lex message with unsupported content type "${message.contentType}".`
+        );
+        return Promise.resolve();
+    }
+  }
+
+  /**
+   * Has the host speak the provided text and waits until it's finished. The
+   * TextToSpeechFeature treats all text as SSML, so plain text must already be
+   * escaped.
+   */
+  _speak(ssml) {
+    const speech = this._host.TextToSpeechFeature.play(
+      ssml,
+      this._speechConfig
+    );
+    return Promise.resolve(speech).catch((error) =>
+      console.error("The host failed to speak a Lex message:", error)
+    );
+  }
+
+  async _handleCustomPayload(message) {
+    if (!this._customPayloadHandlers.length) {
+      console.warn(
+        "Received a Lex CustomPayload message but no handler is registered."
+      );
+      return;
+    }
+
+    for (let i = 0; i < this._customPayloadHandlers.length; i++) {
+      try {
+        await this._customPayloadHandlers[i](message.content, message);
+      } catch (error) {
+        console.error("A CustomPayload handler failed:", error);
+      }
+    }
+  }
+
+  /**
+   * Renders a response card. Clicking one of its buttons removes the card and
+   * passes the button's value to `onSelect`, which by default sends it to the
+   * bot as text.
+   */
+  _showCard(card, onSelect = (value) => this._lex.processWithText(value)) {
+    const cardEl = document.createElement("div");
+    cardEl.className = "responseCard";
+
+    if (card.imageUrl) {
+      const imageEl = document.createElement("img");
+      imageEl.src = card.imageUrl;
+      imageEl.alt = card.title || "";
+      cardEl.appendChild(imageEl);
+    }
+
+    if (card.title) {
+      const titleEl = document.createElement("h3");
+      titleEl.innerText = card.title;
+      cardEl.appendChild(titleEl);
+    }
+
+    if (card.subtitle) {
+      const subtitleEl = document.createElement("p");
+      subtitleEl.innerText = card.subtitle;
+      cardEl.appendChild(subtitleEl);
+    }
+
+    (card.buttons || []).forEach((button) => {
+      const buttonEl = document.createElement("button");
+      buttonEl.innerText = button.text;
+      buttonEl.onclick = () => {
+        this.clearCards();
+        // Failures are reported through the LexV2Feature lexError event.
+        onSelect(button.value).catch(() => {});
+      };
+      cardEl.appendChild(buttonEl);
+    });
+
+    this._cardContainer.appendChild(cardEl);
+    this._cardContainer.classList.remove("hide");
+  }
+}
+
+/**
+ * Turns an intent name such as "BookHotel" into words, e.g. "book hotel".
+ */
+function describeIntentName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .toLowerCase();
+}
+
+/**
+ * Joins alternatives into a phrase, e.g. "a, b or c".
+ */
+function joinAlternatives(items) {
+  if (items.length < 2) return items.join("");
+
+  return `${items.slice(0, -1).join(", ")} or ${items[items.length - 1]}`;
+}
+
+/**
+ * Escapes characters that have a special meaning in SSML.
+ */
+function escapeSsml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+export default LexV2ResponsePresenter;
+export { LexV2ResponsePresenter };
@@ -0,0 +1,197 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Metrics sinks for the timings and outcomes reported by LexV2Feature and
+ * ConversationMetrics. A sink is any object with a `record(metric)` method, so
+ * metrics can be forwarded to any analytics service by writing a small sink
+ * for it. Every metric is a plain object:
+ *
+ *   name       - What was measured, e.g. "lex.roundTrip".
+ *   value      - A number.
+ *   unit       - "ms", "s", "count" or "ratio".
+ *   dimensions - String values describing the measurement, e.g.
+ *                { method: "recognizeText", outcome: "success" }.
+ *   time       - When it was recorded, in milliseconds since the epoch.
+ *
+ * LexV2Feature reports:
+ *
+ *   recording.duration - Seconds of audio captured for a request.
+ *   audio.encodeTime   - Milliseconds spent preprocessing and encoding it.
+ *   lex.roundTrip      - Milliseconds a Lex request took, including retries.
+ *                        Its outcome dimension is "success" or the error name.
+ *   lex.retries        - How many times a request was retried.
+ *   lex.error          - 1 for each failed request, with the error name.
+ *   lex.intentMatch    - 1 if a reply matched an intent other than
+ *                        FallbackIntent, otherwise 0. Its mean is the intent
+ *                        match rate.
+ *
+ * ConversationMetrics reports the timing of each turn. See its documentation.
+ */
+
+/**
+ * Sends a metric to a sink. Does nothing without a sink, and a sink that
+ * throws is reported on the console so it can't break the conversation.
+ *
+ * @param {Object=} sink - The sink to record the metric with
+ * @param {string} name - What was measured
+ * @param {number} value - The measurement
+ * @param {string} unit - "ms", "s", "count" or "ratio"
+ * @param {Object=} dimensions - String values describing the measurement
+ */
+function recordMetric(sink, name, value, unit, dimensions = {}) {
+  if (!sink) return;
+
+  try {
+    sink.record({ name, value, unit, dimensions, time: Date.now() });
+  } catch (error) {
+    console.warn(`Failed to record the ${name} metric:`, error);
+  }
+}
+
+/**
+ * Logs every metric to the browser console.
+ */
+class ConsoleMetricsSink {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options
+   * @param {string=} options.prefix - Text logged before every metric.
+   *     Defaults to "[metrics]".
+   * @param {function=} options.log - The logging function. Defaults to
+   *     console.log.
+   */
+  constructor({ prefix = "[metrics]", log = console.log } = {}) {
+    this._prefix = prefix;
+    this._log = log;
+  }
+
+  record({ name, value, unit, dimensions }) {
+    const rounded = unit === "ms" ? Math.round(value) : +value.toFixed(2);
+    this._log(`${this._prefix} ${name}: ${rounded} ${unit}`, dimensions);
+  }
+}
+
+/**
+ * Keeps the most recent metrics in memory and summarizes them, for example to
+ * show averages in a debug view or to check timings in automated tests.
+ */
+class InMemoryMetricsAggregator {
+  /**
+   * @constructor
+   *
+   * @param {Object=} options
+   * @param {number=} options.maxMetrics - How many metrics to keep. The oldest
+   *     are dropped beyond that. Defaults to 1000.
+   */
+  constructor({ maxMetrics = 1000 } = {}) {
+    this._maxMetrics = maxMetrics;
+    this._metrics = [];
+  }
+
+  /**
+   * @returns {Array<Object>} The kept metrics, oldest first.
+   */
+  get metrics() {
+    return this._metrics.slice();
+  }
+
+  record(metric) {
+    this._metrics.push(metric);
+    if (this._metrics.length > this._maxMetrics) {
+      this._metrics.shift();
+    }
+  }
+
+  /**
+   * Summarizes the kept metrics by name.
+   *
+   * @param {Object=} options
+   * @param {Array<string>=} options.groupBy - Dimensions to summarize
+   *     separately, e.g. ["outcome"] to see the round trips of successful and
+   *     failed requests apart. Their values are appended to the summary keys,
+   *     as in "lex.roundTrip outcome=success". Metrics without the dimension
+   *     are summarized by name alone.
+   *
+   * @returns {Object} Summaries keyed by metric name. Each has the unit,
+   * count, sum, mean, min, max, p50 and p95 of the values.
+   */
+  getSummary({ groupBy = [] } = {}) {
+    const groups = {};
+    this._metrics.forEach(({ name, value, unit, dimensions }) => {
+      const key = [
+        name,
+        ...groupBy
+          .filter((dimension) => dimension in dimensions)
+          .map((dimension) => `${dimension}=${dimensions[dimension]}`),
+      ].join(" ");
+      groups[key] = groups[key] || { unit, values: [] };
+      groups[key].values.push(value);
+    });
+
+    const summary = {};
+    Object.entries(groups).forEach(([key, { unit, values }]) => {
+      const sorted = values.slice().sort((a, b) => a - b);
+      const sum = sorted.reduce((total, value) => total + value, 0);
+      summary[key] = {
+        unit,
+        count: sorted.length,
+        sum,
+        mean: sum / sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+      };
+    });
+    return summary;
+  }
+
+  /**
+   * Forgets every kept metric.
+   */
+  reset() {
+    this._metrics = [];
+  }
+}
+
+/**
+ * Sends every metric to several sinks, e.g. to log metrics while also
+ * aggregating them.
+ */
+class CompositeMetricsSink {
+  /**
+   * @constructor
+   *
+   * @param {Array<Object>} sinks - The sinks to send metrics to
+   */
+  constructor(sinks) {
+    this._sinks = sinks;
+  }
+
+  record(metric) {
+    this._sinks.forEach((sink) => {
+      try {
+        sink.record(metric);
+      } catch (error) {
+        console.warn(`Failed to record the ${metric.name} metric:`, error);
+      }
+    });
+  }
+}
+
+/**
+ * Returns the nearest-rank percentile of sorted values.
+ */
+function percentile(sorted, fraction) {
+  const index = Math.ceil(fraction * sorted.length) - 1;
+  return sorted[Math.max(0, index)];
+}
+
+export {
+  recordMetric,
+  ConsoleMetricsSink,
+  InMemoryMetricsAggregator,
+  CompositeMetricsSink,
+};
@@ -0,0 +1,526 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {
+  decodeAndUnzipJsonString,
+  encodeAndZipJsonString,
+} from "./lexEncoding";
+
+const DEFAULT_YES_WORDS = [
+  "yes",
+  "yeah",
+  "yep",
+  "sure",
+  "ok",
+  "okay",
+  "correct",
+];
+const DEFAULT_NO_WORDS = ["no", "nope", "cancel", "wrong"];
+
+/**
+ * A local, scriptable stand-in for AWS.LexRuntimeV2. It implements
+ * recognizeUtterance(), recognizeText(), getSession(), putSession() and
+ * deleteSession() with the same request/response shapes as the AWS SDK,
+ * including the gzip+base64 encoding of recognizeUtterance responses, so it can
+ * be passed to LexV2Feature in place of a real client.
+ *
+ * Replies are driven by a dialog script with the following shape:
+ *
+ * {
+ *   "fallbackMessage": "Sorry, can you please repeat that?",
+ *   "audioUtterances": ["I'd like to book a hotel", "Seattle", ...],
+ *   "yesWords": ["yes", ...],
+ *   "noWords": ["no", ...],
+ *   "intents": [
+ *     {
+ *       "name": "BookHotel",
+ *       "utterances": ["book a hotel", "hotel room"],
+ *       "slots": [
+ *         { "name": "Location", "prompt": "What city?", "values": ["seattle"] }
+ *       ],
+ *       "confirmationPrompt": "Book a room in {Location}?",
+ *       "declinationResponse": "Okay, I've cancelled that.",
+ *       "closingResponse": "Your room is booked."
+ *     }
+ *   ]
+ * }
+ *
+ * An intent is matched when the input contains one of its utterances. Its
+ * slots are then elicited in order, with the whole input used as the slot
+ * value unless the slot lists allowed `values`. `{SlotName}` placeholders in
+ * prompts are replaced with slot values. Because there is no speech
+ * recognition, audio input is transcribed as the next entry of
+ * `audioUtterances`.
+ */
+class MockLexRuntimeV2 {
+  /**
+   * @constructor
+   *
+   * @param {Object} dialogScript - The dialog script described above
+   * @param {Object=} options
+   * @param {number=} options.latency - Milliseconds each request takes to
+   *     complete. Defaults to 300.
+   */
+  constructor(dialogScript, { latency = 300 } = {}) {
+    this._script = dialogScript;
+    this._latency = latency;
+    this._sessions = new Map();
+    this._audioUtteranceIndex = 0;
+    this._queuedErrors = [];
+
+    // LexV2Feature updates the custom user agent of the client config.
+    this.config = { customUserAgent: undefined };
+  }
+
+  /**
+   * Makes the next request fail with an AWS-style error. Useful for exercising
+   * error handling and retries.
+   *
+   * @param {string} code - The AWS error code, e.g. "ThrottlingException"
+   * @param {string=} message - The error message
+   */
+  queueError(code, message = `Mock ${code}`) {
+    this._queuedErrors.push({ code, message });
+  }
+
+  /**
+   * Mirrors AWS.LexRuntimeV2.recognizeUtterance(). Text input is read from
+   * `params.inputStream` when requestContentType is text/plain. Any other
+   * content type is treated as audio.
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  recognizeUtterance(params) {
+    return this._createRequest(() => {
+      const isText = /^text\/plain/.test(params.requestContentType);
+      const inputTranscript = isText
+        ? String(params.inputStream)
+        : this._nextAudioUtterance();
+      const result = this._converse(
+        params,
+        inputTranscript,
+        decodeAndUnzipJsonString(params.sessionState),
+        decodeAndUnzipJsonString(params.requestAttributes)
+      );
+
+      return {
+        contentType: params.responseContentType,
+        inputMode: isText ? "Text" : "Speech",
+        sessionId: params.sessionId,
+        sessionState: encodeAndZipJsonString(result.sessionState),
+        messages: result.messages.length
+          ? encodeAndZipJsonString(result.messages)
+          : undefined,
+        interpretations: encodeAndZipJsonString(result.interpretations),
+        inputTranscript: encodeAndZipJsonString(inputTranscript),
+        requestAttributes: params.requestAttributes,
+      };
+    });
+  }
+
+  /**
+   * Mirrors AWS.LexRuntimeV2.recognizeText(). The response is not encoded.
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  recognizeText(params) {
+    return this._createRequest(() => {
+      const result = this._converse(
+        params,
+        params.text,
+        params.sessionState,
+        params.requestAttributes
+      );
+
+      return {
+        sessionId: params.sessionId,
+        sessionState: result.sessionState,
+        messages: result.messages.length ? result.messages : undefined,
+        interpretations: result.interpretations,
+        requestAttributes: params.requestAttributes,
+      };
+    });
+  }
+
+  /**
+   * Mirrors AWS.LexRuntimeV2.getSession().
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  getSession(params) {
+    return this._createRequest(() => {
+      const session = this._getSession(params.sessionId);
+
+      return {
+        sessionId: params.sessionId,
+        sessionState: this._createSessionState(session),
+        interpretations: [],
+      };
+    });
+  }
+
+  /**
+   * Mirrors AWS.LexRuntimeV2.putSession(). The response sessionState and
+   * messages are encoded like those of recognizeUtterance(). With a Delegate
+   * dialog action the scripted bot decides the next step for the intent and
+   * returns its prompt.
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  putSession(params) {
+    return this._createRequest(() => {
+      const session = this._getSession(params.sessionId);
+      this._applySessionState(session, params.sessionState);
+
+      const messages = [...(params.messages || [])];
+      if (session.intent && session.dialogAction.type === "Delegate") {
+        this._advance(session, messages);
+      }
+
+      return {
+        contentType: params.responseContentType,
+        sessionId: params.sessionId,
+        sessionState: encodeAndZipJsonString(this._createSessionState(session)),
+        messages: messages.length
+          ? encodeAndZipJsonString(messages)
+          : undefined,
+        requestAttributes: params.requestAttributes,
+      };
+    });
+  }
+
+  /**
+   * Mirrors AWS.LexRuntimeV2.deleteSession().
+   *
+   * @returns {{promise: function(): Promise, abort: function(): void}}
+   */
+  deleteSession(params) {
+    return this._createRequest(() => {
+      this._sessions.delete(params.sessionId);
+
+      return {
+        botId: params.botId,
+        botAliasId: params.botAliasId,
+        localeId: params.localeId,
+        sessionId: params.sessionId,
+      };
+    });
+  }
+
+  /**
+   * Wraps a response factory in an object that behaves like an AWS.Request,
+   * resolving after the configured latency.
+   */
+  _createRequest(createResponse) {
+    let timer;
+    let rejectRequest;
+    const queuedError = this._queuedErrors.shift();
+
+    const promise = new Promise((resolve, reject) => {
+      rejectRequest = reject;
+      timer = setTimeout(() => {
+        try {
+          if (queuedError) {
+            throw createAwsError(queuedError.code, queuedError.message);
+          }
+          resolve(createResponse());
+        } catch (error) {
+          reject(error);
+        }
+      }, this._latency);
+    });
+
+    return {
+      promise: () => promise,
+      abort: () => {
+        clearTimeout(timer);
+        rejectRequest(
+          createAwsError("RequestAbortedError", "Request aborted by user")
+        );
+      },
+    };
+  }
+
+  _nextAudioUtterance() {
+    const utterances = this._script.audioUtterances || [];
+    if (!utterances.length) return "";
+
+    const utterance = utterances[this._audioUtteranceIndex % utterances.length];
+    this._audioUtteranceIndex++;
+    return utterance;
+  }
+
+  _getSession(sessionId) {
+    if (!this._sessions.has(sessionId)) {
+      this._sessions.set(sessionId, {
+        intent: undefined,
+        slots: {},
+        state: undefined,
+        confirmationState: "None",
+        dialogAction: { type: "ElicitIntent" },
+        sessionAttributes: {},
+      });
+    }
+    return this._sessions.get(sessionId);
+  }
+
+  /**
+   * Merges client supplied session state into the stored session.
+   */
+  _applySessionState(session, sessionState) {
+    if (!sessionState) return;
+
+    if (sessionState.sessionAttributes) {
+      session.sessionAttributes = { ...sessionState.sessionAttributes };
+    }
+
+    if (sessionState.intent) {
+      const intent = this._findIntent(sessionState.intent.name);
+      session.intent = intent;
+      session.slots = {};
+      Object.entries(sessionState.intent.slots || {}).forEach(
+        ([name, slot]) => {
+          if (slot && slot.value) {
+            session.slots[name] = slot.value.interpretedValue;
+          }
+        }
+      );
+      session.state = sessionState.intent.state || "InProgress";
+      session.confirmationState =
+        sessionState.intent.confirmationState || "None";
+    }
+
+    if (sessionState.dialogAction) {
+      session.dialogAction = { ...sessionState.dialogAction };
+    }
+  }
+
+  /**
+   * Advances the scripted conversation by one turn.
+   *
+   * @returns {{sessionState: Object, messages: Array, interpretations: Array}}
+   */
+  _converse(params, inputText, sessionState, requestAttributes) {
+    const session = this._getSession(params.sessionId);
+    this._applySessionState(session, sessionState);
+    session.requestAttributes = requestAttributes || undefined;
+
+    const input = normalize(inputText);
+    const messages = [];
+    const { dialogAction } = session;
+    let interpretations;
+
+    if (session.intent && dialogAction.type === "ElicitSlot") {
+      this._fillSlot(session, dialogAction.slotToElicit, inputText);
+      interpretations = [interpretation(session.intent.name, 1)];
+    } else if (session.intent && dialogAction.type === "ConfirmIntent") {
+      this._confirm(session, input);
+      interpretations = [interpretation(session.intent.name, 1)];
+    } else {
+      interpretations = this._interpret(input);
+      const best = interpretations[0];
+      if (best.intent.name === "FallbackIntent") {
+        session.intent = { name: "FallbackIntent", slots: [] };
+        session.slots = {};
+        session.state = "ReadyForFulfillment";
+        session.confirmationState = "None";
+        session.dialogAction = { type: "ElicitIntent" };
+        messages.push(plainText(this._script.fallbackMessage || ""));
+        return {
+          sessionState: this._createSessionState(session),
+          messages: messages.filter((message) => message.content),
+          interpretations,
+        };
+      }
+
+      session.intent = this._findIntent(best.intent.name);
+      session.slots = {};
+      session.state = "InProgress";
+      session.confirmationState = "None";
+    }
+
+    this._advance(session, messages);
+
+    return {
+      sessionState: this._createSessionState(session),
+      messages: messages.filter((message) => message.content),
+      interpretations,
+    };
+  }
+
+  /**
+   * Ranks all scripted intents against the input. The best match comes first
+   * and FallbackIntent is included whenever no utterance matches.
+   */
+  _interpret(input) {
+    const scored = (this._script.intents || []).map((intent) => {
+      const matches = (intent.utterances || []).filter((utterance) =>
+        input.includes(normalize(utterance))
+      );
+      const longest = Math.max(
+        0,
+        ...matches.map((utterance) => normalize(utterance).length)
+      );
+      const score = longest ? Math.min(0.99, 0.6 + longest / 50) : 0;
+      return interpretation(intent.name, score);
+    });
+
+    const ranked = scored
+      .filter((result) => result.nluConfidence.score > 0)
+      .sort((a, b) => b.nluConfidence.score - a.nluConfidence.score);
+
+    if (!ranked.length) {
+      return [{ intent: { name: "FallbackIntent", slots: {} } }];
+    }
+    return ranked;
+  }
+
+  _findIntent(name) {
+    const intent = (this._script.intents || []).find(
+      (scripted) => scripted.name === name
+    );
+    return intent || { name, slots: [] };
+  }
+
+  _fillSlot(session, slotName, inputText) {
+    const slot = (session.intent.slots || []).find(
+      (scripted) => scripted.name === slotName
+    );
+    if (!slot) return;
+
+    if (slot.values && slot.values.length) {
+      const input = normalize(inputText);
+      const value = slot.values.find((allowed) =>
+        input.includes(normalize(allowed))
+      );
+      if (value !== undefined) session.slots[slotName] = value;
+    } else if (inputText.trim()) {
+      session.slots[slotName] = inputText.trim();
+    }
+  }
+
+  _confirm(session, input) {
+    const words = input.split(" ");
+    const yesWords = this._script.yesWords || DEFAULT_YES_WORDS;
+    const noWords = this._script.noWords || DEFAULT_NO_WORDS;
+
+    if (words.some((word) => noWords.includes(word))) {
+      session.confirmationState = "Denied";
+    } else if (words.some((word) => yesWords.includes(word))) {
+      session.confirmationState = "Confirmed";
+    }
+  }
+
+  /**
+   * Decides the next dialog action for the active intent and adds the
+   * matching prompt to `messages`.
+   */
+  _advance(session, messages) {
+    const { intent } = session;
+    const missingSlot = (intent.slots || []).find(
+      (slot) => session.slots[slot.name] === undefined
+    );
+
+    if (missingSlot) {
+      session.dialogAction = {
+        type: "ElicitSlot",
+        slotToElicit: missingSlot.name,
+      };
+      messages.push(plainText(this._fillTemplate(missingSlot.prompt, session)));
+      return;
+    }
+
+    if (intent.confirmationPrompt && session.confirmationState === "None") {
+      session.dialogAction = { type: "ConfirmIntent" };
+      messages.push(
+        plainText(this._fillTemplate(intent.confirmationPrompt, session))
+      );
+      return;
+    }
+
+    session.dialogAction = { type: "Close" };
+    if (session.confirmationState === "Denied") {
+      session.state = "Failed";
+      messages.push(
+        plainText(this._fillTemplate(intent.declinationResponse, session))
+      );
+    } else {
+      session.state = "ReadyForFulfillment";
+      messages.push(
+        plainText(this._fillTemplate(intent.closingResponse, session))
+      );
+    }
+  }
+
+  _fillTemplate(template, session) {
+    if (!template) return "";
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      session.slots[name] !== undefined ? session.slots[name] : match
+    );
+  }
+
+  /**
+   * Builds a Lex V2 SessionState object from the stored session.
+   */
+  _createSessionState(session) {
+    const sessionState = {
+      dialogAction: { ...session.dialogAction },
+      sessionAttributes: { ...session.sessionAttributes },
+    };
+
+    if (session.intent) {
+      const slots = {};
+      (session.intent.slots || []).forEach((slot) => {
+        const value = session.slots[slot.name];
+        slots[slot.name] =
+          value === undefined
+            ? null
+            : {
+                value: {
+                  originalValue: value,
+                  interpretedValue: value,
+                  resolvedValues: [value],
+                },
+              };
+      });
+
+      sessionState.intent = {
+        name: session.intent.name,
+        slots,
+        state: session.state,
+        confirmationState: session.confirmationState,
+      };
+    }
+
+    return sessionState;
+  }
+}
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function plainText(content) {
+  return { contentType: "PlainText", content };
+}
+
+function interpretation(intentName, score) {
+  return {
+    intent: { name: intentName, slots: {} },
+    nluConfidence: { score },
+  };
+}
+
+function createAwsError(code, message) {
+  const error = new Error(message);
+  error.name = code;
+  error.code = code;
+  return error;
+}
+
+export default MockLexRuntimeV2;
+export { MockLexRuntimeV2 };
@@ -0,0 +1,39 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Helpers for the compressed string format Lex V2 uses for sessionState,
+ * messages, inputTranscript and other JSON values in recognizeUtterance
+ * requests and responses.
+ */
+import pako from "pako";
+
+/**
+ * Accepts a JSON-serializable value and returns it as a base64-encoded,
+ * gzip-compressed JSON string, which is the format Lex expects for the
+ * sessionState and requestAttributes of a recognizeUtterance request.
+ */
+export function encodeAndZipJsonString(value) {
+  const gzippedDataArray = pako.gzip(JSON.stringify(value));
+
+  let data = "";
+  for (let i = 0; i < gzippedDataArray.length; i++) {
+    data += String.fromCharCode(gzippedDataArray[i]);
+  }
+  return btoa(data);
+}
+
+/**
+ * Accepts a base64-encoded, gzip-compressed JSON string and returns
+ * a parsed JSON object.
+ */
+export function decodeAndUnzipJsonString(encodedString) {
+  if (typeof encodedString !== "string" || encodedString.length === 0)
+    return null;
+
+  const data = atob(encodedString);
+  const gzipedDataArray = Uint8Array.from(data, (c) => c.charCodeAt(0));
+  const unzippedJsonString = pako.inflate(gzipedDataArray, { to: "string" });
+  const result = JSON.parse(unzippedJsonString);
+  return result;
+}
@@ -0,0 +1,177 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * The name under which the recorder processor is registered with the
+ * AudioWorkletGlobalScope.
+ */
+export const RECORDER_PROCESSOR_NAME = "lex-recorder-processor";
+
+/**
+ * Source code for the AudioWorklet processor used to capture microphone input.
+ * The processor buffers mono PCM off the main thread while recording and posts
+ * the complete recording back through its message port when asked to stop.
+ *
+ * Supported port messages:
+ *   { command: "start", preRoll: number }
+ *       Discards any buffered audio and begins recording. The last `preRoll`
+ *       samples heard before the command are prepended to the recording.
+ *   { command: "stop" }
+ *       Stops recording and replies with
+ *       { type: "recording", buffer: Float32Array }.
+ *   { command: "analyse", enabled: boolean, frameSize: number }
+ *       Turns input analysis on or off. While enabled, the processor replies
+ *       with { type: "level", rms: number, peak: number, length: number } once
+ *       for every `frameSize` samples of input.
+ *   { command: "history", length: number }
+ *       Sets how many samples of recent input are kept for pre-roll.
+ *
+ * The source is kept as a string so it can be loaded from a Blob URL without
+ * any special bundler configuration.
+ */
+const processorSource = `
+class LexRecorderProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this._recording = false;
+    this._chunks = [];
+    this._length = 0;
+
+    this._history = [];
+    this._historyLength = 0;
+    this._maxHistoryLength = 0;
+
+    this._analysing = false;
+    this._frameSize = 0;
+    this._frameLength = 0;
+    this._frameSquareSum = 0;
+    this._framePeak = 0;
+
+    this.port.onmessage = (event) => this._onMessage(event.data);
+  }
+
+  _onMessage(message) {
+    switch (message.command) {
+      case "start":
+        this._startRecording(message.preRoll || 0);
+        break;
+      case "stop":
+        this._recording = false;
+        this._flush();
+        break;
+      case "analyse":
+        this._analysing = Boolean(message.enabled);
+        this._frameSize = message.frameSize || 128;
+        this._resetFrame();
+        break;
+      case "history":
+        this._maxHistoryLength = message.length || 0;
+        this._trimHistory();
+        break;
+      default:
+        break;
+    }
+  }
+
+  _startRecording(preRoll) {
+    this._chunks = [];
+    this._length = 0;
+
+    // Copy the requested amount of recent input into the new recording.
+    let remaining = Math.min(preRoll, this._historyLength);
+    for (let i = this._history.length - 1; i >= 0 && remaining > 0; i--) {
+      const chunk = this._history[i];
+      const part =
+        chunk.length > remaining ? chunk.subarray(chunk.length - remaining) : chunk;
+      this._chunks.unshift(part);
+      this._length += part.length;
+      remaining -= part.length;
+    }
+
+    this._history = [];
+    this._historyLength = 0;
+    this._recording = true;
+  }
+
+  _flush() {
+    const buffer = new Float32Array(this._length);
+    let offset = 0;
+    for (let i = 0; i < this._chunks.length; i++) {
+      buffer.set(this._chunks[i], offset);
+      offset += this._chunks[i].length;
+    }
+    this._chunks = [];
+    this._length = 0;
+
+    this.port.postMessage({ type: "recording", buffer }, [buffer.buffer]);
+  }
+
+  _trimHistory() {
+    while (
+      this._history.length &&
+      this._historyLength - this._history[0].length >= this._maxHistoryLength
+    ) {
+      this._historyLength -= this._history.shift().length;
+    }
+  }
+
+  _resetFrame() {
+    this._frameLength = 0;
+    this._frameSquareSum = 0;
+    this._framePeak = 0;
+  }
+
+  _analyse(channel) {
+    for (let i = 0; i < channel.length; i++) {
+      const sample = channel[i];
+      this._frameSquareSum += sample * sample;
+      this._framePeak = Math.max(this._framePeak, Math.abs(sample));
+      this._frameLength++;
+
+      if (this._frameLength >= this._frameSize) {
+        this.port.postMessage({
+          type: "level",
+          rms: Math.sqrt(this._frameSquareSum / this._frameLength),
+          peak: this._framePeak,
+          length: this._frameLength,
+        });
+        this._resetFrame();
+      }
+    }
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) return true;
+
+    if (this._recording) {
+      this._chunks.push(channel.slice());
+      this._length += channel.length;
+    } else if (this._maxHistoryLength > 0) {
+      this._history.push(channel.slice());
+      this._historyLength += channel.length;
+      this._trimHistory();
+    }
+
+    if (this._analysing) {
+      this._analyse(channel);
+    }
+
+    // Keep the processor alive for as long as the node exists.
+    return true;
+  }
+}
+
+registerProcessor("${RECORDER_PROCESSOR_NAME}", LexRecorderProcessor);
+`;
+
+/**
+ * Creates an object URL pointing at the recorder processor source. Pass the
+ * result to `audioContext.audioWorklet.addModule()`.
+ *
+ * @returns {string} Object URL for the processor module
+ */
+export function createRecorderProcessorUrl() {
+  const blob = new Blob([processorSource], { type: "application/javascript" });
+  return URL.createObjectURL(blob);
+}
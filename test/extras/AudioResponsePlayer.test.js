@@ -0,0 +1,193 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { AudioResponsePlayer } from "../../src/extras/AudioResponsePlayer";
+import { encodeL16 } from "../../src/extras/AudioUtils";
+
+const audioEngine = vi.hoisted(() => ({}));
+
+vi.mock("@amazon-sumerian-hosts/babylon", () =>
+  import("../mocks/sumerianHosts")
+);
+vi.mock("@babylonjs/core/Engines/engine", () => ({
+  Engine: { audioEngine },
+}));
+
+function createNode(properties = {}) {
+  return { connect: vi.fn(), disconnect: vi.fn(), ...properties };
+}
+
+/**
+ * Returns a stand-in for an AudioContext whose analyser reports a loud sound
+ * with most of its energy at `frequency`.
+ */
+function createAudioContext(frequency) {
+  const context = {
+    state: "running",
+    sampleRate: 48000,
+    destination: createNode(),
+    nodes: {},
+    createBuffer: () => ({ copyToChannel: vi.fn() }),
+    createBufferSource() {
+      context.nodes.source = createNode({ start: vi.fn(), stop: vi.fn() });
+      return context.nodes.source;
+    },
+    createAnalyser() {
+      context.nodes.analyser = createNode({
+        frequencyBinCount: 512,
+        getFloatTimeDomainData: (data) => data.fill(0.5),
+        getFloatFrequencyData(data) {
+          data.fill(-200);
+          data[Math.round(frequency / (48000 / 1024))] = 0;
+        },
+      });
+      return context.nodes.analyser;
+    },
+    createGain() {
+      context.nodes.gain = createNode({ gain: { value: 1 } });
+      return context.nodes.gain;
+    },
+    createPanner() {
+      context.nodes.panner = createNode({ setPosition: vi.fn() });
+      return context.nodes.panner;
+    },
+  };
+  return context;
+}
+
+function createHost() {
+  return {
+    owner: { getAbsolutePosition: () => ({ x: 1, y: 2, z: 3 }) },
+    AnimationFeature: { setAnimationBlendWeight: vi.fn() },
+    TextToSpeechFeature: { volume: 0.5 },
+    LipsyncFeature: {
+      _visemeLayers: {
+        Mouth: {
+          animation: "mouthShapes",
+          visemeMap: { a: { name: "jawOpen" }, o: { name: "lipsRound" } },
+        },
+      },
+    },
+  };
+}
+
+const AUDIO = encodeL16(new Float32Array(160).fill(0.25));
+
+describe("AudioResponsePlayer", () => {
+  let frames;
+
+  beforeEach(() => {
+    frames = [];
+    vi.stubGlobal("requestAnimationFrame", (callback) => frames.push(callback));
+    vi.stubGlobal("cancelAnimationFrame", () => {});
+    audioEngine.audioContext = createAudioContext(1200);
+    audioEngine.masterGain = createNode();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  function renderFrame() {
+    frames.shift()();
+  }
+
+  it("plays through Babylon's audio engine like host speech", async () => {
+    const host = createHost();
+    const player = new AudioResponsePlayer(host);
+    const { nodes } = audioEngine.audioContext;
+
+    player.play(AUDIO, "audio/pcm");
+    await Promise.resolve();
+
+    expect(nodes.source.start).toHaveBeenCalled();
+    expect(nodes.panner.connect).toHaveBeenCalledWith(audioEngine.masterGain);
+    expect(nodes.panner.setPosition).toHaveBeenCalledWith(1, 2, 3);
+    expect(nodes.gain.gain.value).toBe(0.5);
+
+    host.TextToSpeechFeature.volume = 0.2;
+    renderFrame();
+    expect(nodes.gain.gain.value).toBe(0.2);
+  });
+
+  it("plays unpositioned audio into a custom destination", async () => {
+    const audioContext = createAudioContext(1200);
+    const player = new AudioResponsePlayer(createHost(), {
+      audioContext,
+      attachTo: null,
+    });
+
+    const playback = player.play(AUDIO, "audio/pcm");
+    await Promise.resolve();
+
+    expect(audioContext.nodes.panner).toBeUndefined();
+    expect(audioContext.nodes.gain.connect).toHaveBeenCalledWith(
+      audioContext.destination
+    );
+    player.stop();
+    await playback;
+  });
+
+  it("animates the viseme layers of the host's LipsyncFeature", async () => {
+    const host = createHost();
+    const player = new AudioResponsePlayer(host);
+    const { setAnimationBlendWeight } = host.AnimationFeature;
+
+    player.play(AUDIO, "audio/pcm");
+    await Promise.resolve();
+    renderFrame();
+
+    expect(setAnimationBlendWeight).toHaveBeenLastCalledWith(
+      "Mouth",
+      "mouthShapes",
+      "jawOpen",
+      1,
+      expect.any(Number)
+    );
+
+    player.stop();
+    expect(setAnimationBlendWeight).toHaveBeenLastCalledWith(
+      "Mouth",
+      "mouthShapes",
+      "jawOpen",
+      0,
+      expect.any(Number)
+    );
+  });
+
+  it("uses blend names that aren't mapped as they are", async () => {
+    const host = createHost();
+    audioEngine.audioContext = createAudioContext(5000);
+    const player = new AudioResponsePlayer(host, {
+      visemeLayers: [{ name: "Viseme", animation: "visemes" }],
+    });
+
+    player.play(AUDIO, "audio/pcm");
+    await Promise.resolve();
+    renderFrame();
+
+    expect(host.AnimationFeature.setAnimationBlendWeight).toHaveBeenCalledWith(
+      "Viseme",
+      "visemes",
+      "s",
+      1,
+      expect.any(Number)
+    );
+  });
+
+  it("emits play and stop and resolves when stopped", async () => {
+    const player = new AudioResponsePlayer(createHost());
+    const events = [];
+    player.listenTo(AudioResponsePlayer.EVENTS.play, () => events.push("play"));
+    player.listenTo(AudioResponsePlayer.EVENTS.stop, () => events.push("stop"));
+
+    const playback = player.play(AUDIO, "audio/pcm");
+    await Promise.resolve();
+    expect(player.isPlaying).toBe(true);
+    player.stop();
+
+    await playback;
+    expect(player.isPlaying).toBe(false);
+    expect(events).toEqual(["play", "stop"]);
+  });
+});
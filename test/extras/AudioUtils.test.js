@@ -0,0 +1,492 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { describe, expect, it } from "vitest";
+import {
+  decodeL16,
+  decodeWAV,
+  encodeL16,
+  encodeWAV,
+  highPassFilter,
+  normalizeGain,
+  preprocessAudio,
+  Resampler,
+  resampleAudio,
+  trimSilence,
+} from "../../src/extras/AudioUtils";
+
+function sine(frequency, sampleRate, length, amplitude = 0.5) {
+  return Float32Array.from(
+    { length },
+    (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+  );
+}
+
+function noise(length, seed = 1) {
+  // A small deterministic generator so failures are reproducible.
+  let state = seed;
+  return Float32Array.from({ length }, () => {
+    state = (state * 16807) % 2147483647;
+    return (state / 2147483647) * 2 - 1;
+  });
+}
+
+function rms(buffer) {
+  const sum = buffer.reduce((total, sample) => total + sample * sample, 0);
+  return Math.sqrt(sum / buffer.length);
+}
+
+function expectSamplesClose(actual, expected, tolerance) {
+  expect(actual.length).toBe(expected.length);
+  let maxError = 0;
+  for (let i = 0; i < expected.length; i++) {
+    maxError = Math.max(maxError, Math.abs(actual[i] - expected[i]));
+  }
+  expect(maxError).toBeLessThanOrEqual(tolerance);
+}
+
+function resampleInChunks(buffer, sourceSampleRate, targetSampleRate, sizes) {
+  const resampler = new Resampler(sourceSampleRate, targetSampleRate);
+  const output = [];
+  let offset = 0;
+  for (let i = 0; offset < buffer.length; i++) {
+    const size = sizes[i % sizes.length];
+    output.push(...resampler.process(buffer.subarray(offset, offset + size)));
+    offset += size;
+  }
+  output.push(...resampler.flush());
+  return Float32Array.from(output);
+}
+
+/**
+ * Joins buffers, e.g. to surround a tone with silence.
+ */
+function concat(...buffers) {
+  return Float32Array.from(buffers.flatMap((buffer) => Array.from(buffer)));
+}
+
+describe("resampleAudio", () => {
+  it("returns the input when the sample rates match", () => {
+    const buffer = noise(100);
+
+    expect(resampleAudio(buffer, 16000, 16000)).toBe(buffer);
+  });
+
+  it("returns the duration-preserving number of samples", () => {
+    [
+      [48000, 16000, 1001, 334],
+      [44100, 16000, 4410, 1600],
+      [16000, 44100, 1601, 4413],
+      [8000, 16000, 1, 2],
+      [48000, 16000, 1, 0],
+    ].forEach(([source, target, inputLength, outputLength]) => {
+      const output = resampleAudio(noise(inputLength), source, target);
+      expect(output.length).toBe(outputLength);
+    });
+  });
+
+  it("handles empty input", () => {
+    expect(resampleAudio(new Float32Array(0), 48000, 16000)).toEqual(
+      new Float32Array(0)
+    );
+  });
+
+  it("keeps tones below the target Nyquist frequency", () => {
+    const input = sine(1000, 48000, 4800);
+    const output = resampleAudio(input, 48000, 16000);
+    const expected = sine(1000, 16000, 1600);
+
+    // Skip the edges, where the filter sees the implied silence around the
+    // input.
+    expectSamplesClose(
+      output.subarray(100, -100),
+      expected.subarray(100, -100),
+      0.01
+    );
+  });
+
+  it("filters out tones above the target Nyquist frequency", () => {
+    const input = sine(12000, 48000, 4800);
+    const output = resampleAudio(input, 48000, 16000);
+
+    expect(rms(input)).toBeGreaterThan(0.3);
+    expect(rms(output.subarray(100, -100))).toBeLessThan(0.005);
+  });
+
+  it("upsamples without adding images", () => {
+    const input = sine(440, 8000, 800);
+    const output = resampleAudio(input, 8000, 48000);
+
+    expectSamplesClose(
+      output.subarray(600, -600),
+      sine(440, 48000, 4800).subarray(600, -600),
+      0.01
+    );
+  });
+});
+
+describe("Resampler", () => {
+  it("rejects sample rates that aren't positive", () => {
+    expect(() => new Resampler(0, 16000)).toThrow(/positive/);
+    expect(() => new Resampler(48000, -1)).toThrow(/positive/);
+    expect(() => new Resampler(48000, NaN)).toThrow(/positive/);
+  });
+
+  it("produces the same output in chunks as in one go", () => {
+    const input = noise(4801);
+    [
+      [48000, 16000],
+      [44100, 16000],
+      [16000, 48000],
+      [22050, 16000],
+    ].forEach(([source, target]) => {
+      const expected = resampleAudio(input, source, target);
+      [[1], [128], [127, 3, 0, 500], [4801]].forEach((sizes) => {
+        expectSamplesClose(
+          resampleInChunks(input, source, target, sizes),
+          expected,
+          1e-6
+        );
+      });
+    });
+  });
+
+  it("holds back output until it has enough input", () => {
+    const resampler = new Resampler(48000, 16000);
+
+    expect(resampler.process(new Float32Array(3)).length).toBe(0);
+    expect(resampler.flush().length).toBe(1);
+  });
+
+  it("can be reused after flushing", () => {
+    const input = noise(999);
+    const resampler = new Resampler(44100, 16000);
+
+    const first = Float32Array.from([
+      ...resampler.process(input),
+      ...resampler.flush(),
+    ]);
+    const second = Float32Array.from([
+      ...resampler.process(input),
+      ...resampler.flush(),
+    ]);
+
+    expect(second).toEqual(first);
+  });
+});
+
+describe("encodeL16 and decodeL16", () => {
+  it("round-trips samples within 16-bit precision", () => {
+    const input = noise(1000);
+
+    expectSamplesClose(decodeL16(encodeL16(input)), input, 2 / 0x8000);
+  });
+
+  it("writes little-endian samples clamped to full scale", () => {
+    const view = encodeL16(Float32Array.from([0, -1, 1, -2, 2]));
+
+    expect(view.byteLength).toBe(10);
+    expect(view.getInt16(0, true)).toBe(0);
+    expect(view.getInt16(2, true)).toBe(-0x8000);
+    expect(view.getInt16(4, true)).toBe(0x7fff);
+    expect(view.getInt16(6, true)).toBe(-0x8000);
+    expect(view.getInt16(8, true)).toBe(0x7fff);
+  });
+
+  it("decodes typed arrays, buffers and data views alike", () => {
+    const bytes = new Uint8Array(encodeL16(noise(10)).buffer);
+    const expected = decodeL16(bytes);
+
+    expect(decodeL16(bytes.buffer)).toEqual(expected);
+    expect(decodeL16(new DataView(bytes.buffer))).toEqual(expected);
+  });
+
+  it("decodes views into a larger buffer", () => {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setInt16(2, 0x4000, true);
+
+    expect(decodeL16(bytes.subarray(2, 4))).toEqual(Float32Array.from([0.5]));
+  });
+
+  it("ignores a trailing odd byte and handles empty input", () => {
+    expect(decodeL16(new Uint8Array(3)).length).toBe(1);
+    expect(decodeL16(new Uint8Array(0)).length).toBe(0);
+    expect(encodeL16(new Float32Array(0)).byteLength).toBe(0);
+  });
+});
+
+describe("encodeWAV and decodeWAV", () => {
+  it("writes a canonical 16-bit PCM header", () => {
+    const view = encodeWAV(noise(11), 16000);
+    const text = (offset) =>
+      String.fromCharCode(
+        ...new Uint8Array(view.buffer, view.byteOffset + offset, 4)
+      );
+
+    expect(text(0)).toBe("RIFF");
+    expect(view.getUint32(4, true)).toBe(36 + 22);
+    expect(text(8)).toBe("WAVE");
+    expect(text(12)).toBe("fmt ");
+    expect(view.getUint16(20, true)).toBe(1);
+    expect(view.getUint16(22, true)).toBe(1);
+    expect(view.getUint32(24, true)).toBe(16000);
+    expect(view.getUint32(28, true)).toBe(32000);
+    expect(view.getUint16(32, true)).toBe(2);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(text(36)).toBe("data");
+    expect(view.getUint32(40, true)).toBe(22);
+    expect(view.byteLength).toBe(44 + 22);
+  });
+
+  it("round-trips each sample format", () => {
+    const input = noise(501);
+    [
+      [8, false, 1 / 128],
+      [16, false, 2 / 0x8000],
+      [24, false, 2 / 0x800000],
+      [32, false, 1e-7],
+      [32, true, 0],
+    ].forEach(([bitDepth, float, tolerance]) => {
+      const decoded = decodeWAV(encodeWAV(input, 22050, { bitDepth, float }));
+
+      expect(decoded.sampleRate).toBe(22050);
+      expect(decoded.bitDepth).toBe(bitDepth);
+      expect(decoded.float).toBe(float);
+      expect(decoded.channels.length).toBe(1);
+      expectSamplesClose(decoded.channels[0], input, tolerance);
+    });
+  });
+
+  it("centres 8-bit samples on 128 in both directions", () => {
+    const input = Float32Array.from([0, 0.5, -0.5, -1, 1, 127 / 128]);
+
+    const view = encodeWAV(input, 8000, { bitDepth: 8 });
+    const bytes = new Uint8Array(view.buffer, 44);
+
+    expect(Array.from(bytes)).toEqual([128, 192, 64, 0, 255, 255]);
+    expect(decodeWAV(view).channels[0]).toEqual(
+      Float32Array.from([0, 0.5, -0.5, -1, 127 / 128, 127 / 128])
+    );
+  });
+
+  it("round-trips interleaved channels", () => {
+    const left = noise(100, 1);
+    const right = noise(100, 2);
+
+    const { channels } = decodeWAV(encodeWAV([left, right], 48000));
+
+    expect(channels.length).toBe(2);
+    expectSamplesClose(channels[0], left, 2 / 0x8000);
+    expectSamplesClose(channels[1], right, 2 / 0x8000);
+  });
+
+  it("round-trips empty audio", () => {
+    const { channels } = decodeWAV(encodeWAV(new Float32Array(0), 16000));
+
+    expect(channels).toEqual([new Float32Array(0)]);
+  });
+
+  it("skips unknown chunks, including odd-sized ones", () => {
+    const wav = new Uint8Array(encodeWAV(noise(20), 16000).buffer);
+    // Insert a 3-byte "LIST" chunk, padded to 4 bytes, after "fmt ".
+    const extra = Uint8Array.from([
+      ..."LIST".split("").map((c) => c.charCodeAt(0)),
+      3,
+      0,
+      0,
+      0,
+      1,
+      2,
+      3,
+      0,
+    ]);
+    const withList = new Uint8Array(wav.length + extra.length);
+    withList.set(wav.subarray(0, 36));
+    withList.set(extra, 36);
+    withList.set(wav.subarray(36), 36 + extra.length);
+
+    expect(decodeWAV(withList).channels).toEqual(decodeWAV(wav).channels);
+  });
+
+  it("tolerates a data size that was never filled in", () => {
+    const view = encodeWAV(noise(20), 16000);
+    view.setUint32(40, 0xffffffff, true);
+
+    expect(decodeWAV(view).channels[0].length).toBe(20);
+  });
+
+  it("rejects missing or mismatched channels", () => {
+    expect(() => encodeWAV([], 16000)).toThrow(/At least one channel/);
+    expect(() =>
+      encodeWAV([new Float32Array(2), new Float32Array(3)], 16000)
+    ).toThrow(/same length/);
+  });
+
+  it("rejects data that isn't a supported WAV file", () => {
+    expect(() => decodeWAV(new Uint8Array(44))).toThrow(/RIFF\/WAVE/);
+    expect(() => decodeWAV(new Uint8Array(4))).toThrow(/RIFF\/WAVE/);
+
+    const headerOnly = new Uint8Array(encodeWAV(noise(4), 16000).buffer, 0, 36);
+    expect(() => decodeWAV(headerOnly)).toThrow(/"data" chunk/);
+
+    const compressed = encodeWAV(noise(4), 16000);
+    compressed.setUint16(20, 2, true);
+    expect(() => decodeWAV(compressed)).toThrow(/format tag 2/);
+  });
+});
+
+describe("highPassFilter", () => {
+  it("removes DC offset", () => {
+    const input = new Float32Array(16000).fill(0.5);
+
+    const output = highPassFilter(input, 16000);
+
+    expect(Math.abs(output[output.length - 1])).toBeLessThan(1e-3);
+  });
+
+  it("keeps speech frequencies and cuts rumble", () => {
+    const speech = sine(1000, 16000, 16000);
+    const rumble = sine(20, 16000, 16000);
+
+    expect(rms(highPassFilter(speech, 16000).subarray(8000))).toBeCloseTo(
+      rms(speech),
+      2
+    );
+    expect(rms(highPassFilter(rumble, 16000).subarray(8000))).toBeLessThan(
+      rms(rumble) * 0.1
+    );
+  });
+
+  it("handles empty input", () => {
+    expect(highPassFilter(new Float32Array(0), 16000).length).toBe(0);
+  });
+});
+
+describe("trimSilence", () => {
+  // 10ms frames at 16kHz are 160 samples and 150ms of padding is 2400.
+  const silence = new Float32Array(8000);
+
+  it("keeps the sound and the padding around it", () => {
+    const tone = sine(440, 16000, 3200, 0.1);
+
+    const output = trimSilence(concat(silence, tone, silence), 16000);
+
+    expect(output.length).toBe(2400 + 3200 + 2400);
+    expect(output[2400]).toBe(tone[0]);
+  });
+
+  it("clamps the padding to the input", () => {
+    const tone = sine(440, 16000, 3200, 0.1);
+    const input = concat(silence.subarray(0, 800), tone);
+
+    expect(trimSilence(input, 16000)).toEqual(input);
+  });
+
+  it("treats frames below the threshold as silence", () => {
+    // A sine's RMS is its amplitude divided by sqrt(2): about -51 dBFS here.
+    const quiet = concat(silence, sine(440, 16000, 3200, 0.004), silence);
+    // And about -49 dBFS here.
+    const audible = concat(silence, sine(440, 16000, 3200, 0.005), silence);
+
+    expect(trimSilence(quiet, 16000)).toBe(quiet);
+    expect(trimSilence(audible, 16000).length).toBe(8000);
+    expect(trimSilence(quiet, 16000, { threshold: -55 }).length).toBe(8000);
+  });
+
+  it("returns silent and empty input unchanged", () => {
+    const empty = new Float32Array(0);
+
+    expect(trimSilence(silence, 16000)).toBe(silence);
+    expect(trimSilence(empty, 16000)).toBe(empty);
+  });
+});
+
+describe("normalizeGain", () => {
+  it("scales the peak to the target level", () => {
+    const { buffer, gain } = normalizeGain(sine(440, 16000, 1600, 0.25));
+    const peak = Math.max(...buffer.map(Math.abs));
+
+    expect(peak).toBeCloseTo(10 ** (-3 / 20), 3);
+    expect(gain).toBeCloseTo(10 ** (-3 / 20) / 0.25, 2);
+  });
+
+  it("limits the gain for quiet input", () => {
+    const { gain } = normalizeGain(sine(440, 16000, 1600, 0.001), {
+      maxGain: 20,
+    });
+
+    expect(gain).toBeCloseTo(10, 5);
+  });
+
+  it("leaves silent and empty input untouched", () => {
+    const silence = new Float32Array(100);
+    const empty = new Float32Array(0);
+
+    expect(normalizeGain(silence)).toEqual({ buffer: silence, gain: 1 });
+    expect(normalizeGain(empty)).toEqual({ buffer: empty, gain: 1 });
+  });
+});
+
+describe("preprocessAudio", () => {
+  it("cuts audio to the maximum duration", () => {
+    const input = sine(440, 16000, 20 * 16000);
+
+    const result = preprocessAudio(input, 16000, { maxDuration: 15 });
+
+    expect(result.buffer.length).toBe(15 * 16000);
+    expect(result.duration).toBe(15);
+    expect(result.originalDuration).toBe(20);
+    expect(result.truncated).toBe(true);
+  });
+
+  it("doesn't cut audio that fits", () => {
+    const input = sine(440, 16000, 15 * 16000);
+
+    const result = preprocessAudio(input, 16000, { maxDuration: 15 });
+
+    expect(result.buffer.length).toBe(input.length);
+    expect(result.truncated).toBe(false);
+  });
+
+  it("trims silence before applying the maximum duration", () => {
+    const input = concat(
+      new Float32Array(10 * 16000),
+      sine(440, 16000, 10 * 16000)
+    );
+
+    const result = preprocessAudio(input, 16000, { maxDuration: 15 });
+
+    expect(result.duration).toBeCloseTo(10.15, 2);
+    expect(result.originalDuration).toBe(20);
+    expect(result.truncated).toBe(false);
+  });
+
+  it("returns silence unchanged without dividing by zero", () => {
+    const result = preprocessAudio(new Float32Array(16000), 16000);
+
+    expect(result.gain).toBe(1);
+    expect(result.buffer.length).toBe(16000);
+    expect(result.buffer.every((sample) => sample === 0)).toBe(true);
+  });
+
+  it("handles empty input", () => {
+    const result = preprocessAudio(new Float32Array(0), 16000);
+
+    expect(result.buffer.length).toBe(0);
+    expect(result.duration).toBe(0);
+    expect(result.gain).toBe(1);
+  });
+
+  it("skips steps that are turned off", () => {
+    const input = sine(440, 16000, 1600, 0.1);
+
+    const result = preprocessAudio(input, 16000, {
+      highPass: false,
+      trimSilence: false,
+      maxDuration: false,
+      normalize: false,
+    });
+
+    expect(result.buffer).toBe(input);
+    expect(result.gain).toBe(1);
+  });
+});
@@ -0,0 +1,212 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { describe, expect, it, vi } from "vitest";
+import {
+  CustomBotAdapter,
+  LexV1Adapter,
+  LexV2Adapter,
+} from "../../src/extras/ConversationAdapters";
+
+vi.mock("@amazon-sumerian-hosts/babylon", () =>
+  import("../mocks/sumerianHosts")
+);
+vi.mock("@babylonjs/core/Engines/engine", () => ({
+  Engine: { NpmPackage: "babylonjs@4.2.1" },
+}));
+
+describe("LexV1Adapter", () => {
+  const adapter = new LexV1Adapter({});
+
+  it("converts a V1 response", () => {
+    const response = {
+      intentName: "BookHotel",
+      dialogState: "ElicitSlot",
+      slotToElicit: "Nights",
+      slots: { Location: "Paris", Nights: null },
+      message: "How many nights?",
+      messageFormat: "PlainText",
+      inputTranscript: "in Paris",
+    };
+
+    expect(adapter.normalizeResponse(response, "voice")).toEqual({
+      messages: [{ contentType: "PlainText", content: "How many nights?" }],
+      intent: {
+        name: "BookHotel",
+        state: "InProgress",
+        confirmationState: undefined,
+      },
+      slots: { Location: "Paris" },
+      dialogState: "ElicitSlot",
+      slotToElicit: "Nights",
+      transcript: { text: "in Paris", inputMode: "voice" },
+      raw: response,
+    });
+  });
+
+  it("splits Composite messages into their message groups", () => {
+    const { messages } = adapter.normalizeResponse({
+      messageFormat: "Composite",
+      message: JSON.stringify({
+        messages: [
+          { type: "PlainText", group: 1, value: "Hello" },
+          { type: "CustomPayload", group: 2, value: '{"gesture": "wave"}' },
+        ],
+      }),
+    });
+
+    expect(messages).toEqual([
+      { contentType: "PlainText", content: "Hello" },
+      { contentType: "CustomPayload", content: '{"gesture": "wave"}' },
+    ]);
+  });
+
+  it("shows a malformed Composite message as text", () => {
+    ["Hello {", '{"message": "Hello"}'].forEach((message) => {
+      expect(
+        adapter.normalizeResponse({ messageFormat: "Composite", message })
+          .messages
+      ).toEqual([{ contentType: "PlainText", content: message }]);
+    });
+  });
+
+  it("converts a response card", () => {
+    const { messages } = adapter.normalizeResponse({
+      responseCard: {
+        genericAttachments: [
+          {
+            title: "Room type",
+            subTitle: "Pick one",
+            buttons: [{ text: "King", value: "king" }],
+          },
+        ],
+      },
+    });
+
+    expect(messages).toEqual([
+      {
+        contentType: "ImageResponseCard",
+        imageResponseCard: {
+          title: "Room type",
+          subtitle: "Pick one",
+          imageUrl: undefined,
+          buttons: [{ text: "King", value: "king" }],
+        },
+      },
+    ]);
+  });
+});
+
+describe("LexV2Adapter", () => {
+  const adapter = new LexV2Adapter({});
+
+  function normalize(sessionState, response = {}) {
+    return adapter.normalizeResponse({ sessionState, ...response }, "voice");
+  }
+
+  it("uses the dialog action as the dialog state while the dialog is open", () => {
+    const normalized = normalize({
+      dialogAction: { type: "ElicitSlot", slotToElicit: "Nights" },
+      intent: {
+        name: "BookHotel",
+        state: "InProgress",
+        slots: {
+          Location: { value: { interpretedValue: "Paris" } },
+          Nights: null,
+        },
+      },
+    });
+
+    expect(normalized.dialogState).toBe("ElicitSlot");
+    expect(normalized.slotToElicit).toBe("Nights");
+    expect(normalized.slots).toEqual({ Location: "Paris" });
+    expect(normalized.intent).toEqual({
+      name: "BookHotel",
+      state: "InProgress",
+      confirmationState: undefined,
+    });
+  });
+
+  it("uses the intent state as the dialog state once the dialog is closed", () => {
+    const intent = { name: "BookHotel", state: "Fulfilled" };
+
+    expect(
+      normalize({ dialogAction: { type: "Close" }, intent }).dialogState
+    ).toBe("Fulfilled");
+    expect(normalize({ intent }).dialogState).toBe("Fulfilled");
+    expect(normalize({}).dialogState).toBeUndefined();
+    expect(normalize(undefined).intent).toBeNull();
+  });
+
+  it("reports the input mode of the transcript", () => {
+    expect(
+      normalize({}, { inputTranscript: "hi", inputMode: "Text" }).transcript
+    ).toEqual({ text: "hi", inputMode: "text" });
+    expect(
+      normalize({}, { inputTranscript: "hi", inputMode: "Speech" }).transcript
+    ).toEqual({ text: "hi", inputMode: "voice" });
+    // putSession() responses fall back to the mode of the request.
+    expect(normalize({}, { inputTranscript: "hi" }).transcript).toEqual({
+      text: "hi",
+      inputMode: "voice",
+    });
+    expect(normalize({}).transcript).toBeNull();
+  });
+});
+
+describe("CustomBotAdapter", () => {
+  async function reply(sendText) {
+    const adapter = new CustomBotAdapter({ sendText });
+    const response = vi.fn();
+    adapter.subscribe({ response, error: vi.fn() });
+
+    const rawResponse = await adapter.sendText("hello");
+    expect(response).toHaveBeenCalledWith(rawResponse);
+    return adapter.normalizeResponse(rawResponse);
+  }
+
+  it("converts string replies to a text message", async () => {
+    const normalized = await reply(async () => "Hi there");
+
+    expect(normalized).toMatchObject({
+      messages: [{ contentType: "PlainText", content: "Hi there" }],
+      intent: null,
+      slots: {},
+      dialogState: undefined,
+      transcript: { text: "hello", inputMode: "text" },
+    });
+  });
+
+  it("passes object replies through", async () => {
+    const messages = [{ contentType: "PlainText", content: "Which city?" }];
+    const intent = { name: "BookHotel", state: "InProgress" };
+    const normalized = await reply(() => ({
+      messages,
+      intent,
+      slots: { Nights: "3" },
+      dialogState: "ElicitSlot",
+      slotToElicit: "Location",
+    }));
+
+    expect(normalized).toMatchObject({
+      messages,
+      intent,
+      slots: { Nights: "3" },
+      dialogState: "ElicitSlot",
+      slotToElicit: "Location",
+      transcript: { text: "hello", inputMode: "text" },
+    });
+  });
+
+  it("reports failed replies", async () => {
+    const error = new Error("offline");
+    const adapter = new CustomBotAdapter({
+      sendText: () => Promise.reject(error),
+    });
+    const callbacks = { response: vi.fn(), error: vi.fn() };
+    adapter.subscribe(callbacks);
+
+    await expect(adapter.sendText("hello")).rejects.toBe(error);
+    expect(callbacks.error).toHaveBeenCalledWith(error);
+    expect(callbacks.response).not.toHaveBeenCalled();
+  });
+});
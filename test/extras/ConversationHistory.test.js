@@ -0,0 +1,171 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { ConversationHistory } from "../../src/extras/ConversationHistory";
+
+/**
+ * A store that keeps values in a Map, copying them like a real store would.
+ */
+class MemoryStore {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async get(key) {
+    return this.values.has(key) ? structuredClone(this.values.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.values.set(key, structuredClone(value));
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+  }
+}
+
+describe("ConversationHistory", () => {
+  let store;
+  let history;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    history = new ConversationHistory(store, { key: "demo" });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  async function addTurns(conversation) {
+    conversation.setSessionId("session-1");
+    await conversation.addTurn({
+      speaker: "user",
+      text: "book a hotel",
+      inputMode: "voice",
+      time: "2024-01-01T10:00:00.000Z",
+    });
+    await conversation.addTurn({
+      speaker: "bot",
+      text: "What city?",
+      dialogState: "ElicitSlot",
+      sessionState: { intent: { name: "BookHotel" } },
+      time: "2024-01-01T10:00:01.000Z",
+    });
+  }
+
+  it("saves each turn and loads them again", async () => {
+    await addTurns(history);
+
+    const restored = new ConversationHistory(store, { key: "demo" });
+    expect(await restored.load()).toBe(true);
+    expect(restored.sessionId).toBe("session-1");
+    expect(restored.turns).toEqual(history.turns);
+    expect(restored.turns[1]).toMatchObject({
+      speaker: "bot",
+      dialogState: "ElicitSlot",
+      sessionState: { intent: { name: "BookHotel" } },
+    });
+  });
+
+  it("stamps turns with the current time", async () => {
+    await history.addTurn({ speaker: "user", text: "hi" });
+
+    expect(new Date(history.turns[0].time).toISOString()).toBe(
+      history.turns[0].time
+    );
+  });
+
+  it("loads nothing when no conversation is saved", async () => {
+    expect(await history.load()).toBe(false);
+    expect(history.turns).toEqual([]);
+    expect(history.sessionId).toBeUndefined();
+  });
+
+  it("ignores a saved conversation it can't read", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    await store.set("demo", { format: "something else", turns: [] });
+
+    expect(await history.load()).toBe(false);
+    expect(history.turns).toEqual([]);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it("exports and imports conversations", async () => {
+    await addTurns(history);
+    const json = history.exportJson();
+
+    expect(JSON.parse(json)).toMatchObject({
+      format: "sumerian-hosts-conversation",
+      version: 1,
+      sessionId: "session-1",
+    });
+
+    const otherStore = new MemoryStore();
+    const imported = new ConversationHistory(otherStore);
+    await imported.importJson(json);
+    expect(imported.sessionId).toBe("session-1");
+    expect(imported.turns).toEqual(history.turns);
+    // The import is saved under the default key.
+    const restored = new ConversationHistory(otherStore);
+    expect(await restored.load()).toBe(true);
+    expect(restored.turns).toEqual(history.turns);
+  });
+
+  it("rejects imports that aren't exported conversations", async () => {
+    await addTurns(history);
+
+    expect(() => history.importJson("{")).toThrow("The file isn't valid JSON.");
+    expect(() => history.importJson('{"turns": []}')).toThrow(
+      "This isn't a saved conversation."
+    );
+    expect(() =>
+      history.importJson(
+        JSON.stringify({
+          format: "sumerian-hosts-conversation",
+          version: 1,
+          turns: [{ speaker: "host", text: "hi" }],
+        })
+      )
+    ).toThrow("This isn't a saved conversation.");
+    expect(() =>
+      history.importJson(
+        JSON.stringify({
+          format: "sumerian-hosts-conversation",
+          version: 2,
+          turns: [],
+        })
+      )
+    ).toThrow("Conversations of version 2 aren't supported.");
+    // A failed import keeps the conversation.
+    expect(history.turns).toHaveLength(2);
+  });
+
+  it("clears the conversation and the store", async () => {
+    await addTurns(history);
+
+    await history.clear();
+
+    expect(history.turns).toEqual([]);
+    expect(history.sessionId).toBeUndefined();
+    expect(await store.get("demo")).toBeNull();
+  });
+
+  it("saves in order and keeps going after a failed save", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const set = vi.spyOn(store, "set");
+    set.mockRejectedValueOnce(new Error("Quota exceeded"));
+
+    const first = history.addTurn({ speaker: "user", text: "one" });
+    const second = history.addTurn({ speaker: "bot", text: "two" });
+    await first;
+    await second;
+
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(set).toHaveBeenCalledTimes(2);
+    expect((await store.get("demo")).turns.map(({ text }) => text)).toEqual([
+      "one",
+      "two",
+    ]);
+  });
+});
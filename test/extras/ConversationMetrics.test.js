@@ -0,0 +1,153 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { Messenger } from "../mocks/sumerianHosts";
+import { ConversationController } from "../../src/extras/ConversationController";
+import { ConversationMetrics } from "../../src/extras/ConversationMetrics";
+import { InMemoryMetricsAggregator } from "../../src/extras/Metrics";
+
+vi.mock("@amazon-sumerian-hosts/babylon", () =>
+  import("../mocks/sumerianHosts")
+);
+
+const { EVENTS } = ConversationController;
+const PLAY = "TextToSpeechFeature.onPlay";
+
+describe("ConversationMetrics", () => {
+  let controller;
+  let host;
+  let sink;
+  let metrics;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["performance", "Date"] });
+    controller = new Messenger();
+    host = new Messenger();
+    host.TextToSpeechFeature = { EVENTS: { play: PLAY } };
+    sink = new InMemoryMetricsAggregator();
+    metrics = new ConversationMetrics({ controller, host, sink });
+  });
+
+  afterEach(() => {
+    metrics.dispose();
+    vi.useRealTimers();
+  });
+
+  function recorded() {
+    return sink.metrics.map(({ name, value, dimensions }) => ({
+      name,
+      value,
+      dimensions,
+    }));
+  }
+
+  it("times each stage of a voice turn", () => {
+    controller.emit(EVENTS.recordEnd);
+    vi.advanceTimersByTime(400);
+    controller.emit(EVENTS.response, { dialogState: "ElicitSlot" });
+    vi.advanceTimersByTime(50);
+    metrics.markSynthesisStart();
+    vi.advanceTimersByTime(250);
+    host.emit(PLAY);
+
+    const voice = { inputMode: "voice" };
+    expect(recorded()).toEqual([
+      { name: "turn.responseTime", value: 400, dimensions: voice },
+      {
+        name: "turn.outcome",
+        value: 1,
+        dimensions: { inputMode: "voice", dialogState: "ElicitSlot" },
+      },
+      { name: "turn.synthesisStart", value: 450, dimensions: voice },
+      { name: "turn.firstAudio", value: 700, dimensions: voice },
+      { name: "tts.synthesisTime", value: 250, dimensions: voice },
+    ]);
+  });
+
+  it("times typed turns from markInputEnd()", () => {
+    metrics.markInputEnd("text");
+    vi.advanceTimersByTime(300);
+    controller.emit(EVENTS.response, {});
+    vi.advanceTimersByTime(200);
+    metrics.markFirstAudio();
+
+    expect(recorded()).toEqual([
+      {
+        name: "turn.responseTime",
+        value: 300,
+        dimensions: { inputMode: "text" },
+      },
+      {
+        name: "turn.outcome",
+        value: 1,
+        dimensions: { inputMode: "text", dialogState: "None" },
+      },
+      {
+        name: "turn.firstAudio",
+        value: 500,
+        dimensions: { inputMode: "text" },
+      },
+    ]);
+  });
+
+  it("ignores later replies and speech in the same turn", () => {
+    controller.emit(EVENTS.recordEnd);
+    vi.advanceTimersByTime(100);
+    controller.emit(EVENTS.response, { dialogState: "ReadyForFulfillment" });
+    vi.advanceTimersByTime(100);
+    controller.emit(EVENTS.response, { dialogState: "Fulfilled" });
+    metrics.markSynthesisStart();
+    metrics.markSynthesisStart();
+    host.emit(PLAY);
+    host.emit(PLAY);
+
+    const names = recorded().map(({ name }) => name);
+    expect(names).toEqual([
+      "turn.responseTime",
+      "turn.outcome",
+      "turn.synthesisStart",
+      "turn.firstAudio",
+      "tts.synthesisTime",
+    ]);
+  });
+
+  it("records nothing outside a turn", () => {
+    host.emit(PLAY);
+    metrics.markSynthesisStart();
+    controller.emit(EVENTS.response, {});
+    controller.emit(EVENTS.error, new Error("offline"));
+
+    // Speech before the reply, such as the greeting, doesn't end the turn.
+    controller.emit(EVENTS.recordEnd);
+    host.emit(PLAY);
+
+    expect(sink.metrics).toEqual([]);
+  });
+
+  it("records failed turns", () => {
+    const error = new Error("Slow down");
+    error.name = "ThrottlingException";
+
+    metrics.markInputEnd("text");
+    controller.emit(EVENTS.error, error);
+    controller.emit(EVENTS.response, {});
+
+    expect(recorded()).toEqual([
+      {
+        name: "turn.error",
+        value: 1,
+        dimensions: { inputMode: "text", error: "ThrottlingException" },
+      },
+    ]);
+  });
+
+  it("stops measuring once disposed", () => {
+    metrics.dispose();
+
+    controller.emit(EVENTS.recordEnd);
+    controller.emit(EVENTS.response, {});
+    host.emit(PLAY);
+
+    expect(sink.metrics).toEqual([]);
+  });
+});
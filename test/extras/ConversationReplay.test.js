@@ -0,0 +1,93 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { ConversationReplay } from "../../src/extras/ConversationReplay";
+
+const TURNS = [
+  { speaker: "user", text: "book a hotel" },
+  { speaker: "bot", text: "What city?" },
+  { speaker: "user", text: "Paris" },
+];
+
+describe("ConversationReplay", () => {
+  let performTurn;
+  let replay;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    performTurn = vi.fn();
+    replay = new ConversationReplay({ performTurn, turnDelay: 1 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  function performedTexts() {
+    return performTurn.mock.calls.map(([turn]) => turn.text);
+  }
+
+  it("performs the turns in order with a delay between them", async () => {
+    const playing = replay.play(TURNS);
+    expect(replay.isPlaying).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(performedTexts()).toEqual(["book a hotel"]);
+    await vi.advanceTimersByTimeAsync(999);
+    expect(performTurn).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(performedTexts()).toEqual(["book a hotel", "What city?"]);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(await playing).toBe(true);
+    expect(performedTexts()).toEqual(TURNS.map(({ text }) => text));
+    expect(replay.isPlaying).toBe(false);
+  });
+
+  it("waits for each turn to be performed", async () => {
+    let finishTurn;
+    performTurn.mockImplementationOnce(
+      () => new Promise((resolve) => (finishTurn = resolve))
+    );
+
+    replay.play(TURNS);
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(performTurn).toHaveBeenCalledTimes(1);
+
+    finishTurn();
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(performTurn).toHaveBeenCalledTimes(2);
+  });
+
+  it("stops after the current turn", async () => {
+    const playing = replay.play(TURNS);
+    await vi.advanceTimersByTimeAsync(0);
+
+    replay.stop();
+    expect(replay.isPlaying).toBe(false);
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(await playing).toBe(false);
+    expect(performTurn).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops the previous replay when a new one starts", async () => {
+    const first = replay.play(TURNS);
+    await vi.advanceTimersByTimeAsync(0);
+    const second = replay.play([{ speaker: "bot", text: "Hello" }]);
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(await first).toBe(false);
+    expect(await second).toBe(true);
+    expect(performedTexts()).toEqual(["book a hotel", "Hello"]);
+    expect(replay.isPlaying).toBe(false);
+  });
+
+  it("rejects when a turn fails", async () => {
+    const error = new Error("Speech failed");
+    performTurn.mockRejectedValueOnce(error);
+
+    await expect(replay.play(TURNS)).rejects.toBe(error);
+    expect(replay.isPlaying).toBe(false);
+  });
+});
@@ -0,0 +1,63 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { beforeEach, describe, expect, it } from "vitest";
+import { LocalStorageConversationStore } from "../../src/extras/ConversationStores";
+
+/**
+ * An in-memory stand-in for window.localStorage.
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+describe("LocalStorageConversationStore", () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    store = new LocalStorageConversationStore(storage);
+  });
+
+  it("saves values as JSON", async () => {
+    const conversation = { sessionId: "session-1", turns: [{ text: "hi" }] };
+
+    await store.set("demo", conversation);
+
+    expect(JSON.parse(storage.getItem("demo"))).toEqual(conversation);
+    expect(await store.get("demo")).toEqual(conversation);
+  });
+
+  it("resolves to null for missing keys", async () => {
+    expect(await store.get("demo")).toBeNull();
+  });
+
+  it("deletes values", async () => {
+    await store.set("demo", { turns: [] });
+
+    await store.delete("demo");
+
+    expect(storage.getItem("demo")).toBeNull();
+    expect(await store.get("demo")).toBeNull();
+  });
+
+  it("rejects when a saved value isn't JSON", async () => {
+    storage.setItem("demo", "{");
+
+    await expect(store.get("demo")).rejects.toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,344 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { DialogServiceClient } from "../../src/extras/DialogServiceClient";
+import {
+  decodeAndUnzipJsonString,
+  encodeAndZipJsonString,
+} from "../../src/extras/lexEncoding";
+
+const BOT = {
+  botId: "bot",
+  botAliasId: "alias",
+  localeId: "en_US",
+  sessionId: "session-1",
+};
+
+const SESSION_STATE = {
+  dialogAction: { type: "ElicitSlot", slotToElicit: "Location" },
+  intent: { name: "BookHotel", state: "InProgress" },
+};
+
+const MESSAGES = [{ contentType: "PlainText", content: "What city?" }];
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe("DialogServiceClient over HTTP", () => {
+  let fetch;
+  let client;
+
+  function replyWith(status, body) {
+    fetch.mockResolvedValueOnce({
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => {
+        if (body === undefined) throw Error("no body");
+        return body;
+      },
+    });
+  }
+
+  function sentRequest(index = 0) {
+    return JSON.parse(fetch.mock.calls[index][1].body);
+  }
+
+  beforeEach(() => {
+    fetch = vi.fn();
+    vi.stubGlobal("fetch", fetch);
+    client = new DialogServiceClient({
+      endpoint: "https://example.com/dialog",
+      headers: { Authorization: "Bearer token" },
+    });
+  });
+
+  it("requires an endpoint", () => {
+    expect(() => new DialogServiceClient({})).toThrow(/endpoint/);
+  });
+
+  it("posts text requests as JSON", async () => {
+    replyWith(200, { sessionState: SESSION_STATE, messages: MESSAGES });
+
+    const response = await client
+      .recognizeText({ ...BOT, text: "book a hotel", requestAttributes: {} })
+      .promise();
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://example.com/dialog");
+    expect(init.method).toBe("POST");
+    expect(init.headers).toEqual({
+      "Content-Type": "application/json",
+      Authorization: "Bearer token",
+    });
+    expect(sentRequest()).toMatchObject({
+      ...BOT,
+      type: "text",
+      text: "book a hotel",
+      requestAttributes: {},
+    });
+    expect(sentRequest().requestId).toEqual(expect.any(String));
+    expect(response).toEqual({
+      sessionId: "session-1",
+      sessionState: SESSION_STATE,
+      messages: MESSAGES,
+      interpretations: undefined,
+      requestAttributes: undefined,
+    });
+  });
+
+  it("decodes recognizeUtterance requests and encodes the responses", async () => {
+    replyWith(200, {
+      inputTranscript: "book a hotel",
+      sessionState: SESSION_STATE,
+      messages: MESSAGES,
+      audio: { contentType: "audio/mpeg", data: btoa("\x01\x02\x03") },
+    });
+
+    const response = await client
+      .recognizeUtterance({
+        ...BOT,
+        requestContentType: "audio/l16; rate=16000; channels=1",
+        responseContentType: "audio/mpeg",
+        inputStream: new Uint8Array([1, 2, 3, 4]),
+        sessionState: encodeAndZipJsonString({ sessionAttributes: { a: "1" } }),
+      })
+      .promise();
+
+    expect(sentRequest()).toMatchObject({
+      type: "audio",
+      audio: {
+        contentType: "audio/l16; rate=16000; channels=1",
+        data: btoa("\x01\x02\x03\x04"),
+      },
+      sessionState: { sessionAttributes: { a: "1" } },
+    });
+    expect(response.inputMode).toBe("Speech");
+    expect(response.contentType).toBe("audio/mpeg");
+    expect([...response.audioStream]).toEqual([1, 2, 3]);
+    expect(decodeAndUnzipJsonString(response.inputTranscript)).toBe(
+      "book a hotel"
+    );
+    expect(decodeAndUnzipJsonString(response.sessionState)).toEqual(
+      SESSION_STATE
+    );
+    expect(decodeAndUnzipJsonString(response.messages)).toEqual(MESSAGES);
+    expect(response.interpretations).toBeUndefined();
+  });
+
+  it("sends text recognizeUtterance requests as text", async () => {
+    replyWith(200, {});
+
+    const response = await client
+      .recognizeUtterance({
+        ...BOT,
+        requestContentType: "text/plain; charset=utf-8",
+        inputStream: "hello",
+      })
+      .promise();
+
+    expect(sentRequest()).toMatchObject({ type: "text", text: "hello" });
+    expect(response.inputMode).toBe("Text");
+  });
+
+  it("gives each request its own id", async () => {
+    replyWith(200, {});
+    replyWith(200, {});
+
+    await client.getSession(BOT).promise();
+    await client.deleteSession(BOT).promise();
+
+    expect(sentRequest(0).type).toBe("getSession");
+    expect(sentRequest(1).type).toBe("deleteSession");
+    expect(sentRequest(0).requestId).not.toBe(sentRequest(1).requestId);
+  });
+
+  it("fails with the error code the service replied with", async () => {
+    replyWith(500, {
+      error: { code: "ThrottlingException", message: "Slow down" },
+    });
+
+    await expect(
+      client.recognizeText({ ...BOT, text: "hi" }).promise()
+    ).rejects.toMatchObject({
+      name: "ThrottlingException",
+      code: "ThrottlingException",
+      message: "Slow down",
+    });
+  });
+
+  it("maps HTTP statuses to error codes", async () => {
+    replyWith(429);
+    replyWith(404, {});
+    replyWith(502);
+
+    const send = () => client.recognizeText({ ...BOT, text: "hi" }).promise();
+    await expect(send()).rejects.toMatchObject({
+      code: "ThrottlingException",
+    });
+    await expect(send()).rejects.toMatchObject({
+      code: "ResourceNotFoundException",
+    });
+    await expect(send()).rejects.toMatchObject({ code: "ServiceException" });
+  });
+
+  it("fails with a NetworkingError when the service can't be reached", async () => {
+    fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+
+    await expect(
+      client.recognizeText({ ...BOT, text: "hi" }).promise()
+    ).rejects.toMatchObject({
+      code: "NetworkingError",
+      message: "Failed to fetch",
+    });
+  });
+
+  it("aborts requests in flight", async () => {
+    fetch.mockImplementationOnce(
+      (url, { signal }) =>
+        new Promise((resolve, reject) =>
+          signal.addEventListener("abort", () => reject(Error("aborted")))
+        )
+    );
+
+    const request = client.recognizeText({ ...BOT, text: "hi" });
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+    request.abort();
+
+    await expect(request.promise()).rejects.toMatchObject({
+      code: "RequestAbortedError",
+    });
+  });
+});
+
+describe("DialogServiceClient over WebSocket", () => {
+  let sockets;
+  let client;
+
+  class FakeWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.sent = [];
+      sockets.push(this);
+    }
+
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+      this.onclose();
+    }
+
+    open() {
+      this.onopen();
+    }
+
+    reply(message) {
+      this.onmessage({
+        data: typeof message === "string" ? message : JSON.stringify(message),
+      });
+    }
+  }
+
+  async function socketAt(index) {
+    await vi.waitFor(() => expect(sockets[index]).toBeDefined());
+    return sockets[index];
+  }
+
+  async function nextRequest(socket) {
+    await vi.waitFor(() => expect(socket.sent.length).toBeGreaterThan(0));
+    return socket.sent.shift();
+  }
+
+  beforeEach(() => {
+    sockets = [];
+    vi.stubGlobal("WebSocket", FakeWebSocket);
+    client = new DialogServiceClient({ endpoint: "wss://example.com/dialog" });
+  });
+
+  it("opens one socket and matches replies to requests", async () => {
+    const first = client.recognizeText({ ...BOT, text: "first" }).promise();
+    const second = client.recognizeText({ ...BOT, text: "second" }).promise();
+    await socketAt(0);
+    expect(sockets).toHaveLength(1);
+    expect(sockets[0].url).toBe("wss://example.com/dialog");
+    sockets[0].open();
+
+    const firstRequest = await nextRequest(sockets[0]);
+    const secondRequest = await nextRequest(sockets[0]);
+    expect(firstRequest.text).toBe("first");
+    expect(secondRequest.text).toBe("second");
+
+    // Replies can arrive out of order.
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    sockets[0].reply({ requestId: "unknown", messages: [] });
+    sockets[0].reply("not json");
+    expect(console.warn).toHaveBeenCalledOnce();
+    sockets[0].reply({
+      requestId: secondRequest.requestId,
+      messages: [{ contentType: "PlainText", content: "Second" }],
+    });
+    sockets[0].reply({
+      requestId: firstRequest.requestId,
+      messages: [{ contentType: "PlainText", content: "First" }],
+    });
+
+    expect((await first).messages[0].content).toBe("First");
+    expect((await second).messages[0].content).toBe("Second");
+  });
+
+  it("fails with the error code the service replied with", async () => {
+    const response = client.recognizeText({ ...BOT, text: "hi" }).promise();
+    (await socketAt(0)).open();
+
+    const { requestId } = await nextRequest(sockets[0]);
+    sockets[0].reply({
+      requestId,
+      error: { code: "ValidationException", message: "Bad bot" },
+    });
+
+    await expect(response).rejects.toMatchObject({
+      code: "ValidationException",
+      message: "Bad bot",
+    });
+  });
+
+  it("fails pending requests when the socket closes and reconnects", async () => {
+    const pending = client.recognizeText({ ...BOT, text: "hi" }).promise();
+    (await socketAt(0)).open();
+    await nextRequest(sockets[0]);
+
+    sockets[0].close();
+    await expect(pending).rejects.toMatchObject({ code: "NetworkingError" });
+
+    const next = client.recognizeText({ ...BOT, text: "again" }).promise();
+    (await socketAt(1)).open();
+    const { requestId } = await nextRequest(sockets[1]);
+    sockets[1].reply({ requestId, messages: MESSAGES });
+
+    expect((await next).messages).toEqual(MESSAGES);
+  });
+
+  it("fails requests when the socket can't be opened", async () => {
+    const response = client.recognizeText({ ...BOT, text: "hi" }).promise();
+    (await socketAt(0)).close();
+
+    await expect(response).rejects.toMatchObject({ code: "NetworkingError" });
+  });
+
+  it("aborts requests waiting for a reply", async () => {
+    const request = client.recognizeText({ ...BOT, text: "hi" });
+    (await socketAt(0)).open();
+    const { requestId } = await nextRequest(sockets[0]);
+
+    request.abort();
+    await expect(request.promise()).rejects.toMatchObject({
+      code: "RequestAbortedError",
+    });
+
+    // A late reply is ignored.
+    sockets[0].reply({ requestId, messages: MESSAGES });
+  });
+});
@@ -0,0 +1,105 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createGestureDirectiveHandler } from "../../src/extras/GestureDirectives";
+import { LexV2ResponsePresenter } from "../../src/extras/LexV2ResponsePresenter";
+
+function createHost() {
+  return {
+    GestureFeature: { playGesture: vi.fn() },
+    PointOfInterestFeature: { setTarget: vi.fn() },
+    TextToSpeechFeature: { play: vi.fn(() => Promise.resolve()) },
+  };
+}
+
+function customPayload(directive) {
+  return { contentType: "CustomPayload", content: JSON.stringify(directive) };
+}
+
+describe("createGestureDirectiveHandler", () => {
+  let host;
+  let handler;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    host = createHost();
+    handler = createGestureDirectiveHandler(host, {
+      gestureNames: ["wave", "big"],
+      lookTargets: { camera: { name: "camera" } },
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("performs directives after their delay", () => {
+    handler(
+      JSON.stringify([
+        { gesture: "wave", delay: 2, holdTime: 1 },
+        { emote: "cheer", lookAt: "camera" },
+      ])
+    );
+    vi.advanceTimersByTime(0);
+
+    expect(host.GestureFeature.playGesture).toHaveBeenCalledWith(
+      "Emote",
+      "cheer",
+      {}
+    );
+    expect(host.PointOfInterestFeature.setTarget).toHaveBeenCalledWith({
+      name: "camera",
+    });
+    expect(host.GestureFeature.playGesture).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(2000);
+    expect(host.GestureFeature.playGesture).toHaveBeenLastCalledWith(
+      "Gesture",
+      "wave",
+      { holdTime: 1 }
+    );
+  });
+
+  it("skips invalid directives and payloads that aren't JSON", () => {
+    handler(JSON.stringify({ gesture: "dance" }));
+    handler(JSON.stringify({ gesture: "wave", delay: -1 }));
+    handler("wave");
+    vi.runAllTimers();
+
+    expect(host.GestureFeature.playGesture).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+
+  it("drops delayed directives when cancelled", () => {
+    handler(JSON.stringify({ gesture: "wave", delay: 2 }));
+
+    handler.cancel();
+    vi.runAllTimers();
+
+    expect(host.GestureFeature.playGesture).not.toHaveBeenCalled();
+  });
+
+  it("is cancelled when the presenter presents a new response", async () => {
+    const presenter = new LexV2ResponsePresenter({
+      host,
+      lex: {},
+      cardContainer: { classList: { add() {} } },
+    });
+    presenter.registerCustomPayloadHandler(handler);
+
+    await presenter.present({
+      messages: [customPayload({ gesture: "wave", delay: 2 })],
+    });
+    await presenter.present({
+      messages: [{ contentType: "PlainText", content: "Anything else?" }],
+    });
+    vi.runAllTimers();
+
+    expect(host.GestureFeature.playGesture).not.toHaveBeenCalled();
+    expect(host.TextToSpeechFeature.play.mock.calls[0][0]).toBe(
+      "Anything else?"
+    );
+  });
+});
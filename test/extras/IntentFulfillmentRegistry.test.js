@@ -0,0 +1,188 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { IntentFulfillmentRegistry } from "../../src/extras/IntentFulfillmentRegistry";
+import { LexV2Feature } from "../../src/extras/LexV2Feature";
+import { MockLexRuntimeV2 } from "../../src/extras/MockLexRuntimeV2";
+import bookTrip from "../../src/assets/mock-bots/BookTrip.json";
+
+vi.mock("@amazon-sumerian-hosts/babylon", () =>
+  import("../mocks/sumerianHosts")
+);
+vi.mock("@babylonjs/core/Engines/engine", () => ({
+  Engine: { NpmPackage: "babylonjs@4.2.1" },
+}));
+
+const BOT = {
+  botId: "mockBot",
+  botAliasId: "mockAlias",
+  localeId: "en_US",
+  sessionId: "session-1",
+};
+
+describe("IntentFulfillmentRegistry", () => {
+  let lexRuntime;
+  let lex;
+  let responses;
+
+  beforeEach(() => {
+    vi.stubGlobal("AudioContext", class {});
+    lexRuntime = new MockLexRuntimeV2(bookTrip, { latency: 0 });
+    vi.spyOn(lexRuntime, "putSession");
+    lex = new LexV2Feature(lexRuntime, BOT);
+    responses = [];
+    lex.listenTo(LexV2Feature.EVENTS.lexResponseReady, (response) =>
+      responses.push(response)
+    );
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Fills the ChangeLighting intent, which Lex then returns as
+   * ReadyForFulfillment without a message.
+   */
+  async function changeLighting(color) {
+    await lex.processWithText("lights");
+    return lex.processWithText(color);
+  }
+
+  // Lets a handler that is about to run, but shouldn't, call Lex.
+  function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  async function closingResponse() {
+    await vi.waitFor(() => expect(lexRuntime.putSession).toHaveBeenCalled());
+    await vi.waitFor(() =>
+      expect(responses.at(-1).sessionState.intent.state).not.toBe(
+        "ReadyForFulfillment"
+      )
+    );
+    return responses.at(-1);
+  }
+
+  it("fulfills an intent with its handler and closes it in Lex", async () => {
+    const context = { scene: "scene" };
+    const registry = new IntentFulfillmentRegistry(lex, context);
+    const handler = vi.fn(() => ({
+      message: "The lights are now blue.",
+      customPayload: { gesture: "wave" },
+      sessionAttributes: { lights: "blue" },
+    }));
+    registry.register("ChangeLighting", handler);
+
+    await changeLighting("blue");
+    const response = await closingResponse();
+
+    expect(handler).toHaveBeenCalledWith(
+      expect.objectContaining({
+        intentName: "ChangeLighting",
+        slots: { Color: "blue" },
+      }),
+      context
+    );
+    const [params] = lexRuntime.putSession.mock.calls[0];
+    expect(params.sessionState.dialogAction).toEqual({ type: "Close" });
+    expect(params.sessionState.intent.state).toBe("Fulfilled");
+    expect(params.messages).toEqual([
+      { contentType: "PlainText", content: "The lights are now blue." },
+      { contentType: "CustomPayload", content: '{"gesture":"wave"}' },
+    ]);
+    expect(response.messages).toEqual(params.messages);
+    expect(response.sessionState.intent.state).toBe("Fulfilled");
+    expect(response.sessionState.sessionAttributes).toEqual({ lights: "blue" });
+  });
+
+  it("closes the intent as failed when a handler throws", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const registry = new IntentFulfillmentRegistry(
+      lex,
+      {},
+      { failureMessage: "That didn't work." }
+    );
+    registry.register("ChangeLighting", () => {
+      throw new Error("No lights");
+    });
+
+    await changeLighting("red");
+    const response = await closingResponse();
+
+    expect(response.sessionState.intent.state).toBe("Failed");
+    expect(response.messages).toEqual([
+      { contentType: "PlainText", content: "That didn't work." },
+    ]);
+  });
+
+  it("accepts a message string from a handler", async () => {
+    const registry = new IntentFulfillmentRegistry(lex);
+    registry.register("ChangeLighting", ({ slots }) => `Lights ${slots.Color}`);
+
+    await changeLighting("green");
+    const response = await closingResponse();
+
+    expect(response.messages).toEqual([
+      { contentType: "PlainText", content: "Lights green" },
+    ]);
+  });
+
+  it("leaves intents without a handler to Lex", async () => {
+    const registry = new IntentFulfillmentRegistry(lex);
+    registry.register("ChangeLighting", () => "Done");
+    expect(registry.has("ChangeLighting")).toBe(true);
+    registry.unregister("ChangeLighting");
+    expect(registry.has("ChangeLighting")).toBe(false);
+
+    await changeLighting("white");
+    await lex.processWithText("book a hotel");
+    await settle();
+
+    expect(lexRuntime.putSession).not.toHaveBeenCalled();
+  });
+
+  it("stops fulfilling intents once disposed", async () => {
+    const registry = new IntentFulfillmentRegistry(lex);
+    const handler = vi.fn(() => "Done");
+    registry.register("ChangeLighting", handler);
+    registry.dispose();
+
+    await changeLighting("white");
+    await settle();
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("confirms intents Lex has no message for with the default handler", async () => {
+    const defaultHandler = vi.fn(() => ({
+      message: "OK. Your reservation is complete. Have a great day.",
+      customPayload: { gesture: "wave" },
+    }));
+    new IntentFulfillmentRegistry(lex, {}, { defaultHandler });
+
+    await changeLighting("purple");
+    const response = await closingResponse();
+
+    expect(defaultHandler).toHaveBeenCalledTimes(1);
+    expect(response.messages.map(({ contentType }) => contentType)).toEqual([
+      "PlainText",
+      "CustomPayload",
+    ]);
+  });
+
+  it("doesn't use the default handler when Lex has a message", async () => {
+    const defaultHandler = vi.fn(() => "Done");
+    new IntentFulfillmentRegistry(lex, {}, { defaultHandler });
+
+    // Lex answers input it doesn't understand with a ReadyForFulfillment
+    // FallbackIntent and the fallback message.
+    const response = await lex.processWithText("what's the weather like");
+    await settle();
+
+    expect(response.sessionState.intent.state).toBe("ReadyForFulfillment");
+    expect(defaultHandler).not.toHaveBeenCalled();
+    expect(lexRuntime.putSession).not.toHaveBeenCalled();
+  });
+});
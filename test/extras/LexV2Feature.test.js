@@ -0,0 +1,562 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  LexV2AbortError,
+  LexV2Feature,
+  LexV2ThrottlingError,
+  LexV2TimeoutError,
+  LexV2ValidationError,
+} from "../../src/extras/LexV2Feature";
+import { MockLexRuntimeV2 } from "../../src/extras/MockLexRuntimeV2";
+import { AudioResponsePlayer } from "../../src/extras/AudioResponsePlayer";
+import { Messenger } from "../mocks/sumerianHosts";
+import bookTrip from "../../src/assets/mock-bots/BookTrip.json";
+
+vi.mock("@amazon-sumerian-hosts/babylon", () =>
+  import("../mocks/sumerianHosts")
+);
+vi.mock("@babylonjs/core/Engines/engine", () => ({
+  Engine: { NpmPackage: "babylonjs@4.2.1" },
+}));
+
+const BOT = { botId: "testBot", botAliasId: "testAlias", localeId: "en_US" };
+
+function awsError(code) {
+  return Object.assign(new Error(`${code} from Lex`), { code });
+}
+
+/**
+ * Returns a stand-in for AWS.LexRuntimeV2. Each request settles with the next
+ * outcome: errors reject, objects resolve and `null` never settles.
+ */
+function createLexRuntime(...outcomes) {
+  const requests = [];
+  const send = (params) => {
+    const outcome = outcomes.length > 0 ? outcomes.shift() : {};
+    const request = {
+      params,
+      abort: vi.fn(),
+      promise() {
+        if (outcome === null) return new Promise(() => {});
+        return outcome instanceof Error
+          ? Promise.reject(outcome)
+          : Promise.resolve(outcome);
+      },
+    };
+    requests.push(request);
+    return request;
+  };
+
+  return {
+    config: {},
+    requests,
+    recognizeText: vi.fn(send),
+    recognizeUtterance: vi.fn(send),
+  };
+}
+
+beforeEach(() => {
+  vi.stubGlobal(
+    "AudioContext",
+    class {
+      constructor() {
+        this.sampleRate = 48000;
+      }
+    }
+  );
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("LexV2Feature requests", () => {
+  let errors;
+
+  beforeEach(() => {
+    errors = [];
+  });
+
+  function createFeature(lexRuntime, options = {}) {
+    const lex = new LexV2Feature(lexRuntime, {
+      ...BOT,
+      retryBaseDelay: 0,
+      ...options,
+    });
+    lex.listenTo(LexV2Feature.EVENTS.lexError, (error) => errors.push(error));
+    return lex;
+  }
+
+  it("retries throttled requests until one succeeds", async () => {
+    const lexRuntime = createLexRuntime(
+      awsError("ThrottlingException"),
+      awsError("TooManyRequestsException"),
+      { inputMode: "Text" }
+    );
+    const lex = createFeature(lexRuntime);
+
+    const response = await lex.processWithText("book a hotel");
+
+    expect(response.inputMode).toBe("Text");
+    expect(lexRuntime.recognizeText).toHaveBeenCalledTimes(3);
+    expect(lexRuntime.requests[2].params).toMatchObject({
+      ...BOT,
+      text: "book a hotel",
+    });
+    expect(errors).toEqual([]);
+  });
+
+  it("gives up once the retry limit is reached", async () => {
+    const lexRuntime = createLexRuntime(
+      awsError("ThrottlingException"),
+      awsError("ThrottlingException"),
+      awsError("ThrottlingException")
+    );
+    const lex = createFeature(lexRuntime, { maxRetries: 2 });
+
+    const request = lex.processWithText("book a hotel");
+
+    await expect(request).rejects.toBeInstanceOf(LexV2ThrottlingError);
+    expect(lexRuntime.recognizeText).toHaveBeenCalledTimes(3);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].code).toBe("ThrottlingException");
+  });
+
+  it("doesn't retry errors other than throttling", async () => {
+    const lexRuntime = createLexRuntime(awsError("ValidationException"));
+    const lex = createFeature(lexRuntime);
+
+    await expect(lex.processWithText("")).rejects.toBeInstanceOf(
+      LexV2ValidationError
+    );
+    expect(lexRuntime.recognizeText).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects with a LexV2TimeoutError when Lex doesn't respond", async () => {
+    vi.useFakeTimers();
+    const lexRuntime = createLexRuntime(null);
+    const lex = createFeature(lexRuntime, { requestTimeout: 5000 });
+
+    const request = lex.processWithText("book a hotel");
+    const assertion = expect(request).rejects.toBeInstanceOf(LexV2TimeoutError);
+    await vi.advanceTimersByTimeAsync(5000);
+
+    await assertion;
+    expect(lexRuntime.requests[0].abort).toHaveBeenCalled();
+    expect(errors).toHaveLength(1);
+  });
+
+  it("doesn't send requests whose signal is already aborted", async () => {
+    const lexRuntime = createLexRuntime();
+    const lex = createFeature(lexRuntime);
+    const controller = new AbortController();
+    controller.abort();
+
+    const request = lex.processWithText("book a hotel", {
+      signal: controller.signal,
+    });
+
+    await expect(request).rejects.toBeInstanceOf(LexV2AbortError);
+    expect(lexRuntime.recognizeText).not.toHaveBeenCalled();
+    expect(errors).toEqual([]);
+  });
+
+  it("aborts requests that are in flight", async () => {
+    const lexRuntime = createLexRuntime(null);
+    const lex = createFeature(lexRuntime);
+    const controller = new AbortController();
+
+    const request = lex.processWithText("book a hotel", {
+      signal: controller.signal,
+    });
+    controller.abort();
+
+    await expect(request).rejects.toBeInstanceOf(LexV2AbortError);
+    expect(lexRuntime.requests[0].abort).toHaveBeenCalled();
+    expect(errors).toEqual([]);
+  });
+});
+
+describe("LexV2Feature sessions", () => {
+  let lexRuntime;
+  let lex;
+  let sessionStates;
+
+  beforeEach(() => {
+    lexRuntime = new MockLexRuntimeV2(bookTrip, { latency: 0 });
+    lex = new LexV2Feature(lexRuntime, { ...BOT, sessionId: "session-1" });
+    sessionStates = [];
+    lex.listenTo(LexV2Feature.EVENTS.sessionStateChange, (sessionState) =>
+      sessionStates.push(sessionState)
+    );
+  });
+
+  it("round-trips session attributes", async () => {
+    const sessionAttributes = { userName: "Ana", visits: "3" };
+
+    await lex.putSession({
+      dialogAction: { type: "ElicitIntent" },
+      sessionAttributes,
+    });
+    expect(lex.sessionState.sessionAttributes).toEqual(sessionAttributes);
+
+    const session = await lex.getSession();
+    expect(session.sessionState.sessionAttributes).toEqual(sessionAttributes);
+
+    const response = await lex.processWithText("book a hotel");
+    expect(response.sessionState.intent.name).toBe("BookHotel");
+    expect(response.sessionState.sessionAttributes).toEqual(sessionAttributes);
+    expect(lex.sessionState).toEqual(response.sessionState);
+    expect(sessionStates).toHaveLength(3);
+  });
+
+  it("sends the session state given with a request", async () => {
+    await lex.processWithText("book a hotel", {
+      sessionState: { sessionAttributes: { channel: "kiosk" } },
+    });
+
+    const session = await lexRuntime
+      .getSession({ ...BOT, sessionId: "session-1" })
+      .promise();
+    expect(session.sessionState.sessionAttributes).toEqual({
+      channel: "kiosk",
+    });
+  });
+
+  it("resets the local session state when the session is deleted", async () => {
+    await lex.processWithText("book a hotel");
+
+    await lex.deleteSession();
+
+    expect(lex.sessionState).toBeNull();
+    expect(sessionStates.at(-1)).toBeNull();
+    expect(lex.sessionId).toBe("session-1");
+    const response = await lex.processWithText("New York");
+    expect(response.sessionState.intent.name).toBe("FallbackIntent");
+  });
+});
+
+describe("LexV2Feature barge-in", () => {
+  let lex;
+  let host;
+  let audioPlayer;
+  let bargeIns;
+
+  beforeEach(() => {
+    lex = new LexV2Feature(createLexRuntime(), BOT);
+    // Skips enableMicInput(), which needs a microphone.
+    lex._micReady = true;
+    bargeIns = 0;
+    lex.listenTo(LexV2Feature.EVENTS.bargeIn, () => {
+      bargeIns += 1;
+    });
+
+    host = new Messenger();
+    host.TextToSpeechFeature = {
+      EVENTS: { play: "play", pause: "pause", resume: "resume", stop: "stop" },
+      volume: 0.8,
+      stop: vi.fn(() => host.emit("stop")),
+    };
+    host.AnimationFeature = { stopAnimation: vi.fn() };
+
+    audioPlayer = new Messenger();
+    audioPlayer.isPlaying = false;
+    audioPlayer.stop = vi.fn(() =>
+      audioPlayer.emit(AudioResponsePlayer.EVENTS.stop)
+    );
+  });
+
+  it("interrupts host speech when the user starts talking", () => {
+    lex.enableBargeIn(host);
+    host.emit("play");
+
+    lex.beginVoiceRecording();
+
+    expect(host.TextToSpeechFeature.stop).toHaveBeenCalledTimes(1);
+    expect(host.AnimationFeature.stopAnimation.mock.calls).toEqual([
+      ["Gesture"],
+      ["Emote"],
+    ]);
+    expect(bargeIns).toBe(1);
+  });
+
+  it("interrupts audio responses", () => {
+    lex.enableBargeIn(host, { audioPlayer });
+    audioPlayer.emit(AudioResponsePlayer.EVENTS.play);
+
+    lex.beginVoiceRecording();
+
+    expect(audioPlayer.stop).toHaveBeenCalledTimes(1);
+    expect(host.TextToSpeechFeature.stop).not.toHaveBeenCalled();
+    expect(bargeIns).toBe(1);
+  });
+
+  it("does nothing while the host is quiet or barge-in is disabled", () => {
+    lex.enableBargeIn(host, { audioPlayer });
+    host.emit("play");
+    host.emit("stop");
+    lex.beginVoiceRecording();
+
+    lex.disableBargeIn();
+    host.emit("play");
+    lex.beginVoiceRecording();
+
+    expect(host.TextToSpeechFeature.stop).not.toHaveBeenCalled();
+    expect(bargeIns).toBe(0);
+  });
+
+  it("fades speech and audio responses out together", async () => {
+    vi.useFakeTimers({ toFake: ["setTimeout", "clearTimeout", "performance"] });
+    lex.enableBargeIn(host, { fadeTime: 0.2, audioPlayer });
+    host.emit("play");
+    audioPlayer.emit(AudioResponsePlayer.EVENTS.play);
+
+    lex.beginVoiceRecording();
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(host.TextToSpeechFeature.volume).toBeCloseTo(0.4, 1);
+    expect(host.TextToSpeechFeature.stop).not.toHaveBeenCalled();
+    expect(audioPlayer.stop).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(host.TextToSpeechFeature.stop).toHaveBeenCalledTimes(1);
+    expect(audioPlayer.stop).toHaveBeenCalledTimes(1);
+    expect(host.TextToSpeechFeature.volume).toBe(0.8);
+  });
+});
+
+describe("LexV2Feature recording length", () => {
+  let lex;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    lex = new LexV2Feature(createLexRuntime(), BOT);
+    // Skips enableMicInput(), which needs a microphone.
+    lex._micReady = true;
+    vi.spyOn(lex, "endVoiceRecording").mockResolvedValue(undefined);
+  });
+
+  it("ends recordings that reach the maximum duration", () => {
+    lex.setAudioPreprocessing({ maxDuration: 2 });
+
+    lex.beginVoiceRecording();
+    vi.advanceTimersByTime(1999);
+    expect(lex.endVoiceRecording).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    expect(lex.endVoiceRecording).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives a restarted recording the full duration", () => {
+    lex.setAudioPreprocessing({ maxDuration: 2 });
+
+    lex.beginVoiceRecording();
+    vi.advanceTimersByTime(1500);
+    lex.beginVoiceRecording();
+    vi.advanceTimersByTime(1000);
+    expect(lex.endVoiceRecording).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1000);
+    expect(lex.endVoiceRecording).toHaveBeenCalledTimes(1);
+  });
+
+  it("ends speech detected by voice activity detection", () => {
+    const speechEnds = vi.fn();
+    lex.listenTo(LexV2Feature.EVENTS.speechEnd, speechEnds);
+    lex.setAudioPreprocessing({ maxDuration: 2 });
+
+    lex.beginVoiceRecording();
+    lex._vad.speaking = true;
+    vi.advanceTimersByTime(2000);
+
+    expect(speechEnds).toHaveBeenCalledTimes(1);
+    expect(lex._vad.speaking).toBe(false);
+  });
+
+  it("doesn't end cancelled recordings", () => {
+    lex.beginVoiceRecording();
+    lex.cancelVoiceRecording();
+    vi.runAllTimers();
+
+    expect(lex.endVoiceRecording).not.toHaveBeenCalled();
+  });
+
+  it("doesn't cap recordings when preprocessing is off", () => {
+    lex.setAudioPreprocessing(false);
+
+    lex.beginVoiceRecording();
+    vi.runAllTimers();
+
+    expect(lex.endVoiceRecording).not.toHaveBeenCalled();
+  });
+});
+
+describe("LexV2Feature text input", () => {
+  let lexRuntime;
+  let sessions = 0;
+
+  beforeEach(() => {
+    lexRuntime = new MockLexRuntimeV2(bookTrip, { latency: 0 });
+    vi.spyOn(lexRuntime, "recognizeText");
+    vi.spyOn(lexRuntime, "recognizeUtterance");
+  });
+
+  // Each feature gets a new session, so earlier input doesn't affect it.
+  function createFeature(options = {}) {
+    sessions += 1;
+    return new LexV2Feature(lexRuntime, {
+      ...BOT,
+      sessionId: `session-${sessions}`,
+      ...options,
+    });
+  }
+
+  function intentNames(interpretations) {
+    return interpretations.map(({ intent }) => intent.name);
+  }
+
+  it("sends text with RecognizeText", async () => {
+    const lex = createFeature();
+
+    const response = await lex.processWithText("book a hotel");
+
+    expect(lexRuntime.recognizeText).toHaveBeenCalledTimes(1);
+    expect(lexRuntime.recognizeUtterance).not.toHaveBeenCalled();
+    expect(response.inputMode).toBe("Text");
+    expect(response.inputTranscript).toBe("book a hotel");
+    expect(intentNames(response.interpretations)).toEqual([
+      "BookHotel",
+      "BookCar",
+    ]);
+  });
+
+  it("decodes the interpretations of RecognizeUtterance responses", async () => {
+    const lex = createFeature();
+
+    const response = await lex.processWithText("book a hotel", {
+      responseContentType: "audio/pcm",
+    });
+
+    expect(lexRuntime.recognizeUtterance).toHaveBeenCalledTimes(1);
+    expect(intentNames(response.interpretations)).toEqual([
+      "BookHotel",
+      "BookCar",
+    ]);
+    expect(response.interpretations[0].nluConfidence.score).toBeCloseTo(0.84);
+  });
+
+  it("offers choices when the best intent is below the threshold", async () => {
+    const lex = createFeature({ disambiguationThreshold: 0.75 });
+
+    const response = await lex.processWithText("book something");
+
+    expect(intentNames(response.disambiguationChoices)).toEqual([
+      "BookHotel",
+      "BookCar",
+    ]);
+  });
+
+  it("doesn't offer choices for confident or unset thresholds", async () => {
+    let response = await createFeature({
+      disambiguationThreshold: 0.75,
+    }).processWithText("book a hotel");
+    expect(response.disambiguationChoices).toBeUndefined();
+
+    response = await createFeature().processWithText("book something");
+    expect(response.disambiguationChoices).toBeUndefined();
+  });
+
+  it("limits the number of choices", async () => {
+    const lex = createFeature({
+      disambiguationThreshold: 0.75,
+      maxDisambiguationChoices: 1,
+    });
+
+    const response = await lex.processWithText("book something");
+
+    expect(intentNames(response.disambiguationChoices)).toEqual(["BookHotel"]);
+  });
+
+  it("doesn't offer the fallback intent as a choice", async () => {
+    const lex = createFeature({ disambiguationThreshold: 0.75 });
+
+    const response = await lex.processWithText("what's the weather like");
+
+    expect(intentNames(response.interpretations)).toEqual(["FallbackIntent"]);
+    expect(response.disambiguationChoices).toBeUndefined();
+  });
+
+  it("doesn't offer choices for replies to a slot prompt", async () => {
+    const lex = createFeature({ disambiguationThreshold: 0.75 });
+    await lex.processWithText("rent a car");
+
+    const response = await lex.processWithText("book");
+
+    expect(response.disambiguationChoices).toBeUndefined();
+  });
+
+  it("continues with the interpretation the user picks", async () => {
+    const lex = createFeature({ disambiguationThreshold: 0.75 });
+    const responses = [];
+    lex.listenTo(LexV2Feature.EVENTS.lexResponseReady, (response) =>
+      responses.push(response)
+    );
+    const { disambiguationChoices } = await lex.processWithText("book it");
+
+    const response = await lex.selectInterpretation(disambiguationChoices[1]);
+
+    expect(response.sessionState.intent.name).toBe("BookCar");
+    expect(response.sessionState.dialogAction.slotToElicit).toBe("PickUpCity");
+    expect(responses).toEqual([expect.anything(), response]);
+  });
+});
+
+describe("LexV2Feature closeIntent", () => {
+  let lexRuntime;
+  let lex;
+
+  beforeEach(() => {
+    lexRuntime = new MockLexRuntimeV2(bookTrip, { latency: 0 });
+    vi.spyOn(lexRuntime, "putSession");
+    lex = new LexV2Feature(lexRuntime, { ...BOT, sessionId: "session-1" });
+  });
+
+  it("closes the active intent through putSession", async () => {
+    const responses = [];
+    lex.listenTo(LexV2Feature.EVENTS.lexResponseReady, (response) =>
+      responses.push(response)
+    );
+    await lex.putSession({ sessionAttributes: { userName: "Ana" } });
+    await lex.processWithText("rent a car");
+
+    const response = await lex.closeIntent({
+      state: "Failed",
+      message: "No cars are left.",
+      customPayload: '{"emote": "bored"}',
+      sessionAttributes: { carsLeft: "0" },
+    });
+
+    const [params] = lexRuntime.putSession.mock.calls.at(-1);
+    expect(params.sessionState).toMatchObject({
+      dialogAction: { type: "Close" },
+      intent: { name: "BookCar", state: "Failed" },
+      sessionAttributes: { userName: "Ana", carsLeft: "0" },
+    });
+    expect(params.messages).toEqual([
+      { contentType: "PlainText", content: "No cars are left." },
+      { contentType: "CustomPayload", content: '{"emote": "bored"}' },
+    ]);
+    expect(responses.at(-1)).toBe(response);
+    expect(lex.sessionState.intent.state).toBe("Failed");
+  });
+
+  it("rejects when there is no active intent", async () => {
+    await expect(lex.closeIntent({ message: "Done" })).rejects.toBeInstanceOf(
+      LexV2ValidationError
+    );
+    expect(lexRuntime.putSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,177 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  CompositeMetricsSink,
+  ConsoleMetricsSink,
+  InMemoryMetricsAggregator,
+  recordMetric,
+} from "../../src/extras/Metrics";
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe("recordMetric", () => {
+  it("records a timestamped metric", () => {
+    vi.useFakeTimers({ now: 1000 });
+    const sink = { record: vi.fn() };
+
+    recordMetric(sink, "lex.roundTrip", 120, "ms", { outcome: "success" });
+
+    expect(sink.record).toHaveBeenCalledWith({
+      name: "lex.roundTrip",
+      value: 120,
+      unit: "ms",
+      dimensions: { outcome: "success" },
+      time: 1000,
+    });
+  });
+
+  it("does nothing without a sink", () => {
+    expect(() =>
+      recordMetric(undefined, "lex.retries", 1, "count")
+    ).not.toThrow();
+  });
+
+  it("reports sinks that throw instead of throwing", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const sink = {
+      record: () => {
+        throw new Error("offline");
+      },
+    };
+
+    expect(() => recordMetric(sink, "lex.retries", 1, "count")).not.toThrow();
+    expect(console.warn).toHaveBeenCalledOnce();
+  });
+});
+
+describe("ConsoleMetricsSink", () => {
+  it("logs rounded values with their unit", () => {
+    const log = vi.fn();
+    const sink = new ConsoleMetricsSink({ prefix: "[test]", log });
+    const dimensions = { inputMode: "voice" };
+
+    sink.record({
+      name: "turn.firstAudio",
+      value: 812.6,
+      unit: "ms",
+      dimensions,
+    });
+    sink.record({
+      name: "recording.duration",
+      value: 2.3456,
+      unit: "s",
+      dimensions,
+    });
+
+    expect(log.mock.calls).toEqual([
+      ["[test] turn.firstAudio: 813 ms", dimensions],
+      ["[test] recording.duration: 2.35 s", dimensions],
+    ]);
+  });
+});
+
+describe("InMemoryMetricsAggregator", () => {
+  let aggregator;
+
+  function record(name, value, dimensions = {}) {
+    aggregator.record({ name, value, unit: "ms", dimensions, time: 0 });
+  }
+
+  beforeEach(() => {
+    aggregator = new InMemoryMetricsAggregator({ maxMetrics: 25 });
+  });
+
+  it("summarizes metrics by name", () => {
+    for (let value = 1; value <= 20; value++) {
+      record("lex.roundTrip", value * 10);
+    }
+    record("turn.firstAudio", 500);
+
+    expect(aggregator.getSummary()).toEqual({
+      "lex.roundTrip": {
+        unit: "ms",
+        count: 20,
+        sum: 2100,
+        mean: 105,
+        min: 10,
+        max: 200,
+        p50: 100,
+        p95: 190,
+      },
+      "turn.firstAudio": {
+        unit: "ms",
+        count: 1,
+        sum: 500,
+        mean: 500,
+        min: 500,
+        max: 500,
+        p50: 500,
+        p95: 500,
+      },
+    });
+  });
+
+  it("summarizes dimensions separately", () => {
+    record("lex.roundTrip", 100, { outcome: "success" });
+    record("lex.roundTrip", 300, { outcome: "success" });
+    record("lex.roundTrip", 900, { outcome: "ThrottlingException" });
+    record("lex.roundTrip", 50);
+
+    const summary = aggregator.getSummary({ groupBy: ["outcome"] });
+
+    expect(Object.keys(summary)).toEqual([
+      "lex.roundTrip outcome=success",
+      "lex.roundTrip outcome=ThrottlingException",
+      "lex.roundTrip",
+    ]);
+    expect(summary["lex.roundTrip outcome=success"].mean).toBe(200);
+    expect(summary["lex.roundTrip"].count).toBe(1);
+  });
+
+  it("keeps only the most recent metrics", () => {
+    for (let value = 1; value <= 30; value++) {
+      record("lex.roundTrip", value);
+    }
+
+    expect(aggregator.metrics).toHaveLength(25);
+    expect(aggregator.metrics[0].value).toBe(6);
+    expect(aggregator.getSummary()["lex.roundTrip"].min).toBe(6);
+  });
+
+  it("forgets metrics when reset", () => {
+    record("lex.roundTrip", 100);
+
+    aggregator.reset();
+
+    expect(aggregator.metrics).toEqual([]);
+    expect(aggregator.getSummary()).toEqual({});
+  });
+});
+
+describe("CompositeMetricsSink", () => {
+  it("sends every metric to every sink, even if one throws", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const failing = {
+      record: () => {
+        throw new Error("offline");
+      },
+    };
+    const aggregator = new InMemoryMetricsAggregator();
+    const sink = new CompositeMetricsSink([failing, aggregator]);
+    const metric = {
+      name: "lex.retries",
+      value: 1,
+      unit: "count",
+      dimensions: {},
+    };
+
+    sink.record(metric);
+
+    expect(aggregator.metrics).toEqual([metric]);
+    expect(console.warn).toHaveBeenCalledOnce();
+  });
+});
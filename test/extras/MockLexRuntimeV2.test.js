@@ -0,0 +1,228 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { beforeEach, describe, expect, it } from "vitest";
+import { MockLexRuntimeV2 } from "../../src/extras/MockLexRuntimeV2";
+import {
+  decodeAndUnzipJsonString,
+  encodeAndZipJsonString,
+} from "../../src/extras/lexEncoding";
+import bookTrip from "../../src/assets/mock-bots/BookTrip.json";
+
+const BOT = {
+  botId: "mockBot",
+  botAliasId: "mockAlias",
+  localeId: "en_US",
+  sessionId: "session-1",
+};
+
+describe("MockLexRuntimeV2", () => {
+  let lex;
+
+  beforeEach(() => {
+    lex = new MockLexRuntimeV2(bookTrip, { latency: 0 });
+  });
+
+  function sendText(text, params = {}) {
+    return lex.recognizeText({ ...BOT, text, ...params }).promise();
+  }
+
+  function promptOf(response) {
+    return response.messages.map((message) => message.content).join(" ");
+  }
+
+  it("answers unknown input with the fallback intent", async () => {
+    const response = await sendText("what's the weather like");
+
+    expect(response.interpretations[0].intent.name).toBe("FallbackIntent");
+    expect(response.sessionState.intent.state).toBe("ReadyForFulfillment");
+    expect(response.sessionState.dialogAction.type).toBe("ElicitIntent");
+    expect(promptOf(response)).toBe(bookTrip.fallbackMessage);
+  });
+
+  it("ranks the intent with the longest matching utterance first", async () => {
+    const response = await sendText("I'd like to book a hotel please");
+    const names = response.interpretations.map(({ intent }) => intent.name);
+
+    expect(names).toEqual(["BookHotel", "BookCar"]);
+    const [best, next] = response.interpretations;
+    expect(best.nluConfidence.score).toBeGreaterThan(next.nluConfidence.score);
+  });
+
+  it("elicits slots in order, confirms and closes the intent", async () => {
+    let response = await sendText("book a hotel");
+    expect(response.sessionState.dialogAction).toEqual({
+      type: "ElicitSlot",
+      slotToElicit: "Location",
+    });
+    expect(promptOf(response)).toBe("What city will you be staying in?");
+
+    response = await sendText("New York");
+    expect(response.sessionState.dialogAction.slotToElicit).toBe("CheckInDate");
+    response = await sendText("next Friday");
+    expect(response.sessionState.dialogAction.slotToElicit).toBe("Nights");
+    response = await sendText("3");
+    expect(response.sessionState.dialogAction.slotToElicit).toBe("RoomType");
+
+    response = await sendText("a king room");
+    expect(response.sessionState.dialogAction.type).toBe("ConfirmIntent");
+    expect(promptOf(response)).toBe(
+      "Okay, I have you down for a 3 night stay in New York starting next " +
+        "Friday. Shall I book the reservation?"
+    );
+    expect(
+      response.sessionState.intent.slots.RoomType.value.interpretedValue
+    ).toBe("king");
+
+    response = await sendText("yes please");
+    expect(response.sessionState.dialogAction.type).toBe("Close");
+    expect(response.sessionState.intent.state).toBe("ReadyForFulfillment");
+    expect(response.sessionState.intent.confirmationState).toBe("Confirmed");
+  });
+
+  it("keeps eliciting a slot until an allowed value is given", async () => {
+    await sendText("lights");
+
+    let response = await sendText("orange");
+    expect(response.sessionState.dialogAction.slotToElicit).toBe("Color");
+    expect(response.sessionState.intent.slots.Color).toBeNull();
+
+    response = await sendText("Blue!");
+    expect(
+      response.sessionState.intent.slots.Color.value.interpretedValue
+    ).toBe("blue");
+    expect(response.sessionState.intent.state).toBe("ReadyForFulfillment");
+  });
+
+  it("fails the intent when the confirmation is declined", async () => {
+    await sendText("book a hotel");
+    await sendText("Seattle");
+    await sendText("tomorrow");
+    await sendText("2");
+    await sendText("queen");
+
+    const response = await sendText("no thanks");
+
+    expect(response.sessionState.intent.state).toBe("Failed");
+    expect(response.sessionState.intent.confirmationState).toBe("Denied");
+    expect(promptOf(response)).toBe(
+      "Okay, I have cancelled your reservation in progress."
+    );
+  });
+
+  it("keeps a separate dialog for each session", async () => {
+    await sendText("book a hotel");
+    const response = await sendText("rent a car", { sessionId: "session-2" });
+
+    expect(response.sessionState.intent.name).toBe("BookCar");
+    expect(response.sessionState.dialogAction.slotToElicit).toBe("PickUpCity");
+  });
+
+  it("encodes recognizeUtterance responses like Lex", async () => {
+    const response = await lex
+      .recognizeUtterance({
+        ...BOT,
+        requestContentType: "text/plain; charset=utf-8",
+        responseContentType: "text/plain; charset=utf-8",
+        inputStream: "book a hotel",
+        sessionState: encodeAndZipJsonString({ sessionAttributes: { a: "1" } }),
+      })
+      .promise();
+
+    expect(response.inputMode).toBe("Text");
+    expect(decodeAndUnzipJsonString(response.inputTranscript)).toBe(
+      "book a hotel"
+    );
+    expect(decodeAndUnzipJsonString(response.messages)).toEqual([
+      {
+        contentType: "PlainText",
+        content: "What city will you be staying in?",
+      },
+    ]);
+    const sessionState = decodeAndUnzipJsonString(response.sessionState);
+    expect(sessionState.intent.name).toBe("BookHotel");
+    expect(sessionState.sessionAttributes).toEqual({ a: "1" });
+    expect(
+      decodeAndUnzipJsonString(response.interpretations)[0].intent.name
+    ).toBe("BookHotel");
+  });
+
+  it("transcribes audio input as the scripted audio utterances", async () => {
+    const transcripts = [];
+    for (let i = 0; i < bookTrip.audioUtterances.length + 1; i++) {
+      const response = await lex
+        .recognizeUtterance({
+          ...BOT,
+          requestContentType: "audio/l16; rate=16000; channels=1",
+          inputStream: new Uint8Array(4),
+        })
+        .promise();
+      expect(response.inputMode).toBe("Speech");
+      transcripts.push(decodeAndUnzipJsonString(response.inputTranscript));
+    }
+
+    expect(transcripts).toEqual([
+      ...bookTrip.audioUtterances,
+      bookTrip.audioUtterances[0],
+    ]);
+  });
+
+  it("continues a delegated intent set with putSession", async () => {
+    const response = await lex
+      .putSession({
+        ...BOT,
+        sessionState: {
+          dialogAction: { type: "Delegate" },
+          intent: {
+            name: "BookHotel",
+            slots: {
+              Location: { value: { interpretedValue: "Paris" } },
+            },
+          },
+        },
+      })
+      .promise();
+
+    const sessionState = decodeAndUnzipJsonString(response.sessionState);
+    expect(sessionState.dialogAction.slotToElicit).toBe("CheckInDate");
+    expect(sessionState.intent.slots.Location.value.interpretedValue).toBe(
+      "Paris"
+    );
+    expect(decodeAndUnzipJsonString(response.messages)[0].content).toBe(
+      "What day do you want to check in?"
+    );
+  });
+
+  it("gets and deletes sessions", async () => {
+    await sendText("rent a car");
+
+    let session = await lex.getSession(BOT).promise();
+    expect(session.sessionState.intent.name).toBe("BookCar");
+
+    await lex.deleteSession(BOT).promise();
+    session = await lex.getSession(BOT).promise();
+    expect(session.sessionState.intent).toBeUndefined();
+    expect(session.sessionState.dialogAction.type).toBe("ElicitIntent");
+  });
+
+  it("fails the next request with a queued error", async () => {
+    lex.queueError("ThrottlingException");
+
+    await expect(sendText("book a hotel")).rejects.toMatchObject({
+      name: "ThrottlingException",
+      code: "ThrottlingException",
+    });
+    await expect(sendText("book a hotel")).resolves.toBeDefined();
+  });
+
+  it("rejects aborted requests", async () => {
+    const request = new MockLexRuntimeV2(bookTrip).recognizeText({
+      ...BOT,
+      text: "book a hotel",
+    });
+    request.abort();
+
+    await expect(request.promise()).rejects.toMatchObject({
+      code: "RequestAbortedError",
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { describe, expect, it } from "vitest";
+import {
+  decodeAndUnzipJsonString,
+  encodeAndZipJsonString,
+} from "../../src/extras/lexEncoding";
+
+describe("lexEncoding", () => {
+  it("round-trips session state", () => {
+    const sessionState = {
+      dialogAction: { type: "ElicitSlot", slotToElicit: "Location" },
+      intent: {
+        name: "BookHotel",
+        slots: { Location: null, Nights: { value: { interpretedValue: "3" } } },
+        state: "InProgress",
+      },
+      sessionAttributes: { locale: "en_US" },
+    };
+
+    const encoded = encodeAndZipJsonString(sessionState);
+
+    expect(typeof encoded).toBe("string");
+    expect(encoded).toMatch(/^[A-Za-z0-9+/]+=*$/);
+    expect(decodeAndUnzipJsonString(encoded)).toEqual(sessionState);
+  });
+
+  it("round-trips strings, arrays and non-ASCII text", () => {
+    [
+      "I'd like to book a hotel",
+      "¿Quiero reservar un hotel en Zürich? 🏨",
+      [{ contentType: "PlainText", content: "Grüß Gott" }],
+      "",
+      0,
+      null,
+    ].forEach((value) => {
+      expect(decodeAndUnzipJsonString(encodeAndZipJsonString(value))).toEqual(
+        value
+      );
+    });
+  });
+
+  it("decodes missing or empty values to null", () => {
+    expect(decodeAndUnzipJsonString(undefined)).toBeNull();
+    expect(decodeAndUnzipJsonString(null)).toBeNull();
+    expect(decodeAndUnzipJsonString("")).toBeNull();
+  });
+
+  it("throws on values that aren't gzipped JSON", () => {
+    expect(() => decodeAndUnzipJsonString(btoa("not gzip"))).toThrow();
+  });
+});
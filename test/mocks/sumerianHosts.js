@@ -0,0 +1,60 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Stands in for the parts of @amazon-sumerian-hosts/babylon used by the
+ * chatbot helpers, so they can be tested without a Babylon scene. Use it with
+ * vi.mock("@amazon-sumerian-hosts/babylon", () => import("../mocks/sumerianHosts")).
+ */
+
+let nextId = 0;
+
+export class Messenger {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  listenTo(message, callback) {
+    if (!this._listeners.has(message)) {
+      this._listeners.set(message, new Set());
+    }
+    this._listeners.get(message).add(callback);
+  }
+
+  stopListening(message, callback) {
+    const callbacks = this._listeners.get(message);
+    if (callbacks) callbacks.delete(callback);
+  }
+
+  stopListeningToAll() {
+    this._listeners.clear();
+  }
+
+  emit(message, value) {
+    const callbacks = this._listeners.get(message);
+    if (callbacks) [...callbacks].forEach((callback) => callback(value));
+  }
+}
+
+export const Utils = {
+  createId() {
+    nextId += 1;
+    return `id-${nextId}`;
+  },
+  addCoreUserAgentComponent(userAgent) {
+    return Utils.addStringOnlyOnce(userAgent, "AmazonSumerianHosts");
+  },
+  addStringOnlyOnce(original = "", addition) {
+    return original.includes(addition) ? original : `${original} ${addition}`;
+  },
+};
+
+export const aws = {
+  LexFeature: {
+    EVENTS: {
+      lexResponseReady: "LexFeature.onLexResponseReady",
+      recordBegin: "LexFeature.onRecordBegin",
+      recordEnd: "LexFeature.onRecordEnd",
+    },
+  },
+};
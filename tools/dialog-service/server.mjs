@@ -0,0 +1,386 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * A small reference dialog service for DialogServiceFeature. It accepts the
+ * JSON requests described in README.md over HTTP POST and over a WebSocket on
+ * the same port, and runs a tiny scripted coffee ordering bot. It uses Node.js
+ * built-in modules only.
+ *
+ * Usage: node tools/dialog-service/server.mjs [port]
+ */
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8081);
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const SIZES = ["small", "medium", "large"];
+
+// Session states by session ID.
+const sessions = new Map();
+
+// ===== Dialog logic =====
+
+/**
+ * Handles one request and returns the reply.
+ * @param {object} request A request as described in README.md.
+ * @returns {object} The reply.
+ */
+function handleRequest(request) {
+  const { requestId, sessionId } = request;
+  if (!sessionId) {
+    return createErrorReply(
+      requestId,
+      "ValidationException",
+      "sessionId is required."
+    );
+  }
+
+  switch (request.type) {
+    case "text":
+      return converse(request, String(request.text || ""));
+    case "audio":
+      return converseWithAudio(request);
+    case "getSession":
+      return {
+        requestId,
+        sessionId,
+        sessionState: sessions.get(sessionId) || {},
+      };
+    case "putSession":
+      sessions.set(sessionId, request.sessionState || {});
+      return {
+        requestId,
+        sessionId,
+        sessionState: sessions.get(sessionId),
+        messages: request.messages,
+        requestAttributes: request.requestAttributes,
+      };
+    case "deleteSession":
+      sessions.delete(sessionId);
+      return { requestId, sessionId };
+    default:
+      return createErrorReply(
+        requestId,
+        "ValidationException",
+        `Unknown request type "${request.type}".`
+      );
+  }
+}
+
+/**
+ * Replies to typed or transcribed input.
+ */
+function converse(request, text) {
+  const { requestId, sessionId } = request;
+  const input = text.toLowerCase();
+
+  // Lets clients exercise their retry handling.
+  if (input.includes("throttle")) {
+    return createErrorReply(
+      requestId,
+      "ThrottlingException",
+      "Too many requests. Slow down."
+    );
+  }
+
+  const previousState = request.sessionState || sessions.get(sessionId) || {};
+  const sessionAttributes = previousState.sessionAttributes || {};
+  const isElicitingSize =
+    previousState.dialogAction &&
+    previousState.dialogAction.type === "ElicitSlot" &&
+    previousState.dialogAction.slotToElicit === "Size";
+
+  let sessionState;
+  let message;
+  if (isElicitingSize || input.includes("coffee")) {
+    const size = SIZES.find((name) => input.includes(name));
+    if (size) {
+      sessionState = {
+        sessionAttributes,
+        dialogAction: { type: "Close" },
+        intent: createIntent("OrderCoffee", "Fulfilled", { Size: size }),
+      };
+      message = `One ${size} coffee, coming right up.`;
+    } else {
+      sessionState = {
+        sessionAttributes,
+        dialogAction: { type: "ElicitSlot", slotToElicit: "Size" },
+        intent: createIntent("OrderCoffee", "InProgress", {}),
+      };
+      message = "What size would you like, small, medium or large?";
+    }
+  } else if (/\b(hello|hi)\b/.test(input)) {
+    sessionState = {
+      sessionAttributes,
+      dialogAction: { type: "ElicitIntent" },
+      intent: createIntent("Greeting", "Fulfilled", {}),
+    };
+    message =
+      'Hello from the reference dialog service. Try saying, "I\'d like a coffee".';
+  } else {
+    sessionState = {
+      sessionAttributes,
+      dialogAction: { type: "ElicitIntent" },
+      intent: createIntent("FallbackIntent", "ReadyForFulfillment", {}),
+    };
+    message = `You said "${text}". Try saying, "I'd like a coffee".`;
+  }
+  sessions.set(sessionId, sessionState);
+
+  return {
+    requestId,
+    sessionId,
+    inputTranscript: text,
+    messages: [{ contentType: "PlainText", content: message }],
+    sessionState,
+    interpretations: [
+      { intent: sessionState.intent, nluConfidence: { score: 1 } },
+    ],
+    requestAttributes: request.requestAttributes,
+  };
+}
+
+/**
+ * Replies to audio input. There's no speech recognition here, so the reply
+ * only reports how much audio arrived.
+ */
+function converseWithAudio(request) {
+  const { requestId, sessionId } = request;
+  if (!request.audio || !request.audio.data) {
+    return createErrorReply(
+      requestId,
+      "ValidationException",
+      "audio.data is required for audio requests."
+    );
+  }
+
+  // The audio is 16 kHz, 16-bit mono PCM in a WAV container.
+  const bytes = Buffer.from(request.audio.data, "base64");
+  const seconds = Math.max(0, bytes.length - 44) / (16000 * 2);
+  const sessionState = sessions.get(sessionId) || {};
+
+  return {
+    requestId,
+    sessionId,
+    inputTranscript: "",
+    messages: [
+      {
+        contentType: "PlainText",
+        content: `I received ${seconds.toFixed(
+          1
+        )} seconds of audio, but this reference service can't transcribe speech. Please type instead.`,
+      },
+    ],
+    sessionState,
+    requestAttributes: request.requestAttributes,
+  };
+}
+
+function createIntent(name, state, slotValues) {
+  const slots = {};
+  Object.entries(slotValues).forEach(([slotName, value]) => {
+    slots[slotName] = {
+      value: {
+        originalValue: value,
+        interpretedValue: value,
+        resolvedValues: [value],
+      },
+    };
+  });
+  return { name, state, confirmationState: "None", slots };
+}
+
+function createErrorReply(requestId, code, message) {
+  return { requestId, error: { code, message } };
+}
+
+// ===== HTTP =====
+
+const HTTP_STATUS_BY_ERROR_CODE = {
+  ValidationException: 400,
+  ThrottlingException: 429,
+};
+
+const server = createServer((req, res) => {
+  // The demos are served from another port, so allow cross-origin requests.
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+  if (req.method !== "POST") {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      res.writeHead(413).end();
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on("end", () => {
+    let reply;
+    try {
+      reply = handleRequest(JSON.parse(Buffer.concat(chunks).toString()));
+    } catch (error) {
+      reply = createErrorReply(
+        undefined,
+        "ValidationException",
+        "The request body must be JSON."
+      );
+    }
+
+    const status = reply.error
+      ? HTTP_STATUS_BY_ERROR_CODE[reply.error.code] || 500
+      : 200;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(reply));
+  });
+});
+
+// ===== WebSocket =====
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || req.headers.upgrade.toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = createHash("sha1")
+    .update(key + WEBSOCKET_GUID)
+    .digest("base64");
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "",
+      "",
+    ].join("\r\n")
+  );
+
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    for (let frame = readFrame(buffer); frame; frame = readFrame(buffer)) {
+      buffer = buffer.subarray(frame.length);
+
+      switch (frame.opcode) {
+        case 0x0: // Continuation
+        case 0x1: // Text
+          fragments.push(frame.payload);
+          if (frame.fin) {
+            handleSocketMessage(socket, Buffer.concat(fragments).toString());
+            fragments = [];
+          }
+          break;
+        case 0x8: // Close
+          writeFrame(socket, 0x8, Buffer.alloc(0));
+          socket.end();
+          return;
+        case 0x9: // Ping
+          writeFrame(socket, 0xa, frame.payload);
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (buffer.length > MAX_BODY_SIZE) socket.destroy();
+  });
+  socket.on("error", () => socket.destroy());
+});
+
+function handleSocketMessage(socket, data) {
+  let reply;
+  try {
+    reply = handleRequest(JSON.parse(data));
+  } catch (error) {
+    reply = createErrorReply(
+      undefined,
+      "ValidationException",
+      "Messages must be JSON."
+    );
+  }
+  writeFrame(socket, 0x1, Buffer.from(JSON.stringify(reply)));
+}
+
+/**
+ * Reads one frame from the start of a buffer.
+ * @returns {object|null} The frame's fin flag, opcode, unmasked payload and
+ * total length, or null if the buffer doesn't hold a whole frame yet.
+ */
+function readFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    payloadLength = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + payloadLength) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+
+  return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+/**
+ * Writes an unfragmented, unmasked frame, as servers do.
+ */
+function writeFrame(socket, opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+
+  socket.write(Buffer.concat([header, payload]));
+}
+
+server.listen(PORT, () => {
+  console.log(`Reference dialog service listening on port ${PORT}.`);
+  console.log(`  HTTP:      http://localhost:${PORT}/`);
+  console.log(`  WebSocket: ws://localhost:${PORT}/`);
+});